@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         Amazon Location Switcher v2
 // @namespace    http://tampermonkey.net/
-// @version      2.0.0
+// @version      2.1.1
 // @description  Switch between Amazon/Whole Foods locations using uploaded store map
 // @author       RynAgain
 // @match        https://www.amazon.com/*
@@ -22,36 +22,119 @@
     let storeMap = GM_getValue('store_map', {});
     let csrfToken = GM_getValue('csrf_token', '');
 
+    // Canonical store directory columns, shared with WtsMain and the Scanner app
+    // (see "Documentation & Notes/Store Directory Format.md")
+    const STORE_DIRECTORY_COLUMNS = ['tlc', 'store_acronym', 'store_id', 'pickup_address_id', 'region_id',
+        'store_name', 'city', 'state', 'bu', 'is_active'];
+
+    // Header aliases (lowercase, spaces/underscores removed) from the older per-tool formats
+    const HEADER_ALIASES = {
+        tlc: 'tlc',
+        storetlc: 'tlc',
+        acro: 'tlc',
+        acronym: 'acronym',
+        storeacronym: 'acronym',
+        storeid: 'storeId',
+        pickupaddressid: 'pickupAddressId',
+        destinationid: 'pickupAddressId',
+        regionid: 'regionId',
+        storename: 'name',
+        name: 'name',
+        city: 'city',
+        state: 'state',
+        bu: 'bu',
+        businessunit: 'bu',
+        isactive: 'active',
+        active: 'active'
+    };
+
+    // Function to turn one directory row into a store map entry
+    function normalizeStoreRow(row) {
+        const fields = {};
+
+        Object.keys(row).forEach(header => {
+            const value = row[header] === undefined || row[header] === null ? '' : String(row[header]).trim();
+            const normalized = header.trim().replace(/^\uFEFF/, '').toLowerCase().replace(/[\s_]+/g, '');
+            // "store_code" was the numeric store ID here but is the TLC in Scanner files
+            const key = normalized === 'storecode'
+                ? (/^\d+$/.test(value) ? 'storeId' : 'tlc')
+                : HEADER_ALIASES[normalized];
+
+            if (key && value !== '' && fields[key] === undefined) {
+                fields[key] = value;
+            }
+        });
+
+        // Extract TLC when there is no tlc column: drop the first character of a store_acronym longer than 3
+        // (same rule as WtsMain and the Scanner, so one directory file gives the same TLCs everywhere)
+        const acronymTLC = fields.acronym ? (fields.acronym.length > 3 ? fields.acronym.substring(1) : fields.acronym) : '';
+        const tlc = (fields.tlc || acronymTLC).toUpperCase();
+        if (!tlc || !fields.pickupAddressId) {
+            return null;
+        }
+
+        const active = fields.active === undefined ||
+            ['true', '1', 'yes', 'y', 'active'].includes(fields.active.toLowerCase());
+
+        return {
+            tlc: tlc,
+            destinationId: fields.pickupAddressId,
+            storeName: fields.name || '',
+            city: fields.city || '',
+            state: fields.state || '',
+            storeCode: fields.storeId || '',
+            storeId: fields.storeId || '',
+            acronym: fields.acronym || '',
+            bu: fields.bu || '',
+            regionId: fields.regionId || '',
+            isActive: active
+        };
+    }
+
+    // Function to split one CSV line, honouring quoted values
+    function splitCSVLine(line) {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === ',' && !inQuotes) {
+                values.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current.trim());
+        return values;
+    }
+
     // Function to parse CSV
     function parseCSV(text) {
-        const lines = text.split('\n');
-        const headers = lines[0].split(',').map(h => h.trim());
+        const lines = text.split(/\r?\n/);
+        const headers = splitCSVLine(lines[0]);
         const stores = {};
 
         for (let i = 1; i < lines.length; i++) {
             if (!lines[i].trim()) continue;
 
-            const values = lines[i].split(',').map(v => v.trim());
+            const values = splitCSVLine(lines[i]);
             const row = {};
             headers.forEach((header, index) => {
                 row[header] = values[index];
             });
 
-            // Extract TLC (remove first character from store_acronym)
-            const tlc = row.store_acronym ? row.store_acronym.substring(1) : '';
-            const pickupAddressId = row.pickup_address_id;
-
-            if (tlc && pickupAddressId) {
-                stores[tlc] = {
-                    tlc: tlc,
-                    destinationId: pickupAddressId,
-                    storeName: row.store_name || '',
-                    city: row.city || '',
-                    state: row.state || '',
-                    storeCode: row.store_code || '',
-                    regionId: row.region_id || '',
-                    isActive: row.is_active === 'true' || row.is_active === '1'
-                };
+            const store = normalizeStoreRow(row);
+            if (store) {
+                stores[store.tlc] = store;
             }
         }
 
@@ -61,32 +144,49 @@
     // Function to parse XLSX
     function parseXLSX(data) {
         const workbook = XLSX.read(data, { type: 'binary' });
-        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-        const jsonData = XLSX.utils.sheet_to_json(firstSheet);
+        const sheetName = workbook.SheetNames.includes('Store Directory') ? 'Store Directory' : workbook.SheetNames[0];
+        const jsonData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
         const stores = {};
 
         jsonData.forEach(row => {
-            // Extract TLC (remove first character from store_acronym)
-            const tlc = row.store_acronym ? row.store_acronym.substring(1) : '';
-            const pickupAddressId = row.pickup_address_id;
-
-            if (tlc && pickupAddressId) {
-                stores[tlc] = {
-                    tlc: tlc,
-                    destinationId: pickupAddressId,
-                    storeName: row.store_name || '',
-                    city: row.city || '',
-                    state: row.state || '',
-                    storeCode: row.store_code || '',
-                    regionId: row.region_id || '',
-                    isActive: row.is_active === 'true' || row.is_active === '1'
-                };
+            const store = normalizeStoreRow(row);
+            if (store) {
+                stores[store.tlc] = store;
             }
         });
 
         return stores;
     }
 
+    // Function to export the store map in the shared store directory format
+    function exportStoreMap() {
+        const stores = Object.values(storeMap).sort((a, b) => a.tlc.localeCompare(b.tlc));
+        if (stores.length === 0) {
+            alert('No stores loaded. Upload a store map first.');
+            return;
+        }
+
+        const rows = stores.map(store => [
+            store.tlc,
+            store.acronym || '',
+            store.storeId || store.storeCode || '',
+            store.destinationId || '',
+            store.regionId || '',
+            store.storeName || '',
+            store.city || '',
+            store.state || '',
+            store.bu || '',
+            store.isActive ? 'true' : 'false'
+        ]);
+
+        const workbook = XLSX.utils.book_new();
+        const worksheet = XLSX.utils.aoa_to_sheet([STORE_DIRECTORY_COLUMNS, ...rows]);
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Store Directory');
+        XLSX.writeFile(workbook, `Store_Directory_${new Date().toISOString().split('T')[0]}.xlsx`);
+
+        console.log(`Exported ${stores.length} stores to store directory XLSX`);
+    }
+
     // Function to update CSRF token
     function updateCSRFToken() {
         const token = document.querySelector('input[name="anti-csrftoken-a2z"]')?.value ||
@@ -295,6 +395,20 @@
                 background: #f3a847;
             }
 
+            #export-button {
+                background: #fff;
+                border: 1px solid #febd69;
+                padding: 6px 15px;
+                border-radius: 3px;
+                cursor: pointer;
+                width: 100%;
+                margin-top: 8px;
+            }
+
+            #export-button:hover {
+                background: #fdf3e1;
+            }
+
             #store-count {
                 font-size: 0.9em;
                 color: #666;
@@ -403,6 +517,12 @@
         uploadButton.id = 'upload-button';
         uploadButton.textContent = '📁 Upload Store Map (CSV/XLSX)';
 
+        const exportButton = document.createElement('button');
+        exportButton.id = 'export-button';
+        exportButton.textContent = '💾 Export Map';
+        exportButton.title = 'Download the store map as a store directory XLSX (works in WtsMain and the Scanner app)';
+        exportButton.onclick = exportStoreMap;
+
         const storeCount = document.createElement('div');
         storeCount.id = 'store-count';
 
@@ -443,6 +563,7 @@
 
         uploadSection.appendChild(fileInput);
         uploadSection.appendChild(uploadButton);
+        uploadSection.appendChild(exportButton);
         uploadSection.appendChild(storeCount);
 
         const searchBox = document.createElement('input');
@@ -7,18 +7,23 @@ class WFMScannerUI {
         this.elapsedTimeInterval = null;
         this.storeMappingFile = null;
         this.itemListFile = null;
+        this.compareFile = null; // Previous results to diff the export against
+        this.extractionProfile = null; // Custom extraction profile JSON, null = built-in default
+        this.extractionProfileName = null;
         this.scanResults = [];
         this.logMessages = [];
         this.screenDimensions = null;
         this.savedConfig = null;
         this.filteredResults = [];
-        this.currentMode = 'item'; // 'item' or 'merchandising'
+        this.lastCheckpoint = null; // Summary of the most recent checkpoint journal
+        this.currentMode = 'item'; // 'item', 'merchandising' or 'competitive'
         
         this.initializeUI();
         this.setupEventListeners();
         this.setupIpcListeners();
         this.getScreenDimensions();
         this.loadSavedConfig();
+        this.refreshCheckpointStatus();
     }
 
     async getScreenDimensions() {
@@ -61,8 +66,15 @@ class WFMScannerUI {
                 this.elements.maxRetries.value = settings.maxRetries || 3;
                 this.elements.headlessMode.checked = settings.headlessMode || false;
                 this.elements.captureScreenshots.checked = settings.captureScreenshots || false;
+                this.elements.screenshotsOnFailureOnly.checked = settings.screenshotsOnFailureOnly || false;
                 this.elements.skipExistingResults.checked = settings.skipExistingResults || false;
                 this.elements.maxConcurrentAgents.value = settings.maxConcurrentAgents || 3;
+                this.setExtractionProfile(settings.extractionProfile || null, settings.extractionProfileName || null);
+                this.elements.retentionMode.value = settings.retentionMode || 'count';
+                this.elements.retentionCount.value = settings.retentionCount || 3;
+                this.elements.retentionDays.value = settings.retentionDays || 30;
+                this.elements.archiveOldFiles.checked = settings.archiveOldFiles || false;
+                this.updateRetentionUI();
                 this.log('⚙️ Restored previous settings', 'info');
             }
             
@@ -85,8 +97,16 @@ class WFMScannerUI {
             // File selection
             selectStoreMappingBtn: document.getElementById('selectStoreMappingBtn'),
             storeMappingFile: document.getElementById('storeMappingFile'),
+            exportStoreDirectoryBtn: document.getElementById('exportStoreDirectoryBtn'),
             selectItemListBtn: document.getElementById('selectItemListBtn'),
             itemListFile: document.getElementById('itemListFile'),
+            compareFileGroup: document.getElementById('compareFileGroup'),
+            selectCompareFileBtn: document.getElementById('selectCompareFileBtn'),
+            compareFile: document.getElementById('compareFile'),
+            extractionProfileGroup: document.getElementById('extractionProfileGroup'),
+            selectExtractionProfileBtn: document.getElementById('selectExtractionProfileBtn'),
+            resetExtractionProfileBtn: document.getElementById('resetExtractionProfileBtn'),
+            extractionProfile: document.getElementById('extractionProfile'),
             
             // Settings
             delayBetweenItems: document.getElementById('delayBetweenItems'),
@@ -95,12 +115,23 @@ class WFMScannerUI {
             maxRetries: document.getElementById('maxRetries'),
             headlessMode: document.getElementById('headlessMode'),
             captureScreenshots: document.getElementById('captureScreenshots'),
+            screenshotsOnFailureOnly: document.getElementById('screenshotsOnFailureOnly'),
             skipExistingResults: document.getElementById('skipExistingResults'),
             maxConcurrentAgents: document.getElementById('maxConcurrentAgents'),
             
+            // Export retention
+            retentionMode: document.getElementById('retentionMode'),
+            retentionCountGroup: document.getElementById('retentionCountGroup'),
+            retentionCount: document.getElementById('retentionCount'),
+            retentionDaysGroup: document.getElementById('retentionDaysGroup'),
+            retentionDays: document.getElementById('retentionDays'),
+            archiveOldFiles: document.getElementById('archiveOldFiles'),
+            previewCleanupBtn: document.getElementById('previewCleanupBtn'),
+            
             // Controls
             startScanBtn: document.getElementById('startScanBtn'),
             stopScanBtn: document.getElementById('stopScanBtn'),
+            resumeScanBtn: document.getElementById('resumeScanBtn'),
             exportResultsBtn: document.getElementById('exportResultsBtn'),
             
             // Progress
@@ -151,6 +182,24 @@ class WFMScannerUI {
             this.selectItemListFile();
         });
 
+        this.elements.exportStoreDirectoryBtn.addEventListener('click', () => {
+            this.exportStoreDirectory();
+        });
+
+        this.elements.selectCompareFileBtn.addEventListener('click', () => {
+            this.selectCompareFile();
+        });
+
+        this.elements.selectExtractionProfileBtn.addEventListener('click', () => {
+            this.selectExtractionProfile();
+        });
+
+        this.elements.resetExtractionProfileBtn.addEventListener('click', () => {
+            this.setExtractionProfile(null, null);
+            this.saveCurrentSettings();
+            this.log('🧩 Using the built-in extraction profile', 'info');
+        });
+
         // Control buttons
         this.elements.startScanBtn.addEventListener('click', () => {
             this.startScan();
@@ -160,10 +209,18 @@ class WFMScannerUI {
             this.stopScan();
         });
 
+        this.elements.resumeScanBtn.addEventListener('click', () => {
+            this.resumeScan();
+        });
+
         this.elements.exportResultsBtn.addEventListener('click', () => {
             this.exportResults();
         });
 
+        this.elements.previewCleanupBtn.addEventListener('click', () => {
+            this.previewCleanup();
+        });
+
         // Log controls
         this.elements.clearLogBtn.addEventListener('click', () => {
             this.clearLog();
@@ -188,7 +245,9 @@ class WFMScannerUI {
             this.elements.delayBetweenStores,
             this.elements.pageTimeout,
             this.elements.maxRetries,
-            this.elements.maxConcurrentAgents
+            this.elements.maxConcurrentAgents,
+            this.elements.retentionCount,
+            this.elements.retentionDays
         ];
 
         settingsInputs.forEach(input => {
@@ -200,12 +259,17 @@ class WFMScannerUI {
         });
         
         // Save settings when checkboxes change
-        [this.elements.headlessMode, this.elements.captureScreenshots, this.elements.skipExistingResults].forEach(checkbox => {
+        [this.elements.headlessMode, this.elements.captureScreenshots, this.elements.screenshotsOnFailureOnly, this.elements.skipExistingResults, this.elements.archiveOldFiles].forEach(checkbox => {
             checkbox.addEventListener('change', () => {
                 this.saveCurrentSettings();
             });
         });
 
+        this.elements.retentionMode.addEventListener('change', () => {
+            this.updateRetentionUI();
+            this.saveCurrentSettings();
+        });
+
         // Headless mode warning
         this.elements.headlessMode.addEventListener('change', (e) => {
             if (e.target.checked) {
@@ -268,6 +332,67 @@ class WFMScannerUI {
         }
     }
 
+    async selectExtractionProfile() {
+        try {
+            const result = await ipcRenderer.invoke('select-extraction-profile');
+            if (!result) return;
+            
+            if (!result.success) {
+                this.log(`❌ Invalid extraction profile: ${result.error}`, 'error');
+                return;
+            }
+            
+            this.setExtractionProfile(result.filePath, result.name);
+            this.saveCurrentSettings();
+            this.log(`🧩 Extraction profile selected: "${result.name}" (${result.fieldCount} fields)`, 'success');
+        } catch (error) {
+            this.log(`❌ Error selecting extraction profile: ${error.message}`, 'error');
+        }
+    }
+
+    setExtractionProfile(filePath, name) {
+        this.extractionProfile = filePath;
+        this.extractionProfileName = name;
+        if (filePath) {
+            const fileName = filePath.split(/[\\/]/).pop();
+            this.elements.extractionProfile.textContent = name ? `${name} (${fileName})` : fileName;
+            this.elements.extractionProfile.classList.add('selected');
+        } else {
+            this.elements.extractionProfile.textContent = 'Built-in default';
+            this.elements.extractionProfile.classList.remove('selected');
+        }
+    }
+
+    async exportStoreDirectory() {
+        try {
+            const result = await ipcRenderer.invoke('export-store-directory', this.storeMappingFile);
+            if (!result) return;
+            
+            if (result.success) {
+                this.log(`💾 Exported ${result.storeCount} stores to: ${result.filePath}`, 'success');
+            } else {
+                this.log(`❌ Store directory export failed: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.log(`❌ Error exporting store directory: ${error.message}`, 'error');
+        }
+    }
+
+    async selectCompareFile() {
+        try {
+            const filePath = await ipcRenderer.invoke('select-compare-file');
+            if (filePath) {
+                this.compareFile = filePath;
+                const fileName = filePath.split(/[\\/]/).pop();
+                this.elements.compareFile.textContent = fileName;
+                this.elements.compareFile.classList.add('selected');
+                this.log(`🔀 Results will be compared with: ${fileName}`, 'success');
+            }
+        } catch (error) {
+            this.log(`❌ Error selecting comparison file: ${error.message}`, 'error');
+        }
+    }
+
     validateSettings() {
         const settings = this.getSettings();
         let isValid = true;
@@ -298,6 +423,16 @@ class WFMScannerUI {
             isValid = false;
         }
 
+        if (settings.retentionMode === 'count' && !(settings.retentionCount >= 1)) {
+            errors.push('Files to keep must be at least 1');
+            isValid = false;
+        }
+
+        if (settings.retentionMode === 'days' && !(settings.retentionDays >= 1)) {
+            errors.push('Days to keep must be at least 1');
+            isValid = false;
+        }
+
         if (!isValid) {
             errors.forEach(error => this.log(`⚠️ ${error}`, 'warning'));
         }
@@ -326,11 +461,47 @@ class WFMScannerUI {
             maxRetries: parseInt(this.elements.maxRetries.value),
             headlessMode: this.elements.headlessMode.checked,
             captureScreenshots: this.elements.captureScreenshots.checked,
+            screenshotsOnFailureOnly: this.elements.screenshotsOnFailureOnly.checked,
             skipExistingResults: this.elements.skipExistingResults.checked,
-            maxConcurrentAgents: parseInt(this.elements.maxConcurrentAgents.value)
+            maxConcurrentAgents: parseInt(this.elements.maxConcurrentAgents.value),
+            retentionMode: this.elements.retentionMode.value,
+            retentionCount: parseInt(this.elements.retentionCount.value),
+            retentionDays: parseInt(this.elements.retentionDays.value),
+            archiveOldFiles: this.elements.archiveOldFiles.checked,
+            extractionProfile: this.extractionProfile,
+            extractionProfileName: this.extractionProfileName
         };
     }
 
+    updateRetentionUI() {
+        const mode = this.elements.retentionMode.value;
+        this.elements.retentionCountGroup.classList.toggle('hidden', mode !== 'count');
+        this.elements.retentionDaysGroup.classList.toggle('hidden', mode !== 'days');
+        this.elements.archiveOldFiles.disabled = mode === 'all';
+    }
+
+    async previewCleanup() {
+        try {
+            const result = await ipcRenderer.invoke('preview-cleanup', this.getSettings());
+            
+            if (!result.success) {
+                this.log(`❌ Cleanup preview failed: ${result.error}`, 'error');
+                return;
+            }
+            
+            if (result.expired.length === 0) {
+                this.log(`🗂️ Nothing to clean up after the next export (${result.policy}, ${result.kept.length} existing file(s) kept)`, 'info');
+                return;
+            }
+            
+            const verb = result.action === 'archive' ? 'archive' : 'delete';
+            this.log(`👀 After the next export, cleanup would ${verb} ${result.expired.length} file(s) (${result.policy}):`, 'warning');
+            result.expired.forEach(fileName => this.log(`   • ${fileName}`, 'warning'));
+        } catch (error) {
+            this.log(`❌ Error previewing cleanup: ${error.message}`, 'error');
+        }
+    }
+
     handleModeChange() {
         this.currentMode = this.elements.scanModeSelect.value;
         this.updateModeUI();
@@ -364,7 +535,13 @@ class WFMScannerUI {
 
         // Show/hide item list group based on mode with null check
         if (this.elements.itemListGroup) {
-            this.elements.itemListGroup.classList.toggle('hidden', !isItemMode);
+            this.elements.itemListGroup.classList.toggle('hidden', !this.requiresItemList());
+        }
+        
+        // The scan-to-scan diff compares item results, so it is not offered for merchandising mode
+        if (this.elements.compareFileGroup) {
+            this.elements.compareFileGroup.classList.toggle('hidden', !this.requiresItemList());
+            this.elements.extractionProfileGroup.classList.toggle('hidden', !this.requiresItemList());
         }
 
         // Update selector value with null check
@@ -373,6 +550,10 @@ class WFMScannerUI {
         }
     }
 
+    requiresItemList() {
+        return this.currentMode === 'item' || this.currentMode === 'competitive';
+    }
+
     async startScan() {
         try {
             // Validation based on mode
@@ -381,8 +562,8 @@ class WFMScannerUI {
                 return;
             }
 
-            if (this.currentMode === 'item' && !this.itemListFile) {
-                this.log('❌ Please select item list file for Item Mode', 'error');
+            if (this.requiresItemList() && !this.itemListFile) {
+                this.log(`❌ Please select item list file for ${this.currentMode === 'item' ? 'Item' : 'Competitive'} Mode`, 'error');
                 return;
             }
 
@@ -393,7 +574,8 @@ class WFMScannerUI {
 
             const config = {
                 storeMappingFile: this.storeMappingFile,
-                itemListFile: this.currentMode === 'item' ? this.itemListFile : null,
+                itemListFile: this.requiresItemList() ? this.itemListFile : null,
+                compareWithFile: this.requiresItemList() ? this.compareFile : null,
                 settings: this.getSettings(),
                 mode: this.currentMode
             };
@@ -407,6 +589,9 @@ class WFMScannerUI {
             if (this.currentMode === 'item') {
                 this.log('🚀 Starting Item Mode scan with multi-agent processing...', 'info');
                 this.log(`🤖 Using ${config.settings.maxConcurrentAgents} concurrent agents for parallel processing`, 'info');
+            } else if (this.currentMode === 'competitive') {
+                this.log('🚀 Starting Competitive Mode scan...', 'info');
+                this.log('🏆 Checking every ASIN in every mapped store to build the price/availability matrix', 'info');
             } else {
                 this.log('🚀 Starting Merchandising Mode scan...', 'info');
                 this.log('🎠 Analyzing shoveler carousels on catering pages for each store', 'info');
@@ -418,30 +603,80 @@ class WFMScannerUI {
                 this.log('👆 Watch for the browser window to appear and follow any prompts for manual store selection', 'info');
             }
             
+            await this.runScanRequest('start-scan', config);
+
+        } catch (error) {
+            this.log(`❌ Error starting scan: ${error.message}`, 'error');
+        }
+    }
+
+    async resumeScan() {
+        try {
+            await this.refreshCheckpointStatus();
+            
+            if (!this.lastCheckpoint) {
+                this.log('❌ No checkpoint found to resume', 'error');
+                return;
+            }
+
+            if (!this.validateSettings()) {
+                this.log('❌ Please fix settings validation errors', 'error');
+                return;
+            }
+
+            const checkpoint = this.lastCheckpoint;
+            this.currentMode = checkpoint.mode || 'item';
+            this.updateModeUI();
+            this.log(`♻️ Resuming ${this.currentMode} scan started ${new Date(checkpoint.startedAt).toLocaleString()}`, 'info');
+            this.log(`♻️ ${checkpoint.successCount} results already succeeded, continuing from store ${checkpoint.currentStore || '-'}`, 'info');
+
+            await this.runScanRequest('resume-scan', this.getSettings(), this.compareFile);
+
+        } catch (error) {
+            this.log(`❌ Error resuming scan: ${error.message}`, 'error');
+        }
+    }
+
+    async runScanRequest(channel, ...args) {
+        try {
             this.isScanning = true;
             this.scanStartTime = Date.now();
             this.startElapsedTimer();
             this.clearResults(); // Clear previous results
             this.updateUI();
 
-            const result = await ipcRenderer.invoke('start-scan', config);
+            const result = await ipcRenderer.invoke(channel, ...args);
             
             if (result.success) {
-                this.log(`✅ Scan completed successfully! Processed ${result.totalResults} items`, 'success');
+                // The final result set also contains results carried over from a resumed checkpoint
+                if (result.results) {
+                    this.scanResults = result.results;
+                    window.scannerUI = this;
+                    this.filterResults();
+                }
+                this.log(`✅ Scan completed successfully! Processed ${result.resultsCount} items`, 'success');
                 this.log(`📊 Final statistics: ${this.scanResults.filter(r => r.success).length} successful, ${this.scanResults.filter(r => !r.success).length} failed`, 'info');
             } else {
                 this.log(`❌ Scan failed: ${result.error}`, 'error');
             }
-
-        } catch (error) {
-            this.log(`❌ Error starting scan: ${error.message}`, 'error');
         } finally {
             this.isScanning = false;
             this.stopElapsedTimer();
+            await this.refreshCheckpointStatus();
             this.updateUI();
         }
     }
 
+    async refreshCheckpointStatus() {
+        try {
+            this.lastCheckpoint = await ipcRenderer.invoke('get-last-checkpoint');
+        } catch (error) {
+            console.error('Error loading checkpoint status:', error);
+            this.lastCheckpoint = null;
+        }
+        this.updateUI();
+    }
+
     async stopScan() {
         try {
             this.log('🛑 Stopping scan...', 'info');
@@ -458,6 +693,7 @@ class WFMScannerUI {
         } finally {
             this.isScanning = false;
             this.stopElapsedTimer();
+            await this.refreshCheckpointStatus();
             this.updateUI();
         }
     }
@@ -473,7 +709,7 @@ class WFMScannerUI {
             if (!exportPath) return;
 
             this.log('📤 Exporting results to Excel...', 'info');
-            const result = await ipcRenderer.invoke('export-results', exportPath);
+            const result = await ipcRenderer.invoke('export-results', exportPath, this.compareFile);
             
             if (result.success) {
                 this.log(`✅ Results exported to: ${result.filePath}`, 'success');
@@ -488,14 +724,15 @@ class WFMScannerUI {
     }
 
     updateProgress(progress) {
-        const { currentStore, itemsProcessed, totalItems, successCount, errorCount, activeAgents } = progress;
+        const { currentStore, itemsProcessed, totalItems, successCount, errorCount, activeAgents, retryCount } = progress;
         
         // Update progress bar
         const percentage = totalItems > 0 ? Math.round((itemsProcessed / totalItems) * 100) : 0;
         this.elements.progressFill.style.width = `${percentage}%`;
         
         // Update progress text
-        this.elements.progressText.textContent = `Processing ${currentStore || 'Unknown Store'}... (${percentage}%)`;
+        const retryText = retryCount > 0 ? ` • ${retryCount} ${retryCount === 1 ? 'retry' : 'retries'}` : '';
+        this.elements.progressText.textContent = `Processing ${currentStore || 'Unknown Store'}... (${percentage}%)${retryText}`;
         
         // Update stats
         this.elements.currentStore.textContent = currentStore || '-';
@@ -528,6 +765,9 @@ class WFMScannerUI {
         }
         if (result.success && result.price && result.price !== 'N/A') {
             message += ` | Price: ${result.price}`;
+            if (result.priceModel && result.priceModel.onSale) {
+                message += ` (sale, regular ${result.priceModel.regularPrice})`;
+            }
         }
         if (result.success) {
             const features = [];
@@ -541,6 +781,13 @@ class WFMScannerUI {
             }
         }
         
+        if (result.attempts > 1) {
+            message += ` | Attempts: ${result.attempts}`;
+        }
+        if (!result.success && result.error) {
+            message += ` | Error: ${result.error}`;
+        }
+        
         // Log with total count information
         this.log(`${message} | Total Results: ${this.scanResults.length}`, result.success ? 'success' : 'error');
         
@@ -604,6 +851,15 @@ class WFMScannerUI {
         
         const extractedName = result.extractedName && result.extractedName !== 'N/A' ? result.extractedName : '-';
         const price = result.price && result.price !== 'N/A' ? result.price : '-';
+        const priceModel = result.priceModel;
+        const priceTitle = priceModel
+            ? [
+                priceModel.onSale ? `Sale, regular ${priceModel.regularPrice}` : null,
+                priceModel.primePrice !== null ? `Prime ${priceModel.primePrice}` : null,
+                priceModel.unitPrice !== null ? `${priceModel.unitPrice}/${priceModel.unit}` : null
+            ].filter(Boolean).join(' • ')
+            : '';
+        const saleBadge = priceModel && priceModel.onSale ? ' 🏷️' : '';
         const nutrition = result.hasNutritionFacts ? '✅' : '❌';
         const ingredients = result.hasIngredients ? '✅' : '❌';
         const addToCart = result.hasAddToCart ? '✅' : '❌';
@@ -620,7 +876,7 @@ class WFMScannerUI {
             <div class="table-cell col-asin">${result.asin}</div>
             <div class="table-cell col-name" title="${result.name || ''}">${result.name || '-'}</div>
             <div class="table-cell col-extracted" title="${extractedName}">${extractedName}</div>
-            <div class="table-cell col-price">${price}</div>
+            <div class="table-cell col-price" title="${priceTitle}">${price}${saleBadge}</div>
             <div class="table-cell col-nutrition">${nutrition}</div>
             <div class="table-cell col-ingredients">${ingredients}</div>
             <div class="table-cell col-cart">${addToCart}</div>
@@ -665,7 +921,7 @@ class WFMScannerUI {
 
     updateUI() {
         // Check required files based on mode
-        const hasRequiredFiles = this.currentMode === 'item'
+        const hasRequiredFiles = this.requiresItemList()
             ? (this.storeMappingFile && this.itemListFile)
             : this.storeMappingFile;
         const hasResults = this.scanResults.length > 0;
@@ -673,15 +929,21 @@ class WFMScannerUI {
         // Enable/disable buttons based on state and mode
         this.elements.startScanBtn.disabled = this.isScanning || !hasRequiredFiles;
         this.elements.stopScanBtn.disabled = !this.isScanning;
+        this.elements.resumeScanBtn.disabled = this.isScanning || !this.lastCheckpoint || this.lastCheckpoint.completed;
         this.elements.exportResultsBtn.disabled = !hasResults || this.isScanning;
+        this.elements.exportStoreDirectoryBtn.disabled = !this.storeMappingFile;
         
         // Update button text based on state and mode
+        const modeLabels = {
+            'item': 'Item',
+            'merchandising': 'Merchandising',
+            'competitive': 'Competitive'
+        };
+        const modeLabel = modeLabels[this.currentMode] || 'Item';
         if (this.isScanning) {
-            const modeText = this.currentMode === 'item' ? 'Item Scanning...' : 'Merchandising Scanning...';
-            this.elements.startScanBtn.innerHTML = `<span class="btn-icon">🔄</span>${modeText}`;
+            this.elements.startScanBtn.innerHTML = `<span class="btn-icon">🔄</span>${modeLabel} Scanning...`;
         } else {
-            const modeText = this.currentMode === 'item' ? 'Start Item Scan' : 'Start Merchandising Scan';
-            this.elements.startScanBtn.innerHTML = `<span class="btn-icon">▶️</span>${modeText}`;
+            this.elements.startScanBtn.innerHTML = `<span class="btn-icon">▶️</span>Start ${modeLabel} Scan`;
         }
     }
 
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { ScannerService } = require('./services/scannerService');
+const { ExcelExporter } = require('./services/excelExporter');
+const { CheckpointJournal } = require('./services/checkpointJournal');
+const { StoreDirectory } = require('./services/storeDirectory');
+
+const USAGE = `Usage: wfm-scan --stores <file.csv> [--items <file>] [options]
+
+Runs the WFM scanner without Electron and writes the Excel workbook.
+
+Required:
+  -s, --stores <path>           Store mapping CSV (StoreCode, StoreId) or store directory (CSV/XLSX)
+  -i, --items <path>            Item list CSV/Excel (item and competitive modes)
+
+Options:
+  -m, --mode <mode>             item | merchandising | competitive (default: item)
+  -c, --concurrency <n>         Concurrent agents (default: 3)
+  -o, --output <path>           Workbook path (default: ./WFM_Scan_Results_<timestamp>.xlsx)
+      --compare <path>          Previous results workbook or checkpoint (.jsonl) to diff against
+      --delay-items <ms>        Delay between items (default: 2000)
+      --delay-stores <ms>       Delay between stores (default: 5000)
+      --timeout <ms>            Page timeout (default: 30000)
+      --retries <n>             Max retries per item (default: 3)
+      --screenshots             Capture a full-page screenshot per item
+      --screenshots-on-failure  Only capture screenshots for failed/unavailable items
+      --screenshot-dir <path>   Screenshot base folder (default: ./screenshots)
+      --checkpoint-dir <path>   Checkpoint journal folder (default: ./checkpoints)
+      --resume [path]           Resume the given checkpoint, or the latest one
+      --keep-files <n>          Keep the last n results workbooks in the output folder (default: 3)
+      --keep-days <d>           Keep results workbooks for d days instead of by count
+      --keep-all                Never clean up old results workbooks
+      --archive-old             Zip old workbooks into a dated archive instead of deleting them
+      --cleanup-dry-run         Only list the old workbooks cleanup would remove
+      --profile <path>          Extraction profile JSON (default: built-in WFM profile)
+      --headed                  Show the browser window instead of running headless
+      --export-stores <path>    Write --stores as a store directory (.csv/.xlsx) and exit
+  -v, --verbose                 Print the scanner's detailed logs
+  -h, --help                    Show this help
+`;
+
+const OPTIONS = {
+    stores: { type: 'string', short: 's' },
+    items: { type: 'string', short: 'i' },
+    mode: { type: 'string', short: 'm', default: 'item' },
+    concurrency: { type: 'string', short: 'c', default: '3' },
+    output: { type: 'string', short: 'o' },
+    compare: { type: 'string' },
+    'delay-items': { type: 'string', default: '2000' },
+    'delay-stores': { type: 'string', default: '5000' },
+    timeout: { type: 'string', default: '30000' },
+    retries: { type: 'string', default: '3' },
+    screenshots: { type: 'boolean', default: false },
+    'screenshots-on-failure': { type: 'boolean', default: false },
+    'screenshot-dir': { type: 'string' },
+    'checkpoint-dir': { type: 'string' },
+    resume: { type: 'boolean', default: false },
+    'keep-files': { type: 'string', default: '3' },
+    'keep-days': { type: 'string' },
+    'keep-all': { type: 'boolean', default: false },
+    'archive-old': { type: 'boolean', default: false },
+    'cleanup-dry-run': { type: 'boolean', default: false },
+    profile: { type: 'string' },
+    headed: { type: 'boolean', default: false },
+    'export-stores': { type: 'string' },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const MODES = ['item', 'merchandising', 'competitive'];
+
+class UsageError extends Error {}
+
+function parseNumber(values, name, min) {
+    const value = parseInt(values[name]);
+    if (isNaN(value) || value < min) {
+        throw new UsageError(`--${name} must be a number >= ${min}`);
+    }
+    return value;
+}
+
+function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        return { help: true };
+    }
+
+    // "--resume <path>" arrives as a boolean flag plus a positional; any other positional is a mistake
+    if (positionals.length > (values.resume ? 1 : 0)) {
+        throw new UsageError(`Unexpected argument: ${positionals.slice(values.resume ? 1 : 0).join(' ')}`);
+    }
+    const resumePath = values.resume && positionals.length > 0 ? path.resolve(positionals[0]) : null;
+
+    if (!MODES.includes(values.mode)) {
+        throw new UsageError(`--mode must be one of: ${MODES.join(', ')}`);
+    }
+    if (!values.resume && !values.stores) {
+        throw new UsageError('--stores is required');
+    }
+    if (values['export-stores']) {
+        if (!values.stores) {
+            throw new UsageError('--export-stores needs --stores');
+        }
+        return {
+            help: false,
+            exportStores: path.resolve(values['export-stores']),
+            storeMappingFile: path.resolve(values.stores)
+        };
+    }
+    if (!values.resume && values.mode !== 'merchandising' && !values.items) {
+        throw new UsageError(`--items is required for ${values.mode} mode`);
+    }
+    // Checked up front: a scan can run for hours before the export reads this file
+    if (values.compare && !fs.existsSync(values.compare)) {
+        throw new UsageError(`--compare file not found: ${values.compare}`);
+    }
+    if (values['keep-all'] && values['keep-days']) {
+        throw new UsageError('--keep-all and --keep-days cannot be combined');
+    }
+
+    return {
+        help: false,
+        resume: values.resume,
+        resumePath,
+        verbose: values.verbose,
+        output: values.output ? path.resolve(values.output) : null,
+        compareWith: values.compare ? path.resolve(values.compare) : null,
+        checkpointDirectory: path.resolve(values['checkpoint-dir'] || path.join(process.cwd(), 'checkpoints')),
+        retention: {
+            mode: values['keep-all'] ? 'all' : values['keep-days'] ? 'days' : 'count',
+            keepCount: parseNumber(values, 'keep-files', 1),
+            keepDays: values['keep-days'] ? parseNumber(values, 'keep-days', 1) : undefined,
+            archive: values['archive-old'],
+            dryRun: values['cleanup-dry-run']
+        },
+        config: {
+            storeMappingFile: values.stores ? path.resolve(values.stores) : null,
+            itemListFile: values.items ? path.resolve(values.items) : null,
+            mode: values.mode,
+            screenshotDirectory: values['screenshot-dir'] ? path.resolve(values['screenshot-dir']) : undefined,
+            settings: {
+                delayBetweenItems: parseNumber(values, 'delay-items', 0),
+                delayBetweenStores: parseNumber(values, 'delay-stores', 0),
+                pageTimeout: parseNumber(values, 'timeout', 1000),
+                maxRetries: parseNumber(values, 'retries', 0),
+                headlessMode: !values.headed,
+                captureScreenshots: values.screenshots || values['screenshots-on-failure'],
+                screenshotsOnFailureOnly: values['screenshots-on-failure'],
+                skipExistingResults: false,
+                maxConcurrentAgents: parseNumber(values, 'concurrency', 1),
+                extractionProfile: values.profile ? path.resolve(values.profile) : null
+            }
+        }
+    };
+}
+
+function writeLine(line) {
+    process.stdout.write(`${line}\n`);
+}
+
+function formatProgress(progress) {
+    const { currentStore, itemsProcessed, totalItems, successCount, errorCount, retryCount } = progress;
+    const percentage = totalItems > 0 ? Math.round((itemsProcessed / totalItems) * 100) : 0;
+    return `[${percentage}%] ${itemsProcessed}/${totalItems} store=${currentStore || '-'} ok=${successCount} failed=${errorCount} retries=${retryCount || 0}`;
+}
+
+function formatResult(result) {
+    const status = result.success ? 'OK  ' : 'FAIL';
+    const subject = result.asin ? `${result.store} ${result.asin}` : result.store;
+    const details = result.success
+        ? [result.price || 'no price', result.isAvailable ? 'available' : 'unavailable']
+        : [result.error || 'unknown error'];
+    if (result.mode === 'merchandising' && result.success) {
+        details.splice(0, details.length, `${result.shovelers.length} shovelers`, `${result.totalASINs} ASINs`);
+    }
+    return `${status} ${subject} | ${details.join(' | ')}`;
+}
+
+async function resolveResumeConfig(options) {
+    const journal = options.resumePath
+        ? new CheckpointJournal(options.resumePath)
+        : await CheckpointJournal.findLatest(options.checkpointDirectory);
+
+    if (!journal) {
+        throw new UsageError(`No checkpoint found in ${options.checkpointDirectory}`);
+    }
+
+    const summary = await journal.getSummary();
+    writeLine(`Resuming ${summary.mode} scan from ${summary.filePath} (${summary.successCount} results already succeeded)`);
+
+    return {
+        ...options.config,
+        storeMappingFile: summary.storeMappingFile,
+        itemListFile: summary.itemListFile,
+        mode: summary.mode,
+        resumeFrom: summary.filePath
+    };
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseCliArgs(argv);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`wfm-scan: ${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        throw error;
+    }
+
+    if (options.help) {
+        writeLine(USAGE);
+        return 0;
+    }
+
+    if (options.exportStores) {
+        const directory = await StoreDirectory.load(options.storeMappingFile);
+        await directory.save(options.exportStores);
+        writeLine(`Store directory: ${directory.size} stores written to ${options.exportStores}`);
+        return 0;
+    }
+
+    let config = options.config;
+    if (options.resume) {
+        try {
+            config = await resolveResumeConfig(options);
+        } catch (error) {
+            if (error instanceof UsageError) {
+                process.stderr.write(`wfm-scan: ${error.message}\n`);
+                return 2;
+            }
+            throw error;
+        }
+    }
+    config.checkpointDirectory = options.checkpointDirectory;
+
+    // The scanner logs every step; keep stdout to progress lines unless asked for detail
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const scanner = new ScannerService(config);
+    scanner.onProgress = (progress) => writeLine(formatProgress(progress));
+    scanner.onResult = (result) => writeLine(formatResult(result));
+
+    // Ctrl+C (or a scheduler's SIGTERM) stops cleanly and still exports what was scanned
+    let stopping = false;
+    const stop = async (signal) => {
+        if (stopping) {
+            process.exit(130);
+        }
+        stopping = true;
+        process.stderr.write(`\nReceived ${signal}, stopping scan (press Ctrl+C again to abort)...\n`);
+        await scanner.stopScan();
+    };
+    process.on('SIGINT', () => stop('SIGINT'));
+    process.on('SIGTERM', () => stop('SIGTERM'));
+
+    writeLine(`Starting ${config.mode} scan (${config.settings.maxConcurrentAgents} agent(s), headless=${config.settings.headlessMode})`);
+
+    let results;
+    try {
+        results = await scanner.startScan();
+    } catch (error) {
+        if (!stopping) {
+            process.stderr.write(`wfm-scan: scan failed: ${error.message}\n`);
+            return 1;
+        }
+        results = scanner.results;
+    }
+
+    if (!results || results.length === 0) {
+        writeLine('No results to export');
+        return stopping ? 130 : 1;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const exportPath = options.output || path.join(process.cwd(), `WFM_Scan_Results_${timestamp}.xlsx`);
+    const exporter = new ExcelExporter(options.retention);
+    const finalExportPath = await exporter.exportResults(results, exportPath, { compareWith: options.compareWith });
+
+    const successCount = results.filter(r => r.success).length;
+    writeLine(`Done: ${successCount}/${results.length} succeeded`);
+    writeLine(`Workbook: ${finalExportPath}`);
+
+    if (options.retention.dryRun && options.retention.mode !== 'all') {
+        const plan = await exporter.planCleanup(path.dirname(finalExportPath), path.basename(finalExportPath));
+        writeLine(`Cleanup dry run (${exporter.describeRetention()}): ${plan.expired.length} file(s) would be ${plan.action === 'archive' ? 'archived' : 'deleted'}`);
+        plan.expired.forEach(file => writeLine(`  ${file.name}`));
+    }
+    return stopping ? 130 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            process.stderr.write(`wfm-scan: ${error.stack || error.message}\n`);
+            process.exit(1);
+        });
+}
+
+module.exports = { main, parseCliArgs };
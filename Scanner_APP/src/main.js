@@ -5,6 +5,9 @@ const fs = require('fs');
 // File to store last used files
 const configPath = path.join(app.getPath('userData'), 'scanner-config.json');
 
+// Directory for scan checkpoint journals (used to resume interrupted scans)
+const checkpointDir = path.join(app.getPath('userData'), 'checkpoints');
+
 let mainWindow;
 let currentScanner = null; // Track the current scanner instance
 
@@ -28,8 +31,14 @@ function loadConfig() {
             maxRetries: 3,
             headlessMode: false,
             captureScreenshots: false,
+            screenshotsOnFailureOnly: false,
             skipExistingResults: false,
-            maxConcurrentAgents: 3 // Multi-agent support
+            maxConcurrentAgents: 3, // Multi-agent support
+            retentionMode: 'count', // 'count', 'days' or 'all'
+            retentionCount: 3,
+            retentionDays: 30,
+            archiveOldFiles: false,
+            extractionProfile: null // Path to a custom extraction profile JSON, null = built-in default
         }
     };
 }
@@ -43,6 +52,94 @@ function saveConfig(config) {
     }
 }
 
+function getRetentionOptions(settings = {}) {
+    return {
+        mode: settings.retentionMode,
+        keepCount: settings.retentionCount,
+        keepDays: settings.retentionDays,
+        archive: settings.archiveOldFiles
+    };
+}
+
+async function getLastCheckpointSummary() {
+    const { CheckpointJournal } = require('./services/checkpointJournal');
+    const journal = await CheckpointJournal.findLatest(checkpointDir);
+    return journal ? await journal.getSummary() : null;
+}
+
+async function runScan(config) {
+    // Dynamically import the scanner service to avoid startup issues
+    const { ScannerService } = require('./services/scannerService');
+    const { ExcelExporter } = require('./services/excelExporter');
+    
+    // Get screen dimensions for Playwright positioning
+    const primaryDisplay = screen.getPrimaryDisplay();
+    const { width: screenWidth, height: screenHeight } = primaryDisplay.workAreaSize;
+    
+    // Calculate dimensions for side-by-side layout
+    const electronWidth = Math.floor(screenWidth / 2);
+    const playwrightWidth = screenWidth - electronWidth;
+    
+    const screenDimensions = {
+        screenWidth,
+        screenHeight,
+        electronX: 0,
+        electronY: 0,
+        electronWidth,
+        electronHeight: screenHeight,
+        playwrightX: electronWidth,
+        playwrightY: 0,
+        playwrightWidth,
+        playwrightHeight: screenHeight
+    };
+    
+    // Create scanner configuration
+    const scannerConfig = {
+        ...config,
+        screenDimensions,
+        checkpointDirectory: checkpointDir
+    };
+    
+    console.log('Starting scanner service...');
+    const scanner = new ScannerService(scannerConfig);
+    currentScanner = scanner; // Store reference for stopping
+    
+    // Set up progress callback
+    scanner.onProgress = (progress) => {
+        mainWindow.webContents.send('scan-progress', progress);
+    };
+    
+    // Set up result callback
+    scanner.onResult = (result) => {
+        mainWindow.webContents.send('scan-result', result);
+    };
+    
+    // Start the scan
+    const results = await scanner.startScan();
+    currentScanner = null; // Clear reference when done
+    
+    // Export results to Excel
+    console.log('Exporting results to Excel...');
+    const exporter = new ExcelExporter(getRetentionOptions(config.settings));
+    
+    // Generate export file path
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const exportPath = path.join(process.cwd(), `WFM_Scan_Results_${timestamp}.xlsx`);
+    
+    const finalExportPath = await exporter.exportResults(results, exportPath, {
+        compareWith: config.compareWithFile || null
+    });
+    
+    console.log('Scan completed successfully');
+    return {
+        success: true,
+        message: 'Scan completed successfully',
+        resultsCount: results.length,
+        exportPath: finalExportPath,
+        results: results
+    };
+}
+
 function createWindow() {
     console.log('Creating main window...');
     
@@ -136,9 +233,9 @@ function setupIpcHandlers() {
     ipcMain.handle('select-store-mapping-file', async () => {
         console.log('Store mapping file selection requested');
         const result = await dialog.showOpenDialog(mainWindow, {
-            title: 'Select Store Mapping CSV File',
+            title: 'Select Store Mapping / Store Directory File',
             filters: [
-                { name: 'CSV Files', extensions: ['csv'] }
+                { name: 'Store Directory', extensions: ['csv', 'xlsx'] }
             ],
             properties: ['openFile']
         });
@@ -183,81 +280,118 @@ function setupIpcHandlers() {
         return null;
     });
 
+    // Handle previous results selection (for the scan-to-scan diff)
+    ipcMain.handle('select-compare-file', async () => {
+        console.log('Compare file selection requested');
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Select Previous Scan Results',
+            filters: [
+                { name: 'Scan Results', extensions: ['xlsx', 'jsonl'] }
+            ],
+            properties: ['openFile']
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            console.log('Compare file selected:', result.filePaths[0]);
+            return result.filePaths[0];
+        }
+        return null;
+    });
+
+    // Handle extraction profile selection (validated before it is saved in settings)
+    ipcMain.handle('select-extraction-profile', async () => {
+        console.log('Extraction profile selection requested');
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Select Extraction Profile',
+            filters: [
+                { name: 'Extraction Profile', extensions: ['json'] }
+            ],
+            properties: ['openFile']
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        try {
+            const { ExtractionProfile } = require('./services/extractionProfile');
+            const profile = await ExtractionProfile.load(result.filePaths[0]);
+            return {
+                success: true,
+                filePath: result.filePaths[0],
+                name: profile.name,
+                fieldCount: Object.keys(profile.definition.fields).length
+            };
+        } catch (error) {
+            console.error('Extraction profile rejected:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    });
+
     // Handle scan start
     ipcMain.handle('start-scan', async (event, config) => {
         console.log('Scan start requested with config:', config);
         
         try {
-            // Dynamically import the scanner service to avoid startup issues
-            const { ScannerService } = require('./services/scannerService');
-            const { ExcelExporter } = require('./services/excelExporter');
-            
-            // Get screen dimensions for Playwright positioning
-            const primaryDisplay = screen.getPrimaryDisplay();
-            const { width: screenWidth, height: screenHeight } = primaryDisplay.workAreaSize;
-            
-            // Calculate dimensions for side-by-side layout
-            const electronWidth = Math.floor(screenWidth / 2);
-            const playwrightWidth = screenWidth - electronWidth;
-            
-            const screenDimensions = {
-                screenWidth,
-                screenHeight,
-                electronX: 0,
-                electronY: 0,
-                electronWidth,
-                electronHeight: screenHeight,
-                playwrightX: electronWidth,
-                playwrightY: 0,
-                playwrightWidth,
-                playwrightHeight: screenHeight
-            };
-            
-            // Create scanner configuration
-            const scannerConfig = {
-                ...config,
-                screenDimensions
-            };
-            
-            console.log('Starting scanner service...');
-            const scanner = new ScannerService(scannerConfig);
-            currentScanner = scanner; // Store reference for stopping
-            
-            // Set up progress callback
-            scanner.onProgress = (progress) => {
-                mainWindow.webContents.send('scan-progress', progress);
-            };
-            
-            // Set up result callback
-            scanner.onResult = (result) => {
-                mainWindow.webContents.send('scan-result', result);
-            };
-            
-            // Start the scan
-            const results = await scanner.startScan();
-            currentScanner = null; // Clear reference when done
-            
-            // Export results to Excel
-            console.log('Exporting results to Excel...');
-            const exporter = new ExcelExporter();
-            
-            // Generate export file path
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const exportPath = path.join(process.cwd(), `WFM_Scan_Results_${timestamp}.xlsx`);
+            // With "Skip Existing Results", continue the last checkpoint of the same scan setup if it was stopped or crashed;
+            // a completed scan starts a new journal so its prices are not reused forever
+            if (config.settings && config.settings.skipExistingResults) {
+                const summary = await getLastCheckpointSummary();
+                if (summary &&
+                    !summary.completed &&
+                    summary.mode === config.mode &&
+                    summary.storeMappingFile === config.storeMappingFile &&
+                    summary.itemListFile === (config.itemListFile || null)) {
+                    console.log('Skipping existing results from checkpoint:', summary.filePath);
+                    return await runScan({ ...config, resumeFrom: summary.filePath });
+                }
+            }
             
-            const finalExportPath = await exporter.exportResults(results, exportPath);
+            return await runScan(config);
             
-            console.log('Scan completed successfully');
+        } catch (error) {
+            console.error('Scan failed:', error);
             return {
-                success: true,
-                message: 'Scan completed successfully',
-                resultsCount: results.length,
-                exportPath: finalExportPath,
-                results: results
+                success: false,
+                error: error.message
             };
+        }
+    });
+
+    // Handle last checkpoint lookup (used to enable "Resume Last Scan")
+    ipcMain.handle('get-last-checkpoint', async () => {
+        try {
+            return await getLastCheckpointSummary();
+        } catch (error) {
+            console.error('Error reading last checkpoint:', error);
+            return null;
+        }
+    });
+
+    // Handle resuming the last checkpointed scan
+    ipcMain.handle('resume-scan', async (event, settings, compareWithFile) => {
+        console.log('Scan resume requested');
+        
+        try {
+            const summary = await getLastCheckpointSummary();
+            if (!summary) {
+                return { success: false, error: 'No checkpoint found to resume' };
+            }
+            
+            return await runScan({
+                storeMappingFile: summary.storeMappingFile,
+                itemListFile: summary.itemListFile,
+                compareWithFile,
+                mode: summary.mode,
+                settings,
+                resumeFrom: summary.filePath
+            });
             
         } catch (error) {
-            console.error('Scan failed:', error);
+            console.error('Scan resume failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -303,8 +437,44 @@ function setupIpcHandlers() {
         return null;
     });
 
+    // Export the selected store mapping file in the shared store directory format
+    ipcMain.handle('export-store-directory', async (event, storeMappingFile) => {
+        console.log('Store directory export requested from:', storeMappingFile);
+        
+        try {
+            const { StoreDirectory } = require('./services/storeDirectory');
+            const directory = await StoreDirectory.load(storeMappingFile);
+            
+            const result = await dialog.showSaveDialog(mainWindow, {
+                title: 'Export Store Directory',
+                defaultPath: `Store_Directory_${new Date().toISOString().split('T')[0]}.csv`,
+                filters: [
+                    { name: 'CSV Files', extensions: ['csv'] },
+                    { name: 'Excel Files', extensions: ['xlsx'] }
+                ]
+            });
+            
+            if (result.canceled || !result.filePath) {
+                return null;
+            }
+            
+            await directory.save(result.filePath);
+            return {
+                success: true,
+                filePath: result.filePath,
+                storeCount: directory.size
+            };
+        } catch (error) {
+            console.error('Store directory export failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    });
+
     // Handle results export
-    ipcMain.handle('export-results', async (event, exportPath) => {
+    ipcMain.handle('export-results', async (event, exportPath, compareWithFile) => {
         console.log('Results export requested to:', exportPath);
         
         try {
@@ -320,9 +490,11 @@ function setupIpcHandlers() {
 
             // Dynamically import the exporter
             const { ExcelExporter } = require('./services/excelExporter');
-            const exporter = new ExcelExporter();
+            const exporter = new ExcelExporter(getRetentionOptions(loadConfig().lastSettings));
             
-            const finalExportPath = await exporter.exportResults(results, exportPath);
+            const finalExportPath = await exporter.exportResults(results, exportPath, {
+                compareWith: compareWithFile || null
+            });
             
             console.log('Export completed successfully');
             return {
@@ -340,6 +512,31 @@ function setupIpcHandlers() {
         }
     });
 
+    // Preview which old export files the retention policy would remove
+    ipcMain.handle('preview-cleanup', async (event, settings) => {
+        try {
+            const { ExcelExporter } = require('./services/excelExporter');
+            const exporter = new ExcelExporter(getRetentionOptions(settings));
+            // Plan as the post-export cleanup will: the workbook about to be written counts as one of the kept files
+            const nextExportName = `WFM_Scan_Results_${new Date().toISOString().replace(/[:.]/g, '-')}.xlsx`;
+            const plan = await exporter.planCleanup(process.cwd(), nextExportName);
+            
+            return {
+                success: true,
+                policy: exporter.describeRetention(),
+                action: plan.action,
+                kept: plan.kept.map(file => file.name),
+                expired: plan.expired.map(file => file.name)
+            };
+        } catch (error) {
+            console.error('Cleanup preview failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    });
+
     console.log('IPC handlers set up');
 }
 
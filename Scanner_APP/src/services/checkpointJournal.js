@@ -0,0 +1,168 @@
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+
+const JOURNAL_PREFIX = 'WFM_Scan_Checkpoint_';
+
+class CheckpointJournal {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    static createPath(directory) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return path.join(directory, `${JOURNAL_PREFIX}${timestamp}.jsonl`);
+    }
+
+    static async findLatest(directory) {
+        try {
+            const files = (await fs.readdir(directory))
+                .filter(file => file.startsWith(JOURNAL_PREFIX) && file.endsWith('.jsonl'));
+
+            if (files.length === 0) {
+                return null;
+            }
+
+            const fileStats = await Promise.all(files.map(async (file) => {
+                const filePath = path.join(directory, file);
+                const stats = await fs.stat(filePath);
+                return { path: filePath, mtime: stats.mtime };
+            }));
+
+            // Most recently written journal first
+            fileStats.sort((a, b) => b.mtime - a.mtime);
+            return new CheckpointJournal(fileStats[0].path);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Error looking for checkpoint journals:', error.message);
+            }
+            return null;
+        }
+    }
+
+    async start(meta) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        this.append({ type: 'scan-start', startedAt: new Date().toISOString(), ...meta });
+        console.log(`📓 Checkpoint journal started: ${this.filePath}`);
+    }
+
+    append(entry) {
+        // Synchronous append so every emitted result is on disk before the next item starts,
+        // even if the process is killed mid-scan
+        try {
+            fsSync.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error('❌ Failed to write checkpoint entry:', error.message);
+        }
+    }
+
+    recordResult(result) {
+        this.append({ type: 'result', result });
+    }
+
+    recordStore(storeCode) {
+        this.append({ type: 'store', store: storeCode, at: new Date().toISOString() });
+    }
+
+    recordResume(resumedCount) {
+        this.append({ type: 'scan-resume', resumedAt: new Date().toISOString(), resumedCount });
+    }
+
+    recordComplete(stopped) {
+        this.append({ type: stopped ? 'scan-stopped' : 'scan-complete', at: new Date().toISOString() });
+    }
+
+    recordFailure(error) {
+        this.append({ type: 'scan-failed', at: new Date().toISOString(), error: error.message });
+    }
+
+    async load() {
+        const content = await fs.readFile(this.filePath, 'utf8');
+
+        // Terminate a truncated last line so entries appended on resume start on their own line
+        if (content.length > 0 && !content.endsWith('\n')) {
+            await fs.appendFile(this.filePath, '\n');
+        }
+        const state = {
+            filePath: this.filePath,
+            meta: null,
+            results: [],
+            currentStore: null,
+            completed: false
+        };
+
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A crash can leave a truncated last line; everything before it is still valid
+                console.warn(`⚠️ Skipping unreadable checkpoint line ${index + 1}`);
+                return;
+            }
+
+            switch (entry.type) {
+                case 'scan-start':
+                    state.meta = entry;
+                    break;
+                case 'result':
+                    state.results.push(entry.result);
+                    break;
+                case 'store':
+                    state.currentStore = entry.store;
+                    break;
+                case 'scan-resume':
+                case 'scan-stopped':
+                case 'scan-failed':
+                    state.completed = false;
+                    break;
+                case 'scan-complete':
+                    state.completed = true;
+                    break;
+            }
+        });
+
+        return state;
+    }
+
+    async getSummary() {
+        const state = await this.load();
+        const succeeded = CheckpointJournal.latestSuccessful(state.results);
+
+        return {
+            filePath: this.filePath,
+            mode: state.meta ? state.meta.mode : null,
+            storeMappingFile: state.meta ? state.meta.storeMappingFile : null,
+            itemListFile: state.meta ? state.meta.itemListFile : null,
+            startedAt: state.meta ? state.meta.startedAt : null,
+            currentStore: state.currentStore,
+            resultCount: state.results.length,
+            successCount: succeeded.size,
+            completed: state.completed
+        };
+    }
+
+    static resultKey(store, asin) {
+        return `${store}|${asin || ''}`;
+    }
+
+    static latestSuccessful(results) {
+        // Later entries win, so a pair that failed and then succeeded on resume counts as done
+        const succeeded = new Map();
+        results.forEach(result => {
+            const key = CheckpointJournal.resultKey(result.store, result.asin);
+            if (result.success) {
+                succeeded.set(key, result);
+            } else {
+                succeeded.delete(key);
+            }
+        });
+        return succeeded;
+    }
+}
+
+module.exports = { CheckpointJournal };
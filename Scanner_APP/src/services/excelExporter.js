@@ -1,18 +1,40 @@
 const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs').promises;
+const { CheckpointJournal } = require('./checkpointJournal');
+const { PriceModel } = require('./priceModel');
+
+// Change types reported by the scan-to-scan diff, in report order
+const CHANGE_TYPES = {
+    PRICE_CHANGED: 'Price Changed',
+    BECAME_UNAVAILABLE: 'Became Unavailable',
+    BECAME_AVAILABLE: 'Became Available',
+    LOST_ADD_TO_CART: 'Lost Add to Cart',
+    VARIATIONS_CHANGED: 'Variation Count Changed',
+    BUNDLE_PARTS_CHANGED: 'Bundle Parts Changed'
+};
 
 class ExcelExporter {
-    constructor() {
+    constructor(retention = {}) {
         this.workbook = null;
-        this.maxFiles = 3; // Keep only 3 most recent files
+        this.exportDirectory = null;
+        
+        // Retention policy for older WFM_Scan_Results files in the export directory
+        this.retention = {
+            mode: retention.mode || 'count', // 'count', 'days' or 'all'
+            keepCount: retention.keepCount || 3, // Files to keep in 'count' mode (including the new export)
+            keepDays: retention.keepDays || 30, // Age limit in 'days' mode
+            archive: retention.archive || false, // Zip expired files instead of deleting them
+            dryRun: retention.dryRun || false // Only log what would be removed
+        };
     }
 
-    async exportResults(results, filePath) {
+    async exportResults(results, filePath, options = {}) {
         try {
             console.log('📤 Starting Excel export...');
             
             this.workbook = new ExcelJS.Workbook();
+            this.exportDirectory = path.dirname(path.resolve(filePath));
             
             // Set workbook properties
             this.workbook.creator = 'WFM Scanner App';
@@ -22,6 +44,7 @@ class ExcelExporter {
             
             // Detect data type based on first result
             const isMerchandisingMode = results.length > 0 && results[0].mode === 'merchandising';
+            const isCompetitiveMode = results.length > 0 && results[0].mode === 'competitive';
             
             if (isMerchandisingMode) {
                 console.log('📊 Detected merchandising mode data, creating merchandising worksheets...');
@@ -31,6 +54,15 @@ class ExcelExporter {
                 await this.createMerchandisingSummaryWorksheet(results);
                 await this.createShovelerDetailsWorksheet(results);
                 
+            } else if (isCompetitiveMode) {
+                console.log('📊 Detected competitive mode data, creating competitive worksheets...');
+                
+                // Same per-item sheets as item mode, plus the ASIN x store pivot
+                await this.createResultsWorksheet(results);
+                await this.createCompetitiveMatrixWorksheet(results);
+                await this.createSummaryWorksheet(results);
+                await this.createStoreBreakdownWorksheet(results);
+                
             } else {
                 console.log('📊 Detected item mode data, creating item worksheets...');
                 
@@ -40,6 +72,23 @@ class ExcelExporter {
                 await this.createStoreBreakdownWorksheet(results);
             }
             
+            // Optional scan-to-scan diff against a previous workbook or checkpoint journal; a missing or unreadable
+            // previous file only drops the Changes sheets, never the export itself
+            if (options.compareWith && !isMerchandisingMode) {
+                try {
+                    const previousResults = await this.loadPreviousResults(options.compareWith);
+                    const changes = this.compareResults(previousResults, results);
+                    await this.createChangesWorksheet(changes, options.compareWith);
+                    await this.createChangeSummaryWorksheet(changes);
+                } catch (error) {
+                    console.warn(`⚠️ Skipping the Changes sheets, could not compare with ${options.compareWith}: ${error.message}`);
+                    ['Changes', 'Change Summary'].forEach(name => {
+                        const worksheet = this.workbook.getWorksheet(name);
+                        if (worksheet) this.workbook.removeWorksheet(worksheet.id);
+                    });
+                }
+            }
+            
             // Save the workbook
             await this.workbook.xlsx.writeFile(filePath);
             
@@ -59,12 +108,21 @@ class ExcelExporter {
         const worksheet = this.workbook.addWorksheet('Scan Results');
         
         // Define columns with enhanced data fields including variations and bundle data
-        worksheet.columns = [
+        const columns = [
             { header: 'Store Code', key: 'store', width: 12 },
             { header: 'ASIN', key: 'asin', width: 15 },
             { header: 'Item Name', key: 'name', width: 30 },
             { header: 'Extracted Name', key: 'extractedName', width: 40 },
             { header: 'Price', key: 'price', width: 12 },
+            { header: 'Price Amount', key: 'priceAmount', width: 13, style: { numFmt: '#,##0.00' } },
+            { header: 'Currency', key: 'currency', width: 10 },
+            { header: 'Regular Price', key: 'regularPrice', width: 13, style: { numFmt: '#,##0.00' } },
+            { header: 'Sale Price', key: 'salePrice', width: 12, style: { numFmt: '#,##0.00' } },
+            { header: 'On Sale', key: 'onSale', width: 10 },
+            { header: 'Prime Price', key: 'primePrice', width: 12, style: { numFmt: '#,##0.00' } },
+            { header: 'Unit Price', key: 'unitPrice', width: 12, style: { numFmt: '#,##0.00' } },
+            { header: 'Unit', key: 'unit', width: 8 },
+            { header: 'Price Per Weight', key: 'pricePerWeight', width: 16 },
             { header: 'Has Nutrition Facts', key: 'hasNutritionFacts', width: 18 },
             { header: 'Has Ingredients', key: 'hasIngredients', width: 16 },
             { header: 'Has Add to Cart', key: 'hasAddToCart', width: 16 },
@@ -74,9 +132,20 @@ class ExcelExporter {
             { header: 'Bundle Parts', key: 'bundlePartsCount', width: 14 },
             { header: 'Status', key: 'status', width: 12 },
             { header: 'Load Time (ms)', key: 'loadTime', width: 15 },
+            { header: 'Attempts', key: 'attempts', width: 10 },
             { header: 'Error Message', key: 'error', width: 50 },
+            { header: 'Attempt Errors', key: 'attemptErrors', width: 60 },
             { header: 'Timestamp', key: 'timestamp', width: 20 },
-            { header: 'Item URL', key: 'url', width: 60 }
+            { header: 'Item URL', key: 'url', width: 60 },
+            { header: 'Screenshot', key: 'screenshot', width: 30 },
+            { header: 'Extraction Profile', key: 'extractionProfile', width: 20 }
+        ];
+        
+        // Extra fields defined by the extraction profile get one column each
+        const profileFieldKeys = [...new Set(results.flatMap(result => Object.keys(result.profileFields || {})))];
+        worksheet.columns = [
+            ...columns,
+            ...profileFieldKeys.map(key => ({ header: this.formatFieldLabel(key), key: `profile_${key}`, width: 18 }))
         ];
         
         // Style the header row
@@ -91,12 +160,23 @@ class ExcelExporter {
         
         // Add data rows
         results.forEach((result, index) => {
+            const priceModel = result.priceModel || {};
             const row = worksheet.addRow({
                 store: result.store,
                 asin: result.asin,
                 name: result.name,
                 extractedName: result.extractedName || 'N/A',
                 price: result.price || 'N/A',
+                // Numeric price columns so the sheet sorts and filters by value, not by text
+                priceAmount: PriceModel.getAmount(result),
+                currency: priceModel.currency || '',
+                regularPrice: priceModel.regularPrice ?? null,
+                salePrice: priceModel.salePrice ?? null,
+                onSale: result.priceModel ? (priceModel.onSale ? 'YES' : 'NO') : '',
+                primePrice: priceModel.primePrice ?? null,
+                unitPrice: priceModel.unitPrice ?? null,
+                unit: priceModel.unit || '',
+                pricePerWeight: result.priceModel ? (priceModel.pricePerWeight ? 'YES' : 'NO') : '',
                 hasNutritionFacts: result.hasNutritionFacts ? 'YES' : 'NO',
                 hasIngredients: result.hasIngredients ? 'YES' : 'NO',
                 hasAddToCart: result.hasAddToCart ? 'YES' : 'NO',
@@ -106,9 +186,18 @@ class ExcelExporter {
                 bundlePartsCount: result.bundlePartsCount || 0,
                 status: result.success ? 'SUCCESS' : 'FAILED',
                 loadTime: result.loadTime || '',
+                attempts: result.attempts || '',
                 error: result.error || '',
+                attemptErrors: (result.attemptErrors || [])
+                    .map(entry => `#${entry.attempt} [${entry.reason}] ${entry.error}`)
+                    .join(' | '),
                 timestamp: new Date(result.timestamp).toLocaleString(),
-                url: `https://www.wholefoodsmarket.com/name/dp/${result.asin}?pd_rd_i=${result.asin}&fpw=alm&almBrandId=aNHVc2Akvg`
+                url: `https://www.wholefoodsmarket.com/name/dp/${result.asin}?pd_rd_i=${result.asin}&fpw=alm&almBrandId=aNHVc2Akvg`,
+                extractionProfile: result.extractionProfile || ''
+            });
+            
+            profileFieldKeys.forEach(key => {
+                row.getCell(`profile_${key}`).value = this.formatFieldValue((result.profileFields || {})[key]);
             });
             
             // Color code rows based on success/failure
@@ -172,6 +261,18 @@ class ExcelExporter {
                 hyperlink: `https://www.wholefoodsmarket.com/name/dp/${result.asin}?pd_rd_i=${result.asin}&fpw=alm&almBrandId=aNHVc2Akvg`
             };
             row.getCell('url').font = { color: { argb: '0563C1' }, underline: true };
+            
+            // Link to the item screenshot, relative to the workbook so the folder can be moved together
+            if (result.screenshotPath) {
+                const linkPath = this.exportDirectory
+                    ? path.relative(this.exportDirectory, result.screenshotPath).split(path.sep).join('/')
+                    : result.screenshotPath;
+                row.getCell('screenshot').value = {
+                    text: path.basename(result.screenshotPath),
+                    hyperlink: linkPath
+                };
+                row.getCell('screenshot').font = { color: { argb: '0563C1' }, underline: true };
+            }
         });
         
         // Add borders to all cells
@@ -211,6 +312,9 @@ class ExcelExporter {
         // Calculate enhanced data statistics
         const successfulResults = results.filter(r => r.success);
         const itemsWithPrice = successfulResults.filter(r => r.price && r.price !== 'N/A').length;
+        const itemsOnSale = successfulResults.filter(r => r.priceModel && r.priceModel.onSale).length;
+        const itemsWithPrimePrice = successfulResults.filter(r => r.priceModel && r.priceModel.primePrice !== null).length;
+        const itemsPricedByWeight = successfulResults.filter(r => r.priceModel && r.priceModel.pricePerWeight).length;
         const itemsWithNutrition = successfulResults.filter(r => r.hasNutritionFacts).length;
         const itemsWithIngredients = successfulResults.filter(r => r.hasIngredients).length;
         const itemsWithAddToCart = successfulResults.filter(r => r.hasAddToCart).length;
@@ -222,6 +326,9 @@ class ExcelExporter {
         const bundleItems = successfulResults.filter(r => r.isBundle).length;
         const totalBundleParts = successfulResults.reduce((sum, r) => sum + (r.bundlePartsCount || 0), 0);
         const avgBundlePartsPerItem = bundleItems > 0 ? (totalBundleParts / bundleItems).toFixed(1) : 0;
+        const retriedItems = results.filter(r => r.attempts > 1).length;
+        const totalRetries = results.reduce((sum, r) => sum + (r.attempts > 1 ? r.attempts - 1 : 0), 0);
+        const recoveredItems = results.filter(r => r.success && r.attempts > 1).length;
         
         // Create summary table
         const summaryData = [
@@ -234,10 +341,16 @@ class ExcelExporter {
             ['Success Rate', `${successRate}%`],
             ['Average Load Time', avgLoadTime > 0 ? `${Math.round(avgLoadTime)}ms` : 'N/A'],
             ['Stores Processed', uniqueStores],
+            ['Items Retried', retriedItems],
+            ['Total Retries', totalRetries],
+            ['Recovered by Retry', recoveredItems],
             ['', ''],
             ['Data Extraction Summary', ''],
             ['Items with Extracted Names', `${extractedNames} (${successfulItems > 0 ? ((extractedNames / successfulItems) * 100).toFixed(1) : 0}%)`],
             ['Items with Price Data', `${itemsWithPrice} (${successfulItems > 0 ? ((itemsWithPrice / successfulItems) * 100).toFixed(1) : 0}%)`],
+            ['Items on Sale', `${itemsOnSale} (${successfulItems > 0 ? ((itemsOnSale / successfulItems) * 100).toFixed(1) : 0}%)`],
+            ['Items with Prime Price', `${itemsWithPrimePrice} (${successfulItems > 0 ? ((itemsWithPrimePrice / successfulItems) * 100).toFixed(1) : 0}%)`],
+            ['Items Priced by Weight', `${itemsPricedByWeight} (${successfulItems > 0 ? ((itemsPricedByWeight / successfulItems) * 100).toFixed(1) : 0}%)`],
             ['Items with Nutrition Facts', `${itemsWithNutrition} (${successfulItems > 0 ? ((itemsWithNutrition / successfulItems) * 100).toFixed(1) : 0}%)`],
             ['Items with Ingredients', `${itemsWithIngredients} (${successfulItems > 0 ? ((itemsWithIngredients / successfulItems) * 100).toFixed(1) : 0}%)`],
             ['Items with Add to Cart', `${itemsWithAddToCart} (${successfulItems > 0 ? ((itemsWithAddToCart / successfulItems) * 100).toFixed(1) : 0}%)`],
@@ -418,61 +531,628 @@ class ExcelExporter {
         console.log(`✅ Store breakdown worksheet created with ${storeStats.size} stores`);
     }
 
-    async cleanupOldFiles(currentFilePath) {
-        try {
-            const directory = path.dirname(currentFilePath);
-            const currentFileName = path.basename(currentFilePath);
-            
-            // Read all files in the directory
-            const files = await fs.readdir(directory);
-            
-            // Filter for WFM scan result files (Excel files with our naming pattern)
-            const scanFiles = files.filter(file => {
-                return file.startsWith('WFM_Scan_Results') &&
-                       (file.endsWith('.xlsx') || file.endsWith('.xls')) &&
-                       file !== currentFileName; // Exclude the current file
-            });
+    formatFieldLabel(key) {
+        // unitPrice -> Unit Price, prime_only -> Prime Only
+        return key
+            .replace(/[_-]+/g, ' ')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/\b\w/g, char => char.toUpperCase());
+    }
+
+    formatFieldValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'YES' : 'NO';
+        }
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
+        return value;
+    }
+
+    async createCompetitiveMatrixWorksheet(results) {
+        const worksheet = this.workbook.addWorksheet('Competitive Matrix');
+        
+        // Pivot results into one row per ASIN with one cell per store
+        const stores = Array.from(new Set(results.map(r => r.store))).sort((a, b) => a.localeCompare(b));
+        const itemMap = new Map();
+        
+        results.forEach(result => {
+            if (!itemMap.has(result.asin)) {
+                itemMap.set(result.asin, {
+                    asin: result.asin,
+                    name: result.name,
+                    extractedName: null,
+                    cells: new Map()
+                });
+            }
             
-            if (scanFiles.length >= this.maxFiles) {
-                // Get file stats to sort by creation/modification time
-                const fileStats = await Promise.all(
-                    scanFiles.map(async (file) => {
-                        const filePath = path.join(directory, file);
-                        const stats = await fs.stat(filePath);
-                        return {
-                            name: file,
-                            path: filePath,
-                            mtime: stats.mtime
-                        };
-                    })
-                );
+            const item = itemMap.get(result.asin);
+            if (!item.extractedName && result.extractedName) {
+                item.extractedName = result.extractedName;
+            }
+            item.cells.set(result.store, result);
+        });
+        
+        // Define columns: item identity, one price column per store, then spread statistics
+        worksheet.columns = [
+            { header: 'ASIN', key: 'asin', width: 15 },
+            { header: 'Item Name', key: 'name', width: 40 },
+            ...stores.map(store => ({ header: store, key: `store_${store}`, width: 12 })),
+            { header: 'Stores Available', key: 'availableCount', width: 16 },
+            { header: 'Min Price', key: 'minPrice', width: 12 },
+            { header: 'Max Price', key: 'maxPrice', width: 12 },
+            { header: 'Spread', key: 'spread', width: 12 },
+            { header: 'Spread %', key: 'spreadPercent', width: 12 },
+            { header: 'Cheapest Store', key: 'minStore', width: 16 },
+            { header: 'Most Expensive Store', key: 'maxStore', width: 20 }
+        ];
+        
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        Array.from(itemMap.values())
+            .sort((a, b) => a.asin.localeCompare(b.asin))
+            .forEach(item => {
+                const rowData = {
+                    asin: item.asin,
+                    name: item.extractedName || item.name
+                };
+                
+                let availableCount = 0;
+                let minPrice = null;
+                let maxPrice = null;
+                let minStore = '';
+                let maxStore = '';
+                
+                stores.forEach(store => {
+                    const result = item.cells.get(store);
+                    const price = result && result.success ? PriceModel.getAmount(result) : null;
+                    
+                    if (!result) {
+                        rowData[`store_${store}`] = '';
+                    } else if (!result.success) {
+                        rowData[`store_${store}`] = 'ERROR';
+                    } else {
+                        rowData[`store_${store}`] = price !== null ? price : 'NO PRICE';
+                    }
+                    
+                    if (result && result.success && result.isAvailable) {
+                        availableCount++;
+                    }
+                    
+                    // Only prices from stores where the item can be bought count toward the spread
+                    if (price !== null && result.isAvailable) {
+                        if (minPrice === null || price < minPrice) {
+                            minPrice = price;
+                            minStore = store;
+                        }
+                        if (maxPrice === null || price > maxPrice) {
+                            maxPrice = price;
+                            maxStore = store;
+                        }
+                    }
+                });
+                
+                const spread = minPrice !== null ? maxPrice - minPrice : null;
                 
-                // Sort by modification time (newest first)
-                fileStats.sort((a, b) => b.mtime - a.mtime);
+                rowData.availableCount = `${availableCount}/${stores.length}`;
+                rowData.minPrice = minPrice !== null ? minPrice : 'N/A';
+                rowData.maxPrice = maxPrice !== null ? maxPrice : 'N/A';
+                rowData.spread = spread !== null ? spread : 'N/A';
+                rowData.spreadPercent = spread !== null && minPrice > 0 ? spread / minPrice : 'N/A';
+                rowData.minStore = minStore;
+                rowData.maxStore = maxStore;
                 
-                // Keep only the most recent (maxFiles - 1) files, since we just created a new one
-                const filesToDelete = fileStats.slice(this.maxFiles - 1);
+                const row = worksheet.addRow(rowData);
                 
-                // Delete old files
-                for (const fileInfo of filesToDelete) {
-                    try {
-                        await fs.unlink(fileInfo.path);
-                        console.log(`🗑️ Cleaned up old export file: ${fileInfo.name}`);
-                    } catch (deleteError) {
-                        console.warn(`⚠️ Failed to delete old file ${fileInfo.name}:`, deleteError.message);
+                // Color code each store cell by availability
+                stores.forEach(store => {
+                    const result = item.cells.get(store);
+                    const cell = row.getCell(`store_${store}`);
+                    
+                    if (typeof cell.value === 'number') {
+                        cell.numFmt = '$#,##0.00';
+                    }
+                    
+                    if (!result) {
+                        return;
                     }
+                    
+                    if (!result.success) {
+                        cell.fill = {
+                            type: 'pattern',
+                            pattern: 'solid',
+                            fgColor: { argb: 'E7E6E6' }
+                        };
+                        cell.font = { color: { argb: '7F7F7F' } };
+                    } else if (result.isAvailable) {
+                        cell.fill = {
+                            type: 'pattern',
+                            pattern: 'solid',
+                            fgColor: { argb: 'C6EFCE' }
+                        };
+                        cell.font = { color: { argb: '006100' } };
+                    } else {
+                        cell.fill = {
+                            type: 'pattern',
+                            pattern: 'solid',
+                            fgColor: { argb: 'FFC7CE' }
+                        };
+                        cell.font = { color: { argb: '9C0006' } };
+                    }
+                });
+                
+                ['minPrice', 'maxPrice', 'spread'].forEach(key => {
+                    if (typeof row.getCell(key).value === 'number') {
+                        row.getCell(key).numFmt = '$#,##0.00';
+                    }
+                });
+                if (typeof row.getCell('spreadPercent').value === 'number') {
+                    row.getCell('spreadPercent').numFmt = '0.0%';
                 }
                 
-                if (filesToDelete.length > 0) {
-                    console.log(`🧹 Cleaned up ${filesToDelete.length} old export file(s), keeping ${this.maxFiles} most recent files`);
+                // Highlight items with a large price spread between stores
+                if (spread !== null && minPrice > 0 && spread / minPrice >= 0.1) {
+                    row.getCell('spread').fill = {
+                        type: 'pattern',
+                        pattern: 'solid',
+                        fgColor: { argb: 'FFEB9C' }
+                    };
                 }
-            } else {
-                console.log(`📁 Found ${scanFiles.length} existing export files, no cleanup needed (max: ${this.maxFiles})`);
+            });
+        
+        // Add borders to all cells
+        worksheet.eachRow((row) => {
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        // Freeze the header row and the item identity columns
+        worksheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 1 }];
+        
+        console.log(`✅ Competitive matrix worksheet created with ${itemMap.size} items across ${stores.length} stores`);
+    }
+
+    async loadPreviousResults(filePath) {
+        console.log(`📂 Loading previous results for comparison: ${filePath}`);
+        
+        if (path.extname(filePath).toLowerCase() === '.jsonl') {
+            const state = await new CheckpointJournal(filePath).load();
+            return state.results;
+        }
+        
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filePath);
+        
+        const worksheet = workbook.getWorksheet('Scan Results');
+        if (!worksheet) {
+            throw new Error(`No "Scan Results" worksheet found in ${path.basename(filePath)}`);
+        }
+        
+        // Map the Scan Results headers written by createResultsWorksheet back to result fields
+        const headerKeys = {
+            'Store Code': 'store',
+            'ASIN': 'asin',
+            'Item Name': 'name',
+            'Extracted Name': 'extractedName',
+            'Price': 'price',
+            'Price Amount': 'priceAmount',
+            'Has Add to Cart': 'hasAddToCart',
+            'Is Available': 'isAvailable',
+            'Variations': 'variationCount',
+            'Bundle Parts': 'bundlePartsCount',
+            'Status': 'status'
+        };
+        const columns = {};
+        worksheet.getRow(1).eachCell((cell, colNumber) => {
+            const key = headerKeys[String(cell.value).trim()];
+            if (key) {
+                columns[key] = colNumber;
+            }
+        });
+        
+        if (!columns.store || !columns.asin) {
+            throw new Error(`${path.basename(filePath)} is not a WFM scan results workbook`);
+        }
+        
+        const results = [];
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) {
+                return;
+            }
+            
+            const value = key => {
+                if (!columns[key]) {
+                    return null;
+                }
+                const cellValue = row.getCell(columns[key]).value;
+                return cellValue && typeof cellValue === 'object' && 'text' in cellValue ? cellValue.text : cellValue;
+            };
+            
+            results.push({
+                store: value('store'),
+                asin: value('asin'),
+                name: value('name'),
+                extractedName: value('extractedName') === 'N/A' ? null : value('extractedName'),
+                price: value('price') === 'N/A' ? null : value('price'),
+                priceModel: typeof value('priceAmount') === 'number' ? { amount: value('priceAmount') } : null,
+                hasAddToCart: value('hasAddToCart') === 'YES',
+                isAvailable: value('isAvailable') === 'YES',
+                variationCount: parseInt(value('variationCount')) || 0,
+                bundlePartsCount: parseInt(value('bundlePartsCount')) || 0,
+                success: value('status') === 'SUCCESS'
+            });
+        });
+        
+        return results;
+    }
+
+    compareResults(previousResults, currentResults) {
+        // Only pairs that scanned successfully in both runs can be compared;
+        // later results for the same store/ASIN win (e.g. after a resumed scan)
+        const indexSuccessful = results => {
+            const index = new Map();
+            results.forEach(result => {
+                if (result && result.success && result.asin) {
+                    index.set(CheckpointJournal.resultKey(result.store, result.asin), result);
+                }
+            });
+            return index;
+        };
+        
+        const previous = indexSuccessful(previousResults);
+        const current = indexSuccessful(currentResults);
+        const changes = [];
+        
+        current.forEach((after, key) => {
+            const before = previous.get(key);
+            if (!before) {
+                return;
+            }
+            
+            const addChange = (type, beforeValue, afterValue) => {
+                changes.push({
+                    store: after.store,
+                    asin: after.asin,
+                    name: after.extractedName || after.name || before.extractedName || before.name,
+                    type,
+                    before: beforeValue,
+                    after: afterValue
+                });
+            };
+            
+            const beforePrice = PriceModel.getAmount(before);
+            const afterPrice = PriceModel.getAmount(after);
+            if (beforePrice !== afterPrice) {
+                addChange('PRICE_CHANGED', before.price || 'N/A', after.price || 'N/A');
+            }
+            
+            if (before.isAvailable && !after.isAvailable) {
+                addChange('BECAME_UNAVAILABLE', 'YES', 'NO');
+            } else if (!before.isAvailable && after.isAvailable) {
+                addChange('BECAME_AVAILABLE', 'NO', 'YES');
+            }
+            
+            if (before.hasAddToCart && !after.hasAddToCart) {
+                addChange('LOST_ADD_TO_CART', 'YES', 'NO');
+            }
+            
+            if ((before.variationCount || 0) !== (after.variationCount || 0)) {
+                addChange('VARIATIONS_CHANGED', before.variationCount || 0, after.variationCount || 0);
             }
+            
+            if ((before.bundlePartsCount || 0) !== (after.bundlePartsCount || 0)) {
+                addChange('BUNDLE_PARTS_CHANGED', before.bundlePartsCount || 0, after.bundlePartsCount || 0);
+            }
+        });
+        
+        const typeOrder = Object.keys(CHANGE_TYPES);
+        changes.sort((a, b) =>
+            a.store.localeCompare(b.store) ||
+            typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) ||
+            a.asin.localeCompare(b.asin)
+        );
+        
+        console.log(`🔀 Found ${changes.length} changes across ${current.size} comparable items`);
+        return changes;
+    }
+
+    async createChangesWorksheet(changes, previousFilePath) {
+        const worksheet = this.workbook.addWorksheet('Changes');
+        
+        worksheet.columns = [
+            { header: 'Store Code', key: 'store', width: 12 },
+            { header: 'ASIN', key: 'asin', width: 15 },
+            { header: 'Item Name', key: 'name', width: 40 },
+            { header: 'Change', key: 'change', width: 24 },
+            { header: 'Before', key: 'before', width: 16 },
+            { header: 'After', key: 'after', width: 16 }
+        ];
+        
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        // Changes that need attention are red, recoveries green, everything else amber
+        const changeColors = {
+            BECAME_UNAVAILABLE: 'FFC7CE',
+            LOST_ADD_TO_CART: 'FFC7CE',
+            BECAME_AVAILABLE: 'C6EFCE'
+        };
+        
+        let currentStore = null;
+        changes.forEach(change => {
+            // Group rows under a header row per store
+            if (change.store !== currentStore) {
+                currentStore = change.store;
+                const storeCount = changes.filter(c => c.store === currentStore).length;
+                const groupRow = worksheet.addRow({ store: `${currentStore} (${storeCount} changes)` });
+                groupRow.font = { bold: true, color: { argb: '366092' } };
+                groupRow.getCell('store').fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: 'E7E6E6' }
+                };
+            }
+            
+            const row = worksheet.addRow({
+                store: change.store,
+                asin: change.asin,
+                name: change.name || '',
+                change: CHANGE_TYPES[change.type],
+                before: change.before,
+                after: change.after
+            });
+            
+            row.getCell('change').fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: changeColors[change.type] || 'FFEB9C' }
+            };
+        });
+        
+        if (changes.length === 0) {
+            worksheet.addRow({ store: `No changes compared to ${path.basename(previousFilePath)}` });
+        }
+        
+        // Add borders to all cells
+        worksheet.eachRow((row) => {
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        // Freeze the header row
+        worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+        
+        console.log(`✅ Changes worksheet created with ${changes.length} changes`);
+    }
+
+    async createChangeSummaryWorksheet(changes) {
+        const worksheet = this.workbook.addWorksheet('Change Summary');
+        
+        const typeKeys = Object.keys(CHANGE_TYPES);
+        const stores = Array.from(new Set(changes.map(c => c.store))).sort((a, b) => a.localeCompare(b));
+        
+        // One count column per change type, one row per store plus a total row
+        worksheet.columns = [
+            { header: 'Store Code', key: 'store', width: 14 },
+            ...typeKeys.map(type => ({ header: CHANGE_TYPES[type], key: type, width: 20 })),
+            { header: 'Total Changes', key: 'total', width: 14 }
+        ];
+        
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        const countRow = (label, storeChanges) => {
+            const rowData = { store: label, total: storeChanges.length };
+            typeKeys.forEach(type => {
+                rowData[type] = storeChanges.filter(c => c.type === type).length;
+            });
+            return rowData;
+        };
+        
+        stores.forEach(store => {
+            worksheet.addRow(countRow(store, changes.filter(c => c.store === store)));
+        });
+        
+        const totalRow = worksheet.addRow(countRow('TOTAL', changes));
+        totalRow.font = { bold: true };
+        
+        // Add borders to all cells
+        worksheet.eachRow((row) => {
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        // Freeze the header row
+        worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+        
+        console.log(`✅ Change summary worksheet created for ${stores.length} stores`);
+    }
+
+    async planCleanup(directory, excludeFileName = null) {
+        const { mode, keepCount, keepDays } = this.retention;
+        
+        // Filter for WFM scan result files (Excel files with our naming pattern)
+        const files = await fs.readdir(directory);
+        const scanFiles = files.filter(file => {
+            return file.startsWith('WFM_Scan_Results') &&
+                   (file.endsWith('.xlsx') || file.endsWith('.xls')) &&
+                   file !== excludeFileName; // Exclude the current file
+        });
+        
+        // Get file stats to sort by modification time (newest first)
+        const fileStats = await Promise.all(
+            scanFiles.map(async (file) => {
+                const filePath = path.join(directory, file);
+                const stats = await fs.stat(filePath);
+                return {
+                    name: file,
+                    path: filePath,
+                    mtime: stats.mtime
+                };
+            })
+        );
+        fileStats.sort((a, b) => b.mtime - a.mtime);
+        
+        let expired = [];
+        if (mode === 'count') {
+            // The current export counts toward the limit, so keep (keepCount - 1) older files
+            const keepOlder = excludeFileName ? keepCount - 1 : keepCount;
+            expired = fileStats.slice(Math.max(keepOlder, 0));
+        } else if (mode === 'days') {
+            const cutoff = Date.now() - keepDays * 24 * 60 * 60 * 1000;
+            expired = fileStats.filter(file => file.mtime.getTime() < cutoff);
+        }
+        
+        return {
+            mode,
+            action: this.retention.archive ? 'archive' : 'delete',
+            directory,
+            kept: fileStats.filter(file => !expired.includes(file)),
+            expired
+        };
+    }
+
+    async cleanupOldFiles(currentFilePath, options = {}) {
+        const dryRun = options.dryRun !== undefined ? options.dryRun : this.retention.dryRun;
+        
+        try {
+            const directory = path.dirname(currentFilePath);
+            const currentFileName = path.basename(currentFilePath);
+            
+            if (this.retention.mode === 'all') {
+                console.log('📁 Retention policy is "keep everything", no cleanup needed');
+                return null;
+            }
+            
+            const plan = await this.planCleanup(directory, currentFileName);
+            
+            if (plan.expired.length === 0) {
+                console.log(`📁 Found ${plan.kept.length} existing export files, no cleanup needed (${this.describeRetention()})`);
+                return plan;
+            }
+            
+            if (dryRun) {
+                plan.expired.forEach(fileInfo => {
+                    console.log(`👀 [dry run] Would ${plan.action} old export file: ${fileInfo.name}`);
+                });
+                return plan;
+            }
+            
+            if (plan.action === 'archive') {
+                plan.archivePath = await this.archiveFiles(plan.expired, directory);
+            }
+            
+            // Delete old files (already copied into the archive when archiving; a failed archive throws before this)
+            for (const fileInfo of plan.expired) {
+                try {
+                    await fs.unlink(fileInfo.path);
+                    console.log(`🗑️ Cleaned up old export file: ${fileInfo.name}`);
+                } catch (deleteError) {
+                    console.warn(`⚠️ Failed to delete old file ${fileInfo.name}:`, deleteError.message);
+                }
+            }
+            
+            console.log(`🧹 Cleaned up ${plan.expired.length} old export file(s) (${this.describeRetention()})`);
+            return plan;
+            
         } catch (error) {
             console.warn('⚠️ Error during file cleanup:', error.message);
             // Don't throw error - cleanup failure shouldn't prevent export success
+            return null;
+        }
+    }
+
+    async archiveFiles(files, directory) {
+        const archiver = require('archiver');
+        const fsSync = require('fs');
+        
+        // One dated archive per cleanup run; never overwrite an earlier archive from the same day
+        const date = new Date().toISOString().split('T')[0];
+        let archivePath = path.join(directory, `WFM_Scan_Results_Archive_${date}.zip`);
+        for (let suffix = 2; fsSync.existsSync(archivePath); suffix++) {
+            archivePath = path.join(directory, `WFM_Scan_Results_Archive_${date}_${suffix}.zip`);
+        }
+        
+        try {
+            await new Promise((resolve, reject) => {
+                const output = fsSync.createWriteStream(archivePath);
+                const archive = archiver('zip', { zlib: { level: 9 } });
+                const fail = error => {
+                    archive.abort();
+                    output.destroy();
+                    reject(error);
+                };
+                
+                // pipe() does not forward write errors (disk full, permissions), so both streams report failures
+                output.on('close', resolve);
+                output.on('error', fail);
+                archive.on('error', fail);
+                
+                archive.pipe(output);
+                files.forEach(fileInfo => {
+                    archive.file(fileInfo.path, { name: fileInfo.name, date: fileInfo.mtime });
+                });
+                archive.finalize();
+            });
+        } catch (error) {
+            // An incomplete archive is removed; the caller keeps the originals
+            await fs.unlink(archivePath).catch(() => {});
+            throw error;
         }
+        
+        console.log(`📦 Archived ${files.length} old export file(s) to ${path.basename(archivePath)}`);
+        return archivePath;
+    }
+
+    describeRetention() {
+        const { mode, keepCount, keepDays, archive } = this.retention;
+        const policy = mode === 'count' ? `keep last ${keepCount} files`
+            : mode === 'days' ? `keep files for ${keepDays} days`
+            : 'keep everything';
+        return archive && mode !== 'all' ? `${policy}, archive older files` : policy;
     }
 
     async createMerchandisingResultsWorksheet(results) {
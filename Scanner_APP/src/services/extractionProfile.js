@@ -0,0 +1,403 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PriceModel } = require('./priceModel');
+
+const DEFAULT_PROFILE_PATH = path.join(__dirname, '..', 'profiles', 'wfm-default.json');
+
+const METHODS = ['text', 'attr', 'exists', 'regex'];
+const POST_PROCESSORS = ['trim', 'collapseWhitespace', 'lowercase', 'uppercase', 'number', 'boolean'];
+
+// Fields that map onto the scanner's fixed result columns; any other field lands in result.profileFields
+const CORE_FIELDS = ['name', 'price', 'regularPrice', 'primePrice', 'unitPrice', 'hasNutritionFacts', 'hasIngredients', 'hasAddToCart', 'isAvailable'];
+
+class ExtractionProfileError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n- ${problems.join('\n- ')}` : message);
+        this.name = 'ExtractionProfileError';
+        this.problems = problems;
+    }
+}
+
+class ExtractionProfile {
+    constructor(definition, filePath = null) {
+        this.filePath = filePath;
+        this.definition = ExtractionProfile.normalize(definition);
+        this.name = this.definition.name;
+    }
+
+    static get defaultPath() {
+        return DEFAULT_PROFILE_PATH;
+    }
+
+    static async load(filePath) {
+        const profilePath = filePath || DEFAULT_PROFILE_PATH;
+
+        let definition;
+        try {
+            definition = JSON.parse(await fs.readFile(profilePath, 'utf8'));
+        } catch (error) {
+            throw new ExtractionProfileError(`Could not read extraction profile ${profilePath}: ${error.message}`);
+        }
+
+        const profile = new ExtractionProfile(definition, profilePath);
+        console.log(`🧩 Loaded extraction profile "${profile.name}" (${Object.keys(profile.definition.fields).length} fields) from ${profilePath}`);
+        return profile;
+    }
+
+    static normalize(definition) {
+        const problems = [];
+
+        if (!definition || typeof definition !== 'object') {
+            throw new ExtractionProfileError('Extraction profile must be a JSON object');
+        }
+        if (!definition.name) {
+            problems.push('"name" is required');
+        }
+        if (!definition.fields || typeof definition.fields !== 'object' || Object.keys(definition.fields).length === 0) {
+            problems.push('"fields" must define at least one field');
+        }
+
+        const fields = {};
+        Object.entries(definition.fields || {}).forEach(([key, field]) => {
+            if (!field || typeof field !== 'object') {
+                problems.push(`${key}: must be an object or list of strategies`);
+                return;
+            }
+
+            // A field is either a single strategy ({ method, selectors, ... }) or an ordered list of them
+            const strategies = (Array.isArray(field.strategies) ? field.strategies : [field])
+                .filter((strategy, index, list) => {
+                    if (strategy && typeof strategy === 'object') return true;
+                    problems.push(`${key} (strategy ${index + 1}): must be an object`);
+                    return false;
+                });
+
+            strategies.forEach((strategy, index) => {
+                const where = strategies.length > 1 ? `${key} (strategy ${index + 1})` : key;
+
+                if (!METHODS.includes(strategy.method)) {
+                    problems.push(`${where}: method must be one of ${METHODS.join(', ')}`);
+                }
+                if (!Array.isArray(strategy.selectors) || strategy.selectors.length === 0 ||
+                    strategy.selectors.some(selector => typeof selector !== 'string' || !selector.trim())) {
+                    problems.push(`${where}: selectors must be a non-empty list of CSS selectors`);
+                }
+                if (strategy.method === 'attr' && !strategy.attribute) {
+                    problems.push(`${where}: "attr" method needs an "attribute"`);
+                }
+                if (strategy.method === 'regex') {
+                    if (!strategy.pattern) {
+                        problems.push(`${where}: "regex" method needs a "pattern"`);
+                    } else {
+                        ExtractionProfile.checkPattern(strategy.pattern, strategy.flags, where, problems);
+                    }
+                }
+            });
+
+            const postProcess = field.postProcess || [];
+            postProcess.forEach(step => {
+                if (typeof step === 'string') {
+                    if (!POST_PROCESSORS.includes(step)) {
+                        problems.push(`${key}: unknown post-processing step "${step}"`);
+                    }
+                } else if (step && (step.match || step.test || step.replace)) {
+                    ExtractionProfile.checkPattern(step.match || step.test || step.replace, step.flags, key, problems);
+                } else {
+                    problems.push(`${key}: post-processing steps must be a name or { match | test | replace }`);
+                }
+            });
+
+            fields[key] = {
+                strategies: strategies.map(strategy => ({
+                    method: strategy.method,
+                    selectors: strategy.selectors,
+                    source: strategy.source || 'textContent',
+                    attribute: strategy.attribute || null,
+                    pattern: strategy.pattern || null,
+                    flags: strategy.flags || '',
+                    group: strategy.group || 0,
+                    contains: strategy.contains ? strategy.contains.toLowerCase() : null
+                })),
+                postProcess,
+                all: field.all || false,
+                default: field.default !== undefined ? field.default : null
+            };
+        });
+
+        if (definition.variations && !definition.variations.selector) {
+            problems.push('variations: "selector" is required');
+        }
+        if (definition.bundle && (!definition.bundle.headingSelector || !definition.bundle.partSelector)) {
+            problems.push('bundle: "headingSelector" and "partSelector" are required');
+        }
+
+        if (problems.length > 0) {
+            throw new ExtractionProfileError(`Invalid extraction profile "${definition.name || 'unnamed'}"`, problems);
+        }
+
+        return {
+            name: definition.name,
+            fields,
+            variations: definition.variations || null,
+            bundle: definition.bundle || null
+        };
+    }
+
+    static checkPattern(pattern, flags, where, problems) {
+        try {
+            new RegExp(pattern, flags || '');
+        } catch (error) {
+            problems.push(`${where}: invalid regular expression "${pattern}" (${error.message})`);
+        }
+    }
+
+    async extract(page) {
+        const extracted = await page.evaluate(runExtractionProfile, this.definition);
+
+        const productData = {
+            name: extracted.fields.name || null,
+            price: extracted.fields.price || null,
+            priceModel: PriceModel.fromPageData(extracted.fields),
+            hasNutritionFacts: Boolean(extracted.fields.hasNutritionFacts),
+            hasIngredients: Boolean(extracted.fields.hasIngredients),
+            hasAddToCart: Boolean(extracted.fields.hasAddToCart),
+            // If add to cart exists, item is likely available, unless the profile says otherwise
+            isAvailable: 'isAvailable' in this.definition.fields
+                ? Boolean(extracted.fields.isAvailable)
+                : Boolean(extracted.fields.hasAddToCart),
+            ...extracted.collections,
+            profileFields: {},
+            extractionDetails: extracted.extractionDetails
+        };
+
+        Object.keys(extracted.fields)
+            .filter(key => !CORE_FIELDS.includes(key))
+            .forEach(key => {
+                productData.profileFields[key] = extracted.fields[key];
+            });
+
+        return productData;
+    }
+}
+
+// Runs inside the page via page.evaluate, so it must not reference anything outside its own body
+function runExtractionProfile(profile) {
+    const extractionDetails = {
+        profile: profile.name,
+        selectors: {},
+        attempts: {},
+        fallbacks: {}
+    };
+
+    function readValue(element, strategy) {
+        const text = strategy.source === 'innerText' ? element.innerText : element.textContent;
+
+        switch (strategy.method) {
+            case 'text':
+                return text?.trim() || null;
+            case 'attr':
+                return element.getAttribute(strategy.attribute);
+            case 'exists':
+                return true;
+            case 'regex': {
+                const input = strategy.attribute ? element.getAttribute(strategy.attribute) : text;
+                const match = input ? input.match(new RegExp(strategy.pattern, strategy.flags)) : null;
+                return match ? match[strategy.group] || null : null;
+            }
+        }
+        return null;
+    }
+
+    function postProcess(value, steps) {
+        for (const step of steps) {
+            if (value === null || value === undefined) {
+                return null;
+            }
+
+            if (typeof step === 'object') {
+                const text = String(value);
+                if (step.match) {
+                    const match = text.match(new RegExp(step.match, step.flags || ''));
+                    value = match ? match[step.group || 0] || null : null;
+                } else if (step.test) {
+                    value = new RegExp(step.test, step.flags || '').test(text) ? value : null;
+                } else if (step.replace) {
+                    value = text.replace(new RegExp(step.replace, step.flags || 'g'), step.with || '');
+                }
+                continue;
+            }
+
+            switch (step) {
+                case 'trim':
+                    value = typeof value === 'string' ? value.trim() : value;
+                    break;
+                case 'collapseWhitespace':
+                    value = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value;
+                    break;
+                case 'lowercase':
+                    value = typeof value === 'string' ? value.toLowerCase() : value;
+                    break;
+                case 'uppercase':
+                    value = typeof value === 'string' ? value.toUpperCase() : value;
+                    break;
+                case 'number': {
+                    const number = parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+                    value = isNaN(number) ? null : number;
+                    break;
+                }
+                case 'boolean':
+                    value = Boolean(value);
+                    break;
+            }
+        }
+        return value;
+    }
+
+    function extractField(key, field) {
+        extractionDetails.attempts[key] = [];
+
+        for (const strategy of field.strategies) {
+            for (const selector of strategy.selectors) {
+                const attempt = { selector: selector, method: strategy.method, found: false };
+                extractionDetails.attempts[key].push(attempt);
+
+                let elements;
+                try {
+                    elements = Array.from(document.querySelectorAll(selector));
+                } catch (e) {
+                    attempt.error = e.message;
+                    continue;
+                }
+
+                if (strategy.contains) {
+                    elements = elements.filter(el => el.textContent && el.textContent.toLowerCase().includes(strategy.contains));
+                }
+
+                const values = [];
+                for (const element of elements) {
+                    const value = postProcess(readValue(element, strategy), field.postProcess);
+                    if (value === null || value === undefined || value === '') {
+                        continue;
+                    }
+                    if (!field.all) {
+                        attempt.found = true;
+                        extractionDetails.selectors[key] = strategy.contains ? `${selector} containing "${strategy.contains}"` : selector;
+                        return value;
+                    }
+                    if (!values.includes(value)) {
+                        values.push(value);
+                    }
+                }
+
+                if (values.length > 0) {
+                    attempt.found = true;
+                    extractionDetails.selectors[key] = selector;
+                    return values;
+                }
+            }
+        }
+
+        extractionDetails.fallbacks[key] = 'default';
+        return field.default !== null ? field.default : (field.all ? [] : null);
+    }
+
+    const fields = {};
+    Object.entries(profile.fields).forEach(([key, field]) => {
+        fields[key] = extractField(key, field);
+    });
+
+    // Product Variations Detection (size/flavor options)
+    const variations = [];
+    let variationCount = 0;
+    if (profile.variations) {
+        const variationButtons = document.querySelectorAll(profile.variations.selector);
+        variationCount = variationButtons.length;
+
+        variationButtons.forEach((button, index) => {
+            try {
+                const contentId = button.getAttribute('data-csa-c-content-id');
+                const slotId = button.getAttribute('data-csa-c-slot-id');
+                const buttonText = button.textContent?.trim();
+
+                // Try to extract price from button if available
+                const priceMatch = buttonText?.match(/\$\d+\.?\d*/);
+                const extractedPrice = priceMatch ? priceMatch[0] : null;
+
+                // Try to extract size/variation name
+                const lines = buttonText?.split('\n').map(line => line.trim()).filter(line => line);
+                const variationName = lines && lines.length > 0 ? lines[0] : contentId;
+
+                variations.push({
+                    index: index + 1,
+                    name: variationName,
+                    contentId: contentId,
+                    slotId: slotId,
+                    price: extractedPrice,
+                    fullText: buttonText
+                });
+            } catch (e) {
+                console.log(`Error extracting variation ${index + 1}:`, e.message);
+            }
+        });
+
+        extractionDetails.variations = {
+            count: variationCount,
+            details: variations,
+            selectors: profile.variations.selector
+        };
+    }
+
+    // Bundle Product Detection (What's Included section)
+    let isBundle = false;
+    const bundleParts = [];
+    if (profile.bundle) {
+        const headingContains = (profile.bundle.headingContains || '').toLowerCase();
+        const headings = document.querySelectorAll(profile.bundle.headingSelector);
+
+        for (const heading of headings) {
+            if (heading.textContent && heading.textContent.toLowerCase().includes(headingContains)) {
+                isBundle = true;
+                extractionDetails.selectors.bundle = `${profile.bundle.headingSelector} containing "${headingContains}"`;
+
+                // Find the next sibling or parent container that contains the parts
+                let container = heading.nextElementSibling;
+                if (!container) {
+                    container = heading.parentElement?.nextElementSibling;
+                }
+
+                if (container) {
+                    container.querySelectorAll(profile.bundle.partSelector).forEach((part, index) => {
+                        bundleParts.push({
+                            index: index + 1,
+                            text: part.textContent?.trim(),
+                            className: part.className,
+                            id: part.id
+                        });
+                    });
+                }
+                break; // Found the section, no need to continue
+            }
+        }
+
+        extractionDetails.bundle = {
+            isBundle: isBundle,
+            partsCount: bundleParts.length,
+            parts: bundleParts,
+            selectors: isBundle ? `${profile.bundle.headingSelector} + container ${profile.bundle.partSelector}` : null
+        };
+    }
+
+    return {
+        fields: fields,
+        collections: {
+            variationCount: variationCount,
+            variations: variations,
+            isBundle: isBundle,
+            bundlePartsCount: bundleParts.length,
+            bundleParts: bundleParts
+        },
+        extractionDetails: extractionDetails
+    };
+}
+
+module.exports = { ExtractionProfile, ExtractionProfileError, runExtractionProfile };
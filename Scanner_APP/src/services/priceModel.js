@@ -0,0 +1,110 @@
+const CURRENCY_SYMBOLS = {
+    '$': 'USD',
+    '£': 'GBP',
+    '€': 'EUR'
+};
+
+// Unit spellings seen on product pages, mapped to the unit we report
+const UNIT_ALIASES = {
+    lb: 'lb',
+    lbs: 'lb',
+    pound: 'lb',
+    oz: 'oz',
+    ounce: 'oz',
+    'fl oz': 'fl oz',
+    'fl. oz': 'fl oz',
+    kg: 'kg',
+    g: 'g',
+    l: 'l',
+    ml: 'ml',
+    ea: 'each',
+    each: 'each',
+    ct: 'ct',
+    count: 'ct'
+};
+
+const WEIGHT_UNITS = ['lb', 'oz', 'kg', 'g'];
+
+const AMOUNT_PATTERN = /([$£€])\s*(\d[\d,]*(?:\.\d+)?)/;
+const UNIT_PATTERN = /\/\s*(fl\.? oz|lbs?|pound|ounce|oz|kg|g|ml|l|each|ea|ct|count)\b/i;
+const MULTI_BUY_PATTERN = /(\d+)\s*for\s*[$£€]\s*(\d[\d,]*(?:\.\d+)?)/i;
+// Without a currency symbol, only a value that is nothing but a number (a price cell) or follows "price" counts;
+// "12 oz" or "Pack of 6" are not prices
+const BARE_AMOUNT_PATTERN = /^\s*()(\d[\d,]*(?:\.\d+)?)\s*$/;
+const LABELED_AMOUNT_PATTERN = /\bprice\b\s*:?\s*()(\d[\d,]*(?:\.\d+)?)/i;
+
+class PriceModel {
+    static parseAmount(text) {
+        if (text === null || text === undefined || text === '' || text === 'N/A') {
+            return null;
+        }
+        if (typeof text === 'number') {
+            return isNaN(text) ? null : text;
+        }
+
+        const value = String(text);
+        const multiBuy = value.match(MULTI_BUY_PATTERN);
+        if (multiBuy) {
+            // "2 for $5" is $2.50 per item
+            return Math.round((parseFloat(multiBuy[2].replace(/,/g, '')) / parseInt(multiBuy[1])) * 100) / 100;
+        }
+
+        const match = value.match(AMOUNT_PATTERN) || value.match(BARE_AMOUNT_PATTERN) || value.match(LABELED_AMOUNT_PATTERN);
+        return match ? parseFloat(match[2].replace(/,/g, '')) : null;
+    }
+
+    static parseCurrency(text) {
+        const match = text ? String(text).match(/[$£€]/) : null;
+        return match ? CURRENCY_SYMBOLS[match[0]] : null;
+    }
+
+    static parseUnit(text) {
+        const match = text ? String(text).match(UNIT_PATTERN) : null;
+        return match ? UNIT_ALIASES[match[1].toLowerCase().replace(/\s+/g, ' ')] || null : null;
+    }
+
+    static fromPageData(data = {}) {
+        const display = data.price || null;
+        const amount = PriceModel.parseAmount(display);
+        if (amount === null) {
+            return null;
+        }
+
+        const priceUnit = PriceModel.parseUnit(display);
+        const pricePerWeight = WEIGHT_UNITS.includes(priceUnit);
+
+        // A separate unit price ("($0.31/oz)") wins; a "$4.99/lb" price is its own unit price
+        let unitPrice = PriceModel.parseAmount(data.unitPrice);
+        let unit = unitPrice !== null ? PriceModel.parseUnit(data.unitPrice) : null;
+        if (unitPrice === null) {
+            unitPrice = amount;
+            unit = priceUnit || 'each';
+        }
+
+        const regularPrice = PriceModel.parseAmount(data.regularPrice);
+        const onSale = regularPrice !== null && regularPrice > amount;
+
+        return {
+            amount,
+            currency: PriceModel.parseCurrency(display) || PriceModel.parseCurrency(data.regularPrice),
+            display,
+            regularPrice: onSale ? regularPrice : amount,
+            salePrice: onSale ? amount : null,
+            onSale,
+            primePrice: PriceModel.parseAmount(data.primePrice),
+            unitPrice,
+            unit,
+            pricePerWeight
+        };
+    }
+
+    static getAmount(result) {
+        // Results from older scans and workbooks only carry the display string
+        if (result && result.priceModel && result.priceModel.amount !== null && result.priceModel.amount !== undefined) {
+            return result.priceModel.amount;
+        }
+        return PriceModel.parseAmount(result ? result.price : null);
+    }
+}
+
+module.exports = { PriceModel };
@@ -0,0 +1,77 @@
+class ItemLoadError extends Error {
+    constructor(message, { kind = 'unknown', status = null, title = null } = {}) {
+        super(message);
+        this.name = 'ItemLoadError';
+        this.kind = kind; // 'http' or 'error-page'
+        this.status = status;
+        this.title = title;
+    }
+}
+
+class RetryPolicy {
+    constructor(options = {}) {
+        const maxRetries = parseInt(options.maxRetries);
+        this.maxRetries = isNaN(maxRetries) || maxRetries < 0 ? 3 : maxRetries;
+        this.baseDelay = options.baseDelay || 1000; // Delay before the first retry
+        this.maxDelay = options.maxDelay || 30000; // Upper bound for a single backoff
+        this.jitterRatio = options.jitterRatio !== undefined ? options.jitterRatio : 0.3; // Up to +30% random spread
+    }
+
+    get maxAttempts() {
+        return this.maxRetries + 1;
+    }
+
+    classify(error) {
+        const message = (error && error.message ? error.message : String(error)).toLowerCase();
+
+        if (error instanceof ItemLoadError) {
+            if (error.kind === 'http') {
+                const status = error.status;
+                if (status === 404 || status === 410) {
+                    return { retryable: false, reason: 'not-found' };
+                }
+                if (status === 429) {
+                    return { retryable: true, reason: 'rate-limited' };
+                }
+                if (status === null || status >= 500) {
+                    return { retryable: true, reason: 'server-error' };
+                }
+                return { retryable: false, reason: 'client-error' };
+            }
+
+            if (error.kind === 'error-page') {
+                // A "not found" page is a real answer, a generic error page is usually transient
+                const title = (error.title || '').toLowerCase();
+                if (title.includes('not found') || title.includes('404')) {
+                    return { retryable: false, reason: 'not-found' };
+                }
+                return { retryable: true, reason: 'error-page' };
+            }
+        }
+
+        // Pages closed by stopScan() or cleanup should never be retried
+        if (message.includes('target closed') || message.includes('has been closed')) {
+            return { retryable: false, reason: 'closed' };
+        }
+
+        if ((error && error.name === 'TimeoutError') || message.includes('timeout')) {
+            return { retryable: true, reason: 'timeout' };
+        }
+
+        if (message.includes('net::err_') || message.includes('execution context was destroyed')) {
+            return { retryable: true, reason: 'network' };
+        }
+
+        return { retryable: false, reason: 'unknown' };
+    }
+
+    getDelay(retryNumber) {
+        // Exponential backoff (1s, 2s, 4s, ...) capped at maxDelay, plus random jitter
+        // so parallel agents don't hit the site again at the same moment
+        const backoff = Math.min(this.baseDelay * Math.pow(2, retryNumber - 1), this.maxDelay);
+        const jitter = Math.random() * backoff * this.jitterRatio;
+        return Math.round(backoff + jitter);
+    }
+}
+
+module.exports = { RetryPolicy, ItemLoadError };
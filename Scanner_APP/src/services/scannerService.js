@@ -3,6 +3,10 @@ const fs = require('fs').promises;
 const path = require('path');
 const csv = require('csv-parser');
 const ExcelJS = require('exceljs');
+const { RetryPolicy, ItemLoadError } = require('./retryPolicy');
+const { CheckpointJournal } = require('./checkpointJournal');
+const { ExtractionProfile } = require('./extractionProfile');
+const { StoreDirectory } = require('./storeDirectory');
 
 class ScannerService {
     constructor(config) {
@@ -16,15 +20,24 @@ class ScannerService {
         this.results = [];
         this.csrfToken = null;
         this.csrfTokenFile = 'csrf_token.json'; // File to persist CSRF token
-        this.mode = config.mode || 'item'; // 'item' or 'merchandising'
+        this.screenshotRunDir = null; // Per-run screenshot folder, set when captureScreenshots is enabled
+        this.journal = null; // Append-only JSONL checkpoint of every emitted result
+        this.completedKeys = new Set(); // store|asin pairs that already succeeded in a resumed scan
+        this.resumeStore = null; // Store the resumed scan was on when it stopped; the store loop starts there
+        this.extractionProfile = null; // Field selectors for product pages, loaded in startScan()
+        this.mode = config.mode || 'item'; // 'item', 'merchandising' or 'competitive'
         this.currentProgress = {
             currentStore: null,
             itemsProcessed: 0,
             totalItems: 0,
             successCount: 0,
-            errorCount: 0
+            errorCount: 0,
+            retryCount: 0 // Total retries across all items
         };
         
+        // Retry policy for transient item page failures
+        this.retryPolicy = new RetryPolicy({ maxRetries: config.settings?.maxRetries });
+        
         // Multi-agent system properties
         this.agents = [];
         this.activeAgents = 0;
@@ -45,26 +58,46 @@ class ScannerService {
             
             console.log('🚀 Starting WFM Scanner Service...');
             
+            if (this.config.settings.captureScreenshots) {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const baseDir = this.config.screenshotDirectory || path.join(process.cwd(), 'screenshots');
+                this.screenshotRunDir = path.join(baseDir, `Scan_${timestamp}`);
+                console.log(`📷 Screenshots will be saved to: ${this.screenshotRunDir}`);
+            }
+            
             // Load persisted CSRF token
             await this.loadPersistedCSRFToken();
             
-            // Load store mappings and item list (item list only needed for item mode)
+            // Load store mappings and item list (item list not needed for merchandising mode)
             await this.loadStoreMappings();
-            if (this.mode === 'item') {
+            if (this.mode === 'item' || this.mode === 'competitive') {
                 await this.loadItemList();
+                
+                // Product page fields come from the extraction profile chosen in settings
+                this.extractionProfile = await ExtractionProfile.load(this.config.settings.extractionProfile);
             }
             
+            // Start a new checkpoint journal or pick up the one we're resuming
+            await this.openCheckpointJournal();
+            
             // Initialize browser with proper positioning
             await this.initializeBrowser();
             
             // Start the scanning process
             await this.performScan();
             
+            if (this.journal) {
+                this.journal.recordComplete(this.shouldStop);
+            }
+            
             console.log('✅ Scan completed successfully');
             return this.results;
             
         } catch (error) {
             console.error('❌ Scan failed:', error);
+            if (this.journal) {
+                this.journal.recordFailure(error);
+            }
             throw error;
         } finally {
             await this.cleanup();
@@ -79,6 +112,50 @@ class ScannerService {
         this.isRunning = false;
     }
 
+    async openCheckpointJournal() {
+        const checkpointDir = this.config.checkpointDirectory || path.join(process.cwd(), 'checkpoints');
+        
+        if (this.config.resumeFrom) {
+            this.journal = new CheckpointJournal(this.config.resumeFrom);
+            const state = await this.journal.load();
+            
+            // Carry over successful results only, failed pairs get another try
+            const succeeded = CheckpointJournal.latestSuccessful(state.results);
+            this.results = Array.from(succeeded.values());
+            this.completedKeys = new Set(succeeded.keys());
+            
+            this.currentProgress.itemsProcessed = this.results.length;
+            this.currentProgress.successCount = this.results.length;
+            this.currentProgress.resumedCount = this.results.length;
+            this.resumeStore = state.currentStore || null;
+            
+            this.journal.recordResume(this.results.length);
+            console.log(`♻️ Resuming scan from ${this.config.resumeFrom}: ${this.results.length} results already succeeded, last store was ${state.currentStore || 'unknown'}`);
+        } else {
+            this.journal = new CheckpointJournal(CheckpointJournal.createPath(checkpointDir));
+            await this.journal.start({
+                mode: this.mode,
+                storeMappingFile: this.config.storeMappingFile,
+                itemListFile: this.config.itemListFile || null
+            });
+        }
+    }
+
+    isAlreadyScanned(storeCode, asin) {
+        return this.completedKeys.has(CheckpointJournal.resultKey(storeCode, asin));
+    }
+
+    // Store order for this run: a resumed scan continues from the store it stopped on, and the stores before it
+    // (which only have failed pairs left to retry) come last
+    orderStoresForResume(storeCodes) {
+        const index = this.resumeStore ? storeCodes.indexOf(this.resumeStore) : -1;
+        if (index <= 0) {
+            return storeCodes;
+        }
+        console.log(`♻️ Continuing from store ${this.resumeStore}`);
+        return [...storeCodes.slice(index), ...storeCodes.slice(0, index)];
+    }
+
     async loadPersistedCSRFToken() {
         try {
             const tokenData = await fs.readFile(this.csrfTokenFile, 'utf8');
@@ -158,32 +235,17 @@ class ScannerService {
     async loadStoreMappings() {
         console.log('📁 Loading store mappings...');
         
-        const filePath = this.config.storeMappingFile;
-        const fileContent = await fs.readFile(filePath, 'utf8');
-        const lines = fileContent.trim().split('\n');
+        // Accepts the shared store directory format as well as the older StoreCode/StoreId CSV
+        this.storeDirectory = await StoreDirectory.load(this.config.storeMappingFile);
+        this.storeMappings = this.storeDirectory.getStoreMappings();
         
-        if (lines.length < 2) {
-            throw new Error('Store mapping file must contain at least a header and one data row');
+        if (this.storeMappings.size === 0) {
+            throw new Error('Store mapping file must contain "tlc" (or "StoreCode") and "store_id" (or "StoreId") columns with at least one active store');
         }
         
-        const header = lines[0].split(',').map(col => col.trim().replace(/"/g, ''));
-        const storeCodeIndex = header.findIndex(col => col.toLowerCase() === 'storecode');
-        const storeIdIndex = header.findIndex(col => col.toLowerCase() === 'storeid');
-        
-        if (storeCodeIndex === -1 || storeIdIndex === -1) {
-            throw new Error('Store mapping file must contain "StoreCode" and "StoreId" columns');
-        }
-        
-        for (let i = 1; i < lines.length; i++) {
-            const row = lines[i].split(',').map(col => col.trim().replace(/"/g, ''));
-            if (row.length > Math.max(storeCodeIndex, storeIdIndex)) {
-                const storeCode = row[storeCodeIndex];
-                const storeId = parseInt(row[storeIdIndex]);
-                
-                if (storeCode && !isNaN(storeId)) {
-                    this.storeMappings.set(storeCode.toUpperCase(), storeId);
-                }
-            }
+        const skippedStores = this.storeDirectory.size - this.storeMappings.size;
+        if (skippedStores > 0) {
+            console.log(`⏭️ Skipping ${skippedStores} inactive stores or stores without a StoreId`);
         }
         
         console.log(`✅ Loaded ${this.storeMappings.size} store mappings`);
@@ -235,9 +297,11 @@ class ScannerService {
                         key.toLowerCase().includes('asin')
                     );
                     
-                    if (storeKey && asinKey && row[storeKey] && row[asinKey]) {
+                    // Competitive mode scans every ASIN in every mapped store, so the store column is optional
+                    const hasStore = storeKey && row[storeKey];
+                    if (asinKey && row[asinKey] && (hasStore || this.mode === 'competitive')) {
                         items.push({
-                            store: row[storeKey].trim().toUpperCase(),
+                            store: hasStore ? row[storeKey].trim().toUpperCase() : null,
                             asin: row[asinKey].trim().toUpperCase(),
                             name: row.name || row.item_name || row.title || 'Unknown Item'
                         });
@@ -278,20 +342,20 @@ class ScannerService {
             header && (header.includes('name') || header.includes('title'))
         );
         
-        if (storeColIndex === -1 || asinColIndex === -1) {
+        if (asinColIndex === -1 || (storeColIndex === -1 && this.mode !== 'competitive')) {
             throw new Error('Excel file must contain store and ASIN columns');
         }
         
         // Process data rows
         worksheet.eachRow((row, rowNumber) => {
             if (rowNumber > 1) { // Skip header
-                const storeValue = row.getCell(storeColIndex).value;
+                const storeValue = storeColIndex > 0 ? row.getCell(storeColIndex).value : null;
                 const asinValue = row.getCell(asinColIndex).value;
                 const nameValue = row.getCell(nameColIndex > 0 ? nameColIndex : 1).value;
                 
-                if (storeValue && asinValue) {
+                if (asinValue && (storeValue || this.mode === 'competitive')) {
                     items.push({
-                        store: storeValue.toString().trim().toUpperCase(),
+                        store: storeValue ? storeValue.toString().trim().toUpperCase() : null,
                         asin: asinValue.toString().trim().toUpperCase(),
                         name: nameValue ? nameValue.toString().trim() : 'Unknown Item'
                     });
@@ -357,27 +421,14 @@ class ScannerService {
             return await this.performItemScan();
         } else if (this.mode === 'merchandising') {
             return await this.performMerchandisingScan();
+        } else if (this.mode === 'competitive') {
+            return await this.performCompetitiveScan();
         } else {
             throw new Error(`Unknown scan mode: ${this.mode}`);
         }
     }
 
-    async performItemScan() {
-        console.log('🔍 Starting item scan process...');
-        
-        // Group items by store
-        const itemsByStore = new Map();
-        this.itemList.forEach(item => {
-            if (!itemsByStore.has(item.store)) {
-                itemsByStore.set(item.store, []);
-            }
-            itemsByStore.get(item.store).push(item);
-        });
-        
-        // Update total items count
-        this.currentProgress.totalItems = this.itemList.length;
-        this.emitProgress();
-        
+    async prepareStoreSession() {
         // Navigate to WFM catering page first
         console.log('🏪 Navigating to WFM catering page...');
         await this.page.goto('https://www.wholefoodsmarket.com/catering', {
@@ -409,6 +460,31 @@ class ScannerService {
                 }
             }
         }
+    }
+
+    async performItemScan() {
+        console.log('🔍 Starting item scan process...');
+        
+        // Group items by store
+        const itemsByStore = new Map();
+        this.itemList.forEach(item => {
+            if (!itemsByStore.has(item.store)) {
+                itemsByStore.set(item.store, []);
+            }
+            itemsByStore.get(item.store).push(item);
+        });
+        
+        // Update total items count
+        this.currentProgress.totalItems = this.itemList.length;
+        this.emitProgress();
+        
+        if (this.itemList.every(item => this.isAlreadyScanned(item.store, item.asin))) {
+            console.log('⏭️ All items already scanned, nothing to resume');
+            return;
+        }
+        
+        // Navigate to the catering page and acquire a CSRF token for store switching
+        await this.prepareStoreSession();
         
         // Initialize agents once at the beginning (they'll be reused across all stores)
         if (this.maxConcurrentAgents > 1) {
@@ -416,14 +492,23 @@ class ScannerService {
         }
         
         // Process each store sequentially (agents work in parallel within each store)
-        for (const [storeCode, items] of itemsByStore) {
+        for (const storeCode of this.orderStoresForResume(Array.from(itemsByStore.keys()))) {
+            const items = itemsByStore.get(storeCode);
             if (this.shouldStop) {
                 console.log('🛑 Scan stopped by user');
                 return;
             }
             
-            console.log(`🏪 Processing store: ${storeCode} (${items.length} items)`);
+            // Skip pairs that already succeeded in the scan being resumed
+            const pendingItems = items.filter(item => !this.isAlreadyScanned(storeCode, item.asin));
+            if (pendingItems.length === 0) {
+                console.log(`⏭️ Skipping store ${storeCode}, all ${items.length} items already scanned`);
+                continue;
+            }
+            
+            console.log(`🏪 Processing store: ${storeCode} (${pendingItems.length} of ${items.length} items)`);
             this.currentProgress.currentStore = storeCode;
+            this.journal.recordStore(storeCode);
             this.emitProgress();
             
             // Switch to store using main browser context (this affects all tabs via cookies)
@@ -439,7 +524,7 @@ class ScannerService {
             }
             
             // Process all items in this store with parallel agents (reusing existing tabs)
-            await this.processStoreItemsParallel(items, storeCode);
+            await this.processStoreItemsParallel(pendingItems, storeCode);
             
             console.log(`✅ Completed all items for store: ${storeCode}`);
         }
@@ -462,47 +547,29 @@ class ScannerService {
         this.currentProgress.totalItems = stores.length;
         this.emitProgress();
         
-        // Navigate to WFM catering page first
-        console.log('🏪 Navigating to WFM catering page...');
-        await this.page.goto('https://www.wholefoodsmarket.com/catering', {
-            waitUntil: 'networkidle'
-        });
-        
-        // Use enhanced CSRF token acquisition method
-        console.log('🔑 Attempting to acquire CSRF token...');
-        const initialToken = await this.ensureCSRFToken(this.page);
-        
-        if (initialToken) {
-            console.log('✅ CSRF token successfully acquired');
-        } else {
-            console.log('⚠️ Enhanced CSRF token acquisition failed');
-            console.log('💡 Will attempt fallback methods during store switching');
-            
-            // If running in non-headless mode, give user time to manually select a store
-            if (!this.config.settings.headlessMode) {
-                console.log('⏳ Waiting 15 seconds for potential manual store selection...');
-                console.log('👆 You may manually select a store in the browser window if needed');
-                await this.delay(15000);
-                
-                // Try one more time after potential manual interaction
-                const manualToken = await this.ensureCSRFToken(this.page);
-                if (manualToken) {
-                    console.log('✅ CSRF token found after manual interaction period');
-                } else {
-                    console.log('⚠️ Still no CSRF token found, will use fallback methods');
-                }
-            }
+        if (stores.every(storeCode => this.isAlreadyScanned(storeCode))) {
+            console.log('⏭️ All stores already scanned, nothing to resume');
+            return;
         }
         
+        // Navigate to the catering page and acquire a CSRF token for store switching
+        await this.prepareStoreSession();
+        
         // Process each store sequentially
-        for (const storeCode of stores) {
+        for (const storeCode of this.orderStoresForResume(stores)) {
             if (this.shouldStop) {
                 console.log('🛑 Scan stopped by user');
                 return;
             }
             
+            if (this.isAlreadyScanned(storeCode)) {
+                console.log(`⏭️ Skipping store ${storeCode}, merchandising data already scanned`);
+                continue;
+            }
+            
             console.log(`🏪 Processing store: ${storeCode} for merchandising data`);
             this.currentProgress.currentStore = storeCode;
+            this.journal.recordStore(storeCode);
             this.emitProgress();
             
             // Switch to store using main browser context
@@ -543,6 +610,111 @@ class ScannerService {
         console.log('✅ Merchandising scan process completed');
     }
 
+    async performCompetitiveScan() {
+        console.log('🏆 Starting competitive scan process...');
+        
+        // Competitive mode checks one ASIN list against every mapped store
+        const stores = Array.from(this.storeMappings.keys());
+        const asinMap = new Map();
+        this.itemList.forEach(item => {
+            if (!asinMap.has(item.asin)) {
+                asinMap.set(item.asin, item.name);
+            }
+        });
+        
+        console.log(`🏆 Comparing ${asinMap.size} unique ASINs across ${stores.length} stores`);
+        
+        // Update total items count (every ASIN in every store)
+        this.currentProgress.totalItems = asinMap.size * stores.length;
+        this.emitProgress();
+        
+        if (stores.every(storeCode => Array.from(asinMap.keys()).every(asin => this.isAlreadyScanned(storeCode, asin)))) {
+            console.log('⏭️ All items already scanned, nothing to resume');
+            return;
+        }
+        
+        // Navigate to the catering page and acquire a CSRF token for store switching
+        await this.prepareStoreSession();
+        
+        // Initialize agents once at the beginning (they'll be reused across all stores)
+        if (this.maxConcurrentAgents > 1) {
+            await this.initializePersistentAgents();
+        }
+        
+        for (const storeCode of this.orderStoresForResume(stores)) {
+            if (this.shouldStop) {
+                console.log('🛑 Scan stopped by user');
+                return;
+            }
+            
+            // Skip pairs that already succeeded in the scan being resumed
+            const storeItems = Array.from(asinMap, ([asin, name]) => ({ store: storeCode, asin, name }))
+                .filter(item => !this.isAlreadyScanned(storeCode, item.asin));
+            if (storeItems.length === 0) {
+                console.log(`⏭️ Skipping store ${storeCode}, all ${asinMap.size} items already scanned`);
+                continue;
+            }
+            
+            console.log(`🏪 Processing store: ${storeCode} for competitive comparison`);
+            this.currentProgress.currentStore = storeCode;
+            this.journal.recordStore(storeCode);
+            this.emitProgress();
+            
+            const success = await this.switchToStore(storeCode);
+            if (!success) {
+                console.warn(`⚠️ Failed to switch to store ${storeCode}, recording all items as failed...`);
+                
+                // Record a failed cell for every ASIN so the matrix still shows this store
+                storeItems.forEach(item => {
+                    const result = {
+                        store: storeCode,
+                        asin: item.asin,
+                        name: item.name,
+                        success: false,
+                        loadTime: null,
+                        timestamp: new Date().toISOString(),
+                        error: 'Failed to switch to store',
+                        extractedName: null,
+                        price: null,
+                        priceModel: null,
+                        hasNutritionFacts: false,
+                        hasIngredients: false,
+                        hasAddToCart: false,
+                        isAvailable: false,
+                        variationCount: 0,
+                        variations: [],
+                        extractionDetails: null,
+                        mode: 'competitive'
+                    };
+                    
+                    this.results.push(result);
+                    this.currentProgress.itemsProcessed++;
+                    this.currentProgress.errorCount++;
+                    this.emitResult(result);
+                });
+                this.emitProgress();
+                continue;
+            }
+            
+            // Wait between store switches
+            if (!this.shouldStop) {
+                await this.delay(this.config.settings.delayBetweenStores);
+            }
+            
+            // Same per-item extraction as item mode, run once per store
+            await this.processStoreItemsParallel(storeItems, storeCode);
+            
+            console.log(`✅ Completed competitive comparison for store: ${storeCode}`);
+        }
+        
+        // Cleanup agents after all stores are processed
+        if (this.maxConcurrentAgents > 1) {
+            await this.cleanupAgents();
+        }
+        
+        console.log('✅ Competitive scan process completed');
+    }
+
     async extractMerchandisingData(storeCode) {
         const startTime = Date.now();
         let result = {
@@ -1228,6 +1400,7 @@ class ScannerService {
                     error: error.message,
                     extractedName: null,
                     price: null,
+                    priceModel: null,
                     hasNutritionFacts: false,
                     hasIngredients: false,
                     hasAddToCart: false,
@@ -1235,7 +1408,8 @@ class ScannerService {
                     variationCount: 0,
                     variations: [],
                     extractionDetails: null,
-                    agent: agent.id
+                    agent: agent.id,
+                    mode: this.mode
                 };
                 
                 this.results.push(result);
@@ -1378,7 +1552,6 @@ class ScannerService {
     }
 
     async processItemWithAgent(agent, item, storeCode) {
-        const startTime = Date.now();
         let result = {
             store: storeCode,
             asin: item.asin,
@@ -1390,6 +1563,7 @@ class ScannerService {
             // Enhanced data fields
             extractedName: null,
             price: null,
+            priceModel: null,
             hasNutritionFacts: false,
             hasIngredients: false,
             hasAddToCart: false,
@@ -1397,7 +1571,11 @@ class ScannerService {
             variationCount: 0,
             variations: [],
             extractionDetails: null,
-            agent: agent.id
+            agent: agent.id,
+            mode: this.mode,
+            // Retry tracking
+            attempts: 0,
+            attemptErrors: []
         };
         
         try {
@@ -1406,56 +1584,18 @@ class ScannerService {
             
             console.log(`🤖 ${agent.id} processing: ${storeCode} - ${item.asin}`);
             
-            // Construct item URL with new required parameters
-            const itemUrl = `https://www.wholefoodsmarket.com/name/dp/${item.asin}?pd_rd_i=${item.asin}&fpw=alm&almBrandId=aNHVc2Akvg`;
-            
-            // Navigate to item page
-            const response = await agent.page.goto(itemUrl, {
-                waitUntil: 'networkidle',
-                timeout: this.config.settings.pageTimeout
+            await this.runItemAttempts(result, `${agent.id} - ${storeCode} - ${item.asin}`, async () => {
+                const loadTime = await this.loadItemPage(agent.page, item);
+                
+                // Extract comprehensive product data using agent's page
+                const productData = await this.extractProductDataWithAgent(agent);
+                return { loadTime, productData };
             });
             
-            // Check if page loaded successfully
-            if (response && response.ok()) {
-                // Wait for page content to load
-                await agent.page.waitForLoadState('domcontentloaded');
-                
-                // Check if item page loaded properly (not 404 or error page)
-                const pageTitle = await agent.page.title();
-                const isErrorPage = pageTitle.toLowerCase().includes('error') ||
-                                  pageTitle.toLowerCase().includes('not found') ||
-                                  pageTitle.toLowerCase().includes('404');
-                
-                if (!isErrorPage) {
-                    result.success = true;
-                    result.loadTime = Date.now() - startTime;
-                    
-                    // Extract comprehensive product data using agent's page
-                    const productData = await this.extractProductDataWithAgent(agent);
-                    
-                    // Add extracted data to result
-                    result.extractedName = productData.name;
-                    result.price = productData.price;
-                    result.hasNutritionFacts = productData.hasNutritionFacts;
-                    result.hasIngredients = productData.hasIngredients;
-                    result.hasAddToCart = productData.hasAddToCart;
-                    result.isAvailable = productData.isAvailable;
-                    result.variationCount = productData.variationCount || 0;
-                    result.variations = productData.variations || [];
-                    result.isBundle = productData.isBundle || false;
-                    result.bundlePartsCount = productData.bundlePartsCount || 0;
-                    result.bundleParts = productData.bundleParts || [];
-                    result.extractionDetails = productData.extractionDetails;
-                    
-                    console.log(`✅ ${agent.id} completed: ${storeCode} - ${item.asin} (${result.loadTime}ms)`);
-                    console.log(`📊 Data: Name="${productData.name}", Price="${productData.price}", Nutrition=${productData.hasNutritionFacts}, Ingredients=${productData.hasIngredients}, AddToCart=${productData.hasAddToCart}, Variations=${productData.variationCount}, Bundle=${productData.isBundle}, BundleParts=${productData.bundlePartsCount}`);
-                } else {
-                    result.error = 'Item page not found or error page';
-                    console.log(`❌ ${agent.id} - ${storeCode} - ${item.asin} - Error page detected`);
-                }
-            } else {
-                result.error = `HTTP ${response ? response.status() : 'unknown'} error`;
-                console.log(`❌ ${agent.id} - ${storeCode} - ${item.asin} - HTTP error: ${result.error}`);
+            await this.captureItemScreenshot(agent.page, result);
+            
+            if (result.success) {
+                console.log(`✅ ${agent.id} completed: ${storeCode} - ${item.asin} (${result.loadTime}ms)`);
             }
             
         } catch (error) {
@@ -1482,319 +1622,139 @@ class ScannerService {
         }
     }
 
-    async extractProductDataWithAgent(agent) {
-        return await agent.page.evaluate(() => {
-            const extractionDetails = {
-                selectors: {},
-                attempts: {},
-                fallbacks: {}
-            };
+    async loadItemPage(page, item) {
+        const startTime = Date.now();
+        
+        // Construct item URL with new required parameters
+        const itemUrl = `https://www.wholefoodsmarket.com/name/dp/${item.asin}?pd_rd_i=${item.asin}&fpw=alm&almBrandId=aNHVc2Akvg`;
+        
+        // Navigate to item page
+        const response = await page.goto(itemUrl, {
+            waitUntil: 'networkidle',
+            timeout: this.config.settings.pageTimeout
+        });
+        
+        // Check if page loaded successfully
+        if (!response || !response.ok()) {
+            const status = response ? response.status() : null;
+            throw new ItemLoadError(`HTTP ${status || 'unknown'} error`, { kind: 'http', status });
+        }
+        
+        // Wait for page content to load
+        await page.waitForLoadState('domcontentloaded');
+        
+        // Check if item page loaded properly (not 404 or error page)
+        const pageTitle = await page.title();
+        const isErrorPage = pageTitle.toLowerCase().includes('error') ||
+                          pageTitle.toLowerCase().includes('not found') ||
+                          pageTitle.toLowerCase().includes('404');
+        
+        if (isErrorPage) {
+            throw new ItemLoadError('Item page not found or error page', { kind: 'error-page', title: pageTitle });
+        }
+        
+        return Date.now() - startTime;
+    }
+
+    async runItemAttempts(result, label, attemptFn) {
+        const maxAttempts = this.retryPolicy.maxAttempts;
+        
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            result.attempts = attempt;
             
-            // Helper function to try multiple selectors with fallbacks
-            function trySelectors(selectorGroups, dataType) {
-                extractionDetails.attempts[dataType] = [];
+            try {
+                const { loadTime, productData } = await attemptFn();
                 
-                for (const group of selectorGroups) {
-                    for (const selector of group.selectors) {
-                        extractionDetails.attempts[dataType].push({
-                            selector: selector,
-                            method: group.method,
-                            found: false
-                        });
-                        
-                        try {
-                            const elements = document.querySelectorAll(selector);
-                            if (elements.length > 0) {
-                                const element = elements[0];
-                                let value = null;
-                                
-                                switch (group.method) {
-                                    case 'textContent':
-                                        value = element.textContent?.trim();
-                                        break;
-                                    case 'innerText':
-                                        value = element.innerText?.trim();
-                                        break;
-                                    case 'exists':
-                                        value = true;
-                                        break;
-                                    case 'attribute':
-                                        value = element.getAttribute(group.attribute);
-                                        break;
-                                }
-                                
-                                if (value) {
-                                    extractionDetails.attempts[dataType][extractionDetails.attempts[dataType].length - 1].found = true;
-                                    extractionDetails.selectors[dataType] = selector;
-                                    return value;
-                                }
-                            }
-                        } catch (e) {
-                            console.log(`Selector failed: ${selector}`, e.message);
-                        }
-                    }
-                }
-                return null;
-            }
-            
-            // Product Name Extraction (multiple strategies)
-            const nameSelectors = [
-                {
-                    method: 'textContent',
-                    selectors: [
-                        'div.bds--heading-1.my-2.text-squid-ink', // Exact match from example
-                        'div[class*="bds--heading-1"][class*="text-squid-ink"]', // Partial class match
-                        'h1[class*="bds--heading-1"]',
-                        'div[class*="heading-1"]',
-                        'h1[class*="product-title"]',
-                        'h1[class*="item-title"]',
-                        '.product-title h1',
-                        '.item-title h1',
-                        'h1:first-of-type',
-                        '[data-testid="product-title"]',
-                        '[data-testid="item-title"]'
-                    ]
-                },
-                {
-                    method: 'innerText',
-                    selectors: [
-                        'div[class*="heading"][class*="squid-ink"]',
-                        'div[class*="product-name"]',
-                        'div[class*="item-name"]'
-                    ]
-                }
-            ];
-            
-            // Price Extraction (multiple strategies)
-            const priceSelectors = [
-                {
-                    method: 'textContent',
-                    selectors: [
-                        'span.text-left.bds--heading-5', // Exact match from example
-                        'span[class*="bds--heading-5"]', // Partial class match
-                        'span[class*="heading-5"]',
-                        'span[class*="price"]',
-                        '.price span',
-                        '[data-testid="price"]',
-                        '[class*="price"][class*="current"]',
-                        'span:contains("$")',
-                        'div[class*="price"] span',
-                        '.product-price span',
-                        '.item-price span'
-                    ]
-                },
-                {
-                    method: 'innerText',
-                    selectors: [
-                        'div[class*="price"]',
-                        '.price-container',
-                        '.current-price'
-                    ]
-                }
-            ];
-            
-            // Nutrition Facts Detection
-            const nutritionSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'h4.bds--heading-4.w-full.text-squid-ink', // Exact match, check content separately
-                        'h4[class*="bds--heading-4"][class*="text-squid-ink"]', // Partial match
-                        'h4:contains("Nutrition Facts")',
-                        'h3:contains("Nutrition Facts")',
-                        'h2:contains("Nutrition Facts")',
-                        '[data-testid="nutrition-facts"]',
-                        '.nutrition-facts',
-                        '.nutritional-info',
-                        'div:contains("Nutrition Facts")',
-                        'section:contains("Nutrition Facts")'
-                    ]
-                }
-            ];
-            
-            // Ingredients Detection
-            const ingredientsSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'h4.bds--heading-4.mb-2.w-full.text-squid-ink', // Exact match, check content separately
-                        'h4[class*="bds--heading-4"][class*="text-squid-ink"]',
-                        'h4:contains("Ingredients")',
-                        'h3:contains("Ingredients")',
-                        'h2:contains("Ingredients")',
-                        '[data-testid="ingredients"]',
-                        '.ingredients',
-                        '.ingredient-list',
-                        'div:contains("Ingredients")',
-                        'section:contains("Ingredients")'
-                    ]
-                }
-            ];
-            
-            // Add to Cart Button Detection
-            const addToCartSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'button[data-csa-c-type="addToCart"]', // Exact match from example
-                        'button:contains("Add to Cart")',
-                        'button[class*="addToCart"]',
-                        'button[data-testid="add-to-cart"]',
-                        '.add-to-cart button',
-                        '.add-to-basket button',
-                        'button[aria-label*="Add to Cart"]',
-                        'button[title*="Add to Cart"]',
-                        'input[type="submit"][value*="Add to Cart"]'
-                    ]
-                }
-            ];
-            
-            // Extract all data
-            const productName = trySelectors(nameSelectors, 'name');
-            const price = trySelectors(priceSelectors, 'price');
-            
-            // For nutrition and ingredients, we need to check text content
-            let hasNutritionFacts = false;
-            let hasIngredients = false;
-            
-            // Check for nutrition facts by looking for text content
-            const nutritionElements = document.querySelectorAll('h4, h3, h2, div, section');
-            for (const el of nutritionElements) {
-                if (el.textContent && el.textContent.toLowerCase().includes('nutrition facts')) {
-                    hasNutritionFacts = true;
-                    extractionDetails.selectors.nutrition = 'text-content-search';
-                    break;
-                }
-            }
-            
-            // Check for ingredients by looking for text content
-            const ingredientElements = document.querySelectorAll('h4, h3, h2, div, section');
-            for (const el of ingredientElements) {
-                if (el.textContent && el.textContent.toLowerCase().includes('ingredients')) {
-                    hasIngredients = true;
-                    extractionDetails.selectors.ingredients = 'text-content-search';
-                    break;
-                }
-            }
-            
-            const hasAddToCart = trySelectors(addToCartSelectors, 'addToCart') || false;
-            
-            // Clean up price (remove extra whitespace, ensure $ format)
-            let cleanPrice = null;
-            if (price) {
-                cleanPrice = price.replace(/\s+/g, ' ').trim();
-                // Ensure it looks like a price
-                if (!/\$\d+\.?\d*/.test(cleanPrice)) {
-                    cleanPrice = null;
+                result.success = true;
+                result.error = null;
+                result.loadTime = loadTime;
+                this.applyProductData(result, productData);
+                return;
+                
+            } catch (error) {
+                const { retryable, reason } = this.retryPolicy.classify(error);
+                
+                result.error = error.message;
+                result.attemptErrors.push({
+                    attempt,
+                    error: error.message,
+                    reason,
+                    retryable,
+                    timestamp: new Date().toISOString()
+                });
+                
+                if (!retryable || attempt >= maxAttempts || this.shouldStop) {
+                    const outcome = retryable ? `giving up after ${attempt} attempt(s)` : `${reason}, not retrying`;
+                    console.log(`❌ ${label} - Error: ${error.message} (${outcome})`);
+                    return;
                 }
+                
+                const retryDelay = this.retryPolicy.getDelay(attempt);
+                console.log(`🔁 ${label} - ${reason} on attempt ${attempt}/${maxAttempts}, retrying in ${retryDelay}ms`);
+                
+                this.currentProgress.retryCount++;
+                this.emitProgress();
+                
+                await this.delay(retryDelay);
             }
-            
-            // Product Variations Detection (size/flavor options)
-            const variationButtons = document.querySelectorAll('button[data-csa-c-slot-id*="PDPInfo_selectionslot_"]');
-            const variationCount = variationButtons.length;
-            
-            // Extract variation details if available
-            const variations = [];
-            variationButtons.forEach((button, index) => {
-                try {
-                    const contentId = button.getAttribute('data-csa-c-content-id');
-                    const slotId = button.getAttribute('data-csa-c-slot-id');
-                    const buttonText = button.textContent?.trim();
-                    
-                    // Try to extract price from button if available
-                    const priceMatch = buttonText?.match(/\$\d+\.?\d*/);
-                    const extractedPrice = priceMatch ? priceMatch[0] : null;
-                    
-                    // Try to extract size/variation name
-                    const lines = buttonText?.split('\n').map(line => line.trim()).filter(line => line);
-                    const variationName = lines && lines.length > 0 ? lines[0] : contentId;
-                    
-                    variations.push({
-                        index: index + 1,
-                        name: variationName,
-                        contentId: contentId,
-                        slotId: slotId,
-                        price: extractedPrice,
-                        fullText: buttonText
-                    });
-                } catch (e) {
-                    console.log(`Error extracting variation ${index + 1}:`, e.message);
-                }
+        }
+    }
+
+    async captureItemScreenshot(page, result) {
+        const settings = this.config.settings;
+        if (!settings.captureScreenshots || !this.screenshotRunDir || this.shouldStop) {
+            return;
+        }
+        
+        // "Failure" covers anything worth auditing: failed loads, no price and unavailable items
+        const needsAudit = !result.success || !result.price || !result.isAvailable;
+        if (settings.screenshotsOnFailureOnly && !needsAudit) {
+            return;
+        }
+        
+        try {
+            const safeName = value => String(value || 'UNKNOWN').replace(/[^A-Za-z0-9_-]/g, '_');
+            const fileName = `${safeName(result.store)}_${safeName(result.asin)}.png`;
+            const screenshotPath = path.join(this.screenshotRunDir, fileName);
+            
+            await fs.mkdir(this.screenshotRunDir, { recursive: true });
+            await page.screenshot({
+                path: screenshotPath,
+                fullPage: true,
+                timeout: settings.pageTimeout
             });
             
-            extractionDetails.variations = {
-                count: variationCount,
-                details: variations,
-                selectors: 'button[data-csa-c-slot-id*="PDPInfo_selectionslot_"]'
-            };
-            
-            // Bundle Product Detection (What's Included section)
-            let isBundle = false;
-            let bundlePartsCount = 0;
-            let bundleParts = [];
-            
-            // Look for "What's Included" heading
-            const whatsIncludedHeadings = document.querySelectorAll('h4.bds--heading-4');
-            for (const heading of whatsIncludedHeadings) {
-                if (heading.textContent && heading.textContent.toLowerCase().includes("what's included")) {
-                    isBundle = true;
-                    extractionDetails.selectors.bundle = 'h4.bds--heading-4 containing "What\'s Included"';
-                    
-                    // Find the next sibling or parent container that contains buttons
-                    let container = heading.nextElementSibling;
-                    if (!container) {
-                        container = heading.parentElement?.nextElementSibling;
-                    }
-                    
-                    if (container) {
-                        // Look for buttons in the container
-                        const bundleButtons = container.querySelectorAll('button');
-                        bundlePartsCount = bundleButtons.length;
-                        
-                        // Extract bundle part details
-                        bundleButtons.forEach((button, index) => {
-                            try {
-                                const buttonText = button.textContent?.trim();
-                                const buttonClass = button.className;
-                                const buttonId = button.id;
-                                
-                                bundleParts.push({
-                                    index: index + 1,
-                                    text: buttonText,
-                                    className: buttonClass,
-                                    id: buttonId
-                                });
-                            } catch (e) {
-                                console.log(`Error extracting bundle part ${index + 1}:`, e.message);
-                            }
-                        });
-                    }
-                    break; // Found the section, no need to continue
-                }
-            }
-            
-            extractionDetails.bundle = {
-                isBundle: isBundle,
-                partsCount: bundlePartsCount,
-                parts: bundleParts,
-                selectors: isBundle ? 'h4.bds--heading-4 + container buttons' : null
-            };
-            
-            return {
-                name: productName,
-                price: cleanPrice,
-                hasNutritionFacts: hasNutritionFacts,
-                hasIngredients: hasIngredients,
-                hasAddToCart: hasAddToCart,
-                isAvailable: hasAddToCart, // If add to cart exists, item is likely available
-                variationCount: variationCount,
-                variations: variations,
-                isBundle: isBundle,
-                bundlePartsCount: bundlePartsCount,
-                bundleParts: bundleParts,
-                extractionDetails: extractionDetails
-            };
-        });
+            result.screenshotPath = screenshotPath;
+            console.log(`📷 Screenshot saved: ${fileName}`);
+        } catch (error) {
+            // A missing screenshot should never turn a scanned item into a failure
+            console.warn(`⚠️ Failed to capture screenshot for ${result.store} - ${result.asin}: ${error.message}`);
+        }
+    }
+
+    applyProductData(result, productData) {
+        // Add extracted data to result
+        result.extractedName = productData.name;
+        result.price = productData.price;
+        result.priceModel = productData.priceModel || null;
+        result.hasNutritionFacts = productData.hasNutritionFacts;
+        result.hasIngredients = productData.hasIngredients;
+        result.hasAddToCart = productData.hasAddToCart;
+        result.isAvailable = productData.isAvailable;
+        result.variationCount = productData.variationCount || 0;
+        result.variations = productData.variations || [];
+        result.isBundle = productData.isBundle || false;
+        result.bundlePartsCount = productData.bundlePartsCount || 0;
+        result.bundleParts = productData.bundleParts || [];
+        result.extractionDetails = productData.extractionDetails;
+        result.extractionProfile = productData.extractionDetails ? productData.extractionDetails.profile : null;
+        result.profileFields = productData.profileFields || {};
+        
+        console.log(`📊 Data: Name="${productData.name}", Price="${productData.price}", Nutrition=${productData.hasNutritionFacts}, Ingredients=${productData.hasIngredients}, AddToCart=${productData.hasAddToCart}, Variations=${productData.variationCount}, Bundle=${productData.isBundle}, BundleParts=${productData.bundlePartsCount}`);
+    }
+
+    async extractProductDataWithAgent(agent) {
+        return await this.extractionProfile.extract(agent.page);
     }
 
     async switchToStore(storeCode) {
@@ -2321,7 +2281,6 @@ class ScannerService {
     }
 
     async processItem(item) {
-        const startTime = Date.now();
         let result = {
             store: item.store,
             asin: item.asin,
@@ -2333,68 +2292,35 @@ class ScannerService {
             // Enhanced data fields
             extractedName: null,
             price: null,
+            priceModel: null,
             hasNutritionFacts: false,
             hasIngredients: false,
             hasAddToCart: false,
             isAvailable: false,
             variationCount: 0,
             variations: [],
-            extractionDetails: null
+            extractionDetails: null,
+            mode: this.mode,
+            // Retry tracking
+            attempts: 0,
+            attemptErrors: []
         };
         
         try {
             console.log(`🔍 Processing item: ${item.store} - ${item.asin}`);
             
-            // Construct item URL with new required parameters
-            const itemUrl = `https://www.wholefoodsmarket.com/name/dp/${item.asin}?pd_rd_i=${item.asin}&fpw=alm&almBrandId=aNHVc2Akvg`;
-            
-            // Navigate to item page
-            const response = await this.page.goto(itemUrl, {
-                waitUntil: 'networkidle',
-                timeout: this.config.settings.pageTimeout
+            await this.runItemAttempts(result, `${item.store} - ${item.asin}`, async () => {
+                const loadTime = await this.loadItemPage(this.page, item);
+                
+                // Extract comprehensive product data
+                const productData = await this.extractProductData();
+                return { loadTime, productData };
             });
             
-            // Check if page loaded successfully
-            if (response && response.ok()) {
-                // Wait for page content to load
-                await this.page.waitForLoadState('domcontentloaded');
-                
-                // Check if item page loaded properly (not 404 or error page)
-                const pageTitle = await this.page.title();
-                const isErrorPage = pageTitle.toLowerCase().includes('error') ||
-                                  pageTitle.toLowerCase().includes('not found') ||
-                                  pageTitle.toLowerCase().includes('404');
-                
-                if (!isErrorPage) {
-                    result.success = true;
-                    result.loadTime = Date.now() - startTime;
-                    
-                    // Extract comprehensive product data
-                    const productData = await this.extractProductData();
-                    
-                    // Add extracted data to result
-                    result.extractedName = productData.name;
-                    result.price = productData.price;
-                    result.hasNutritionFacts = productData.hasNutritionFacts;
-                    result.hasIngredients = productData.hasIngredients;
-                    result.hasAddToCart = productData.hasAddToCart;
-                    result.isAvailable = productData.isAvailable;
-                    result.variationCount = productData.variationCount || 0;
-                    result.variations = productData.variations || [];
-                    result.isBundle = productData.isBundle || false;
-                    result.bundlePartsCount = productData.bundlePartsCount || 0;
-                    result.bundleParts = productData.bundleParts || [];
-                    result.extractionDetails = productData.extractionDetails;
-                    
-                    console.log(`✅ ${item.store} - ${item.asin} loaded successfully (${result.loadTime}ms)`);
-                    console.log(`📊 Data: Name="${productData.name}", Price="${productData.price}", Nutrition=${productData.hasNutritionFacts}, Ingredients=${productData.hasIngredients}, AddToCart=${productData.hasAddToCart}, Variations=${productData.variationCount}, Bundle=${productData.isBundle}, BundleParts=${productData.bundlePartsCount}`);
-                } else {
-                    result.error = 'Item page not found or error page';
-                    console.log(`❌ ${item.store} - ${item.asin} - Error page detected`);
-                }
-            } else {
-                result.error = `HTTP ${response ? response.status() : 'unknown'} error`;
-                console.log(`❌ ${item.store} - ${item.asin} - HTTP error: ${result.error}`);
+            await this.captureItemScreenshot(this.page, result);
+            
+            if (result.success) {
+                console.log(`✅ ${item.store} - ${item.asin} loaded successfully (${result.loadTime}ms)`);
             }
             
         } catch (error) {
@@ -2419,318 +2345,7 @@ class ScannerService {
     }
 
     async extractProductData() {
-        return await this.page.evaluate(() => {
-            const extractionDetails = {
-                selectors: {},
-                attempts: {},
-                fallbacks: {}
-            };
-            
-            // Helper function to try multiple selectors with fallbacks
-            function trySelectors(selectorGroups, dataType) {
-                extractionDetails.attempts[dataType] = [];
-                
-                for (const group of selectorGroups) {
-                    for (const selector of group.selectors) {
-                        extractionDetails.attempts[dataType].push({
-                            selector: selector,
-                            method: group.method,
-                            found: false
-                        });
-                        
-                        try {
-                            const elements = document.querySelectorAll(selector);
-                            if (elements.length > 0) {
-                                const element = elements[0];
-                                let value = null;
-                                
-                                switch (group.method) {
-                                    case 'textContent':
-                                        value = element.textContent?.trim();
-                                        break;
-                                    case 'innerText':
-                                        value = element.innerText?.trim();
-                                        break;
-                                    case 'exists':
-                                        value = true;
-                                        break;
-                                    case 'attribute':
-                                        value = element.getAttribute(group.attribute);
-                                        break;
-                                }
-                                
-                                if (value) {
-                                    extractionDetails.attempts[dataType][extractionDetails.attempts[dataType].length - 1].found = true;
-                                    extractionDetails.selectors[dataType] = selector;
-                                    return value;
-                                }
-                            }
-                        } catch (e) {
-                            console.log(`Selector failed: ${selector}`, e.message);
-                        }
-                    }
-                }
-                return null;
-            }
-            
-            // Product Name Extraction (multiple strategies)
-            const nameSelectors = [
-                {
-                    method: 'textContent',
-                    selectors: [
-                        'div.bds--heading-1.my-2.text-squid-ink', // Exact match from example
-                        'div[class*="bds--heading-1"][class*="text-squid-ink"]', // Partial class match
-                        'h1[class*="bds--heading-1"]',
-                        'div[class*="heading-1"]',
-                        'h1[class*="product-title"]',
-                        'h1[class*="item-title"]',
-                        '.product-title h1',
-                        '.item-title h1',
-                        'h1:first-of-type',
-                        '[data-testid="product-title"]',
-                        '[data-testid="item-title"]'
-                    ]
-                },
-                {
-                    method: 'innerText',
-                    selectors: [
-                        'div[class*="heading"][class*="squid-ink"]',
-                        'div[class*="product-name"]',
-                        'div[class*="item-name"]'
-                    ]
-                }
-            ];
-            
-            // Price Extraction (multiple strategies)
-            const priceSelectors = [
-                {
-                    method: 'textContent',
-                    selectors: [
-                        'span.text-left.bds--heading-5', // Exact match from example
-                        'span[class*="bds--heading-5"]', // Partial class match
-                        'span[class*="heading-5"]',
-                        'span[class*="price"]',
-                        '.price span',
-                        '[data-testid="price"]',
-                        '[class*="price"][class*="current"]',
-                        'span:contains("$")',
-                        'div[class*="price"] span',
-                        '.product-price span',
-                        '.item-price span'
-                    ]
-                },
-                {
-                    method: 'innerText',
-                    selectors: [
-                        'div[class*="price"]',
-                        '.price-container',
-                        '.current-price'
-                    ]
-                }
-            ];
-            
-            // Nutrition Facts Detection
-            const nutritionSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'h4.bds--heading-4.w-full.text-squid-ink', // Exact match, check content separately
-                        'h4[class*="bds--heading-4"][class*="text-squid-ink"]', // Partial match
-                        'h4:contains("Nutrition Facts")',
-                        'h3:contains("Nutrition Facts")',
-                        'h2:contains("Nutrition Facts")',
-                        '[data-testid="nutrition-facts"]',
-                        '.nutrition-facts',
-                        '.nutritional-info',
-                        'div:contains("Nutrition Facts")',
-                        'section:contains("Nutrition Facts")'
-                    ]
-                }
-            ];
-            
-            // Ingredients Detection
-            const ingredientsSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'h4.bds--heading-4.mb-2.w-full.text-squid-ink', // Exact match, check content separately
-                        'h4[class*="bds--heading-4"][class*="text-squid-ink"]',
-                        'h4:contains("Ingredients")',
-                        'h3:contains("Ingredients")',
-                        'h2:contains("Ingredients")',
-                        '[data-testid="ingredients"]',
-                        '.ingredients',
-                        '.ingredient-list',
-                        'div:contains("Ingredients")',
-                        'section:contains("Ingredients")'
-                    ]
-                }
-            ];
-            
-            // Add to Cart Button Detection
-            const addToCartSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'button[data-csa-c-type="addToCart"]', // Exact match from example
-                        'button:contains("Add to Cart")',
-                        'button[class*="addToCart"]',
-                        'button[data-testid="add-to-cart"]',
-                        '.add-to-cart button',
-                        '.add-to-basket button',
-                        'button[aria-label*="Add to Cart"]',
-                        'button[title*="Add to Cart"]',
-                        'input[type="submit"][value*="Add to Cart"]'
-                    ]
-                }
-            ];
-            
-            // Extract all data
-            const productName = trySelectors(nameSelectors, 'name');
-            const price = trySelectors(priceSelectors, 'price');
-            
-            // For nutrition and ingredients, we need to check text content
-            let hasNutritionFacts = false;
-            let hasIngredients = false;
-            
-            // Check for nutrition facts by looking for text content
-            const nutritionElements = document.querySelectorAll('h4, h3, h2, div, section');
-            for (const el of nutritionElements) {
-                if (el.textContent && el.textContent.toLowerCase().includes('nutrition facts')) {
-                    hasNutritionFacts = true;
-                    extractionDetails.selectors.nutrition = 'text-content-search';
-                    break;
-                }
-            }
-            
-            // Check for ingredients by looking for text content
-            const ingredientElements = document.querySelectorAll('h4, h3, h2, div, section');
-            for (const el of ingredientElements) {
-                if (el.textContent && el.textContent.toLowerCase().includes('ingredients')) {
-                    hasIngredients = true;
-                    extractionDetails.selectors.ingredients = 'text-content-search';
-                    break;
-                }
-            }
-            
-            const hasAddToCart = trySelectors(addToCartSelectors, 'addToCart') || false;
-            
-            // Clean up price (remove extra whitespace, ensure $ format)
-            let cleanPrice = null;
-            if (price) {
-                cleanPrice = price.replace(/\s+/g, ' ').trim();
-                // Ensure it looks like a price
-                if (!/\$\d+\.?\d*/.test(cleanPrice)) {
-                    cleanPrice = null;
-                }
-            }
-            
-            // Product Variations Detection (size/flavor options)
-            const variationButtons = document.querySelectorAll('button[data-csa-c-slot-id*="PDPInfo_selectionslot_"]');
-            const variationCount = variationButtons.length;
-            
-            // Extract variation details if available
-            const variations = [];
-            variationButtons.forEach((button, index) => {
-                try {
-                    const contentId = button.getAttribute('data-csa-c-content-id');
-                    const slotId = button.getAttribute('data-csa-c-slot-id');
-                    const buttonText = button.textContent?.trim();
-                    
-                    // Try to extract price from button if available
-                    const priceMatch = buttonText?.match(/\$\d+\.?\d*/);
-                    const extractedPrice = priceMatch ? priceMatch[0] : null;
-                    
-                    // Try to extract size/variation name
-                    const lines = buttonText?.split('\n').map(line => line.trim()).filter(line => line);
-                    const variationName = lines && lines.length > 0 ? lines[0] : contentId;
-                    
-                    variations.push({
-                        index: index + 1,
-                        name: variationName,
-                        contentId: contentId,
-                        slotId: slotId,
-                        price: extractedPrice,
-                        fullText: buttonText
-                    });
-                } catch (e) {
-                    console.log(`Error extracting variation ${index + 1}:`, e.message);
-                }
-            });
-            
-            extractionDetails.variations = {
-                count: variationCount,
-                details: variations,
-                selectors: 'button[data-csa-c-slot-id*="PDPInfo_selectionslot_"]'
-            };
-            
-            // Bundle Product Detection (What's Included section)
-            let isBundle = false;
-            let bundlePartsCount = 0;
-            let bundleParts = [];
-            
-            // Look for "What's Included" heading
-            const whatsIncludedHeadings = document.querySelectorAll('h4.bds--heading-4');
-            for (const heading of whatsIncludedHeadings) {
-                if (heading.textContent && heading.textContent.toLowerCase().includes("what's included")) {
-                    isBundle = true;
-                    extractionDetails.selectors.bundle = 'h4.bds--heading-4 containing "What\'s Included"';
-                    
-                    // Find the next sibling or parent container that contains buttons
-                    let container = heading.nextElementSibling;
-                    if (!container) {
-                        container = heading.parentElement?.nextElementSibling;
-                    }
-                    
-                    if (container) {
-                        // Look for buttons in the container
-                        const bundleButtons = container.querySelectorAll('button');
-                        bundlePartsCount = bundleButtons.length;
-                        
-                        // Extract bundle part details
-                        bundleButtons.forEach((button, index) => {
-                            try {
-                                const buttonText = button.textContent?.trim();
-                                const buttonClass = button.className;
-                                const buttonId = button.id;
-                                
-                                bundleParts.push({
-                                    index: index + 1,
-                                    text: buttonText,
-                                    className: buttonClass,
-                                    id: buttonId
-                                });
-                            } catch (e) {
-                                console.log(`Error extracting bundle part ${index + 1}:`, e.message);
-                            }
-                        });
-                    }
-                    break; // Found the section, no need to continue
-                }
-            }
-            
-            extractionDetails.bundle = {
-                isBundle: isBundle,
-                partsCount: bundlePartsCount,
-                parts: bundleParts,
-                selectors: isBundle ? 'h4.bds--heading-4 + container buttons' : null
-            };
-            
-            return {
-                name: productName,
-                price: cleanPrice,
-                hasNutritionFacts: hasNutritionFacts,
-                hasIngredients: hasIngredients,
-                hasAddToCart: hasAddToCart,
-                isAvailable: hasAddToCart, // If add to cart exists, item is likely available
-                variationCount: variationCount,
-                variations: variations,
-                isBundle: isBundle,
-                bundlePartsCount: bundlePartsCount,
-                bundleParts: bundleParts,
-                extractionDetails: extractionDetails
-            };
-        });
+        return await this.extractionProfile.extract(this.page);
     }
 
     async delay(ms) {
@@ -2744,6 +2359,9 @@ class ScannerService {
     }
 
     emitResult(result) {
+        if (this.journal) {
+            this.journal.recordResult(result);
+        }
         if (this.onResult) {
             this.onResult(result);
         }
@@ -0,0 +1,221 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ExcelJS = require('exceljs');
+const csv = require('csv-parser');
+
+// Canonical column order, shared with WtsMain and the Amazon Store Jumper
+// (see "Documentation & Notes/Store Directory Format.md")
+const COLUMNS = [
+    { header: 'tlc', key: 'tlc' },
+    { header: 'store_acronym', key: 'acronym' },
+    { header: 'store_id', key: 'storeId' },
+    { header: 'pickup_address_id', key: 'pickupAddressId' },
+    { header: 'region_id', key: 'regionId' },
+    { header: 'store_name', key: 'name' },
+    { header: 'city', key: 'city' },
+    { header: 'state', key: 'state' },
+    { header: 'bu', key: 'bu' },
+    { header: 'is_active', key: 'active' }
+];
+
+// Header aliases (lowercase, spaces/underscores removed) from the older per-tool formats
+const HEADER_ALIASES = {
+    tlc: 'tlc',
+    storetlc: 'tlc',
+    acro: 'tlc',
+    acronym: 'acronym',
+    storeacronym: 'acronym',
+    storeid: 'storeId',
+    pickupaddressid: 'pickupAddressId',
+    destinationid: 'pickupAddressId',
+    regionid: 'regionId',
+    storename: 'name',
+    name: 'name',
+    city: 'city',
+    state: 'state',
+    bu: 'bu',
+    businessunit: 'bu',
+    isactive: 'active',
+    active: 'active'
+};
+
+class StoreDirectory {
+    constructor(stores = []) {
+        this.stores = new Map(); // TLC -> store record
+        stores.forEach(store => this.add(store));
+    }
+
+    static get columns() {
+        return COLUMNS.map(column => column.header);
+    }
+
+    static async load(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        let rows;
+
+        if (ext === '.csv') {
+            rows = await StoreDirectory.readCSV(filePath);
+        } else if (ext === '.xlsx' || ext === '.xls') {
+            rows = await StoreDirectory.readExcel(filePath);
+        } else {
+            throw new Error('Unsupported store directory format. Please use CSV or Excel files.');
+        }
+
+        const directory = new StoreDirectory();
+        let skipped = 0;
+        rows.forEach(row => {
+            const store = StoreDirectory.normalizeRow(row);
+            if (store) {
+                directory.add(store);
+            } else {
+                skipped++;
+            }
+        });
+
+        if (skipped > 0) {
+            console.warn(`⚠️ Skipped ${skipped} store directory rows without a TLC`);
+        }
+        return directory;
+    }
+
+    static readCSV(filePath) {
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            require('fs').createReadStream(filePath)
+                .pipe(csv({ mapHeaders: ({ header }) => header.trim().replace(/^\uFEFF/, '') }))
+                .on('data', row => rows.push(row))
+                .on('end', () => resolve(rows))
+                .on('error', reject);
+        });
+    }
+
+    static async readExcel(filePath) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filePath);
+
+        const worksheet = workbook.getWorksheet('Store Directory') || workbook.worksheets[0];
+        const headers = [];
+        worksheet.getRow(1).eachCell((cell, colNumber) => {
+            headers[colNumber] = cell.value ? cell.value.toString().trim() : '';
+        });
+
+        const rows = [];
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) {
+                return;
+            }
+            const record = {};
+            headers.forEach((header, colNumber) => {
+                if (header) {
+                    const value = row.getCell(colNumber).value;
+                    record[header] = value && typeof value === 'object' && 'text' in value ? value.text : value;
+                }
+            });
+            rows.push(record);
+        });
+        return rows;
+    }
+
+    static normalizeRow(row) {
+        const store = {};
+
+        Object.entries(row).forEach(([header, rawValue]) => {
+            const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+            const normalized = header.toLowerCase().replace(/[\s_]+/g, '');
+
+            // "StoreCode" is the TLC in Scanner files but the numeric store ID in Store Jumper files
+            const key = normalized === 'storecode'
+                ? (/^\d+$/.test(value) ? 'storeId' : 'tlc')
+                : HEADER_ALIASES[normalized];
+
+            if (key && value !== '' && store[key] === undefined) {
+                store[key] = value;
+            }
+        });
+
+        // Store Jumper derived the TLC from the acronym by dropping its first character
+        if (!store.tlc && store.acronym) {
+            store.tlc = store.acronym.length > 3 ? store.acronym.substring(1) : store.acronym;
+        }
+        if (!store.tlc) {
+            return null;
+        }
+
+        return {
+            tlc: store.tlc.toUpperCase(),
+            acronym: store.acronym || '',
+            storeId: store.storeId && !isNaN(parseInt(store.storeId)) ? parseInt(store.storeId) : null,
+            pickupAddressId: store.pickupAddressId || '',
+            regionId: store.regionId || '',
+            name: store.name || '',
+            city: store.city || '',
+            state: store.state || '',
+            bu: store.bu || '',
+            active: StoreDirectory.parseActive(store.active)
+        };
+    }
+
+    static parseActive(value) {
+        if (value === undefined || value === null || value === '') {
+            return true;
+        }
+        return ['true', '1', 'yes', 'y', 'active'].includes(String(value).trim().toLowerCase());
+    }
+
+    add(store) {
+        this.stores.set(store.tlc, store);
+    }
+
+    get size() {
+        return this.stores.size;
+    }
+
+    getStoreMappings({ includeInactive = false } = {}) {
+        // TLC -> StoreId for every store the Scanner can switch to
+        const mappings = new Map();
+        this.stores.forEach(store => {
+            if (store.storeId !== null && (includeInactive || store.active)) {
+                mappings.set(store.tlc, store.storeId);
+            }
+        });
+        return mappings;
+    }
+
+    toRows() {
+        return Array.from(this.stores.values())
+            .sort((a, b) => a.tlc.localeCompare(b.tlc))
+            .map(store => COLUMNS.map(column => {
+                const value = store[column.key];
+                if (column.key === 'active') {
+                    return value ? 'true' : 'false';
+                }
+                return value === null || value === undefined ? '' : value;
+            }));
+    }
+
+    async save(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+
+        if (ext === '.csv') {
+            const escape = value => {
+                const text = String(value);
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const lines = [StoreDirectory.columns, ...this.toRows()].map(row => row.map(escape).join(','));
+            await fs.writeFile(filePath, lines.join('\n') + '\n', 'utf8');
+        } else {
+            const workbook = new ExcelJS.Workbook();
+            const worksheet = workbook.addWorksheet('Store Directory');
+            worksheet.columns = COLUMNS.map(column => ({ header: column.header, key: column.key, width: 18 }));
+            this.toRows().forEach(row => worksheet.addRow(row));
+            worksheet.getRow(1).font = { bold: true };
+            worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+            await workbook.xlsx.writeFile(filePath);
+        }
+
+        console.log(`💾 Store directory with ${this.size} stores saved to ${filePath}`);
+        return filePath;
+    }
+}
+
+module.exports = { StoreDirectory };
@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         Whole Foods ASIN Exporter with Store Mapping
 // @namespace    http://tampermonkey.net/
-// @version      1.3.032
+// @version      1.3.055
 // @description  Export ASIN, Name, Section from visible cards on Whole Foods page with store mapping and SharePoint item database functionality
 // @author       WTS-TM-Scripts
 // @homepage     https://github.com/RynAgain/WTS-TM-Scripts
@@ -123,8 +123,22 @@
     // FIXED: Add initialization guard to prevent overlapping runs
     let _initializing = false;
 
+    // Card overlay mode state (badges drawn on each product card)
+    let overlaysEnabled = false;
+    let overlayStoreResolver = null; // Returns the current store TLC (set by the panel, which owns the store mappings)
+    let overlayObserver = null;
+    let overlayRefreshTimeout = null;
+    const overlayItemCache = new Map(); // ASIN -> item database rows for that ASIN
+
+    // Store tour guard: the panel can be rebuilt while a tour step is still running
+    let storeTourRunning = false;
+
+    // Automatic page snapshots: last page captured this load, and the panel's current-store lookup
+    let autoSnapshotPageKey = null;
+    let snapshotStoreResolver = null;
+
     // Version checking variables
-    const CURRENT_VERSION = '1.3.032';
+    const CURRENT_VERSION = '1.3.055';
     const GITHUB_VERSION_URL = 'https://raw.githubusercontent.com/RynAgain/WTS-TM-Scripts/main/WtsMain.user.js';
     const VERSION_CHECK_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 
@@ -139,6 +153,214 @@
     db.version(1).stores({
         items: '++id, asin, sku, store_tlc, store_acronym, store_name, item_nameLower'
     });
+    // v2: one row per upload, plus per-item changes of tracked fields between uploads
+    db.version(2).stores({
+        items: '++id, asin, sku, store_tlc, store_acronym, store_name, item_nameLower',
+        imports: '++id, importedAt',
+        itemHistory: '++id, itemKey, importId, asin, store_tlc, field'
+    });
+    // v3: multi-entry token index on item names for ranked name search
+    db.version(3).stores({
+        items: '++id, asin, sku, store_tlc, store_acronym, store_name, item_nameLower, *name_tokens',
+        imports: '++id, importedAt',
+        itemHistory: '++id, itemKey, importId, asin, store_tlc, field'
+    }).upgrade(tx => tx.table('items').toCollection().modify(item => {
+        item.name_tokens = tokenizeItemName(item.item_name);
+    }));
+    // v4: page layout snapshots per page and store
+    db.version(4).stores({
+        items: '++id, asin, sku, store_tlc, store_acronym, store_name, item_nameLower, *name_tokens',
+        imports: '++id, importedAt',
+        itemHistory: '++id, itemKey, importId, asin, store_tlc, field',
+        snapshots: '++id, [pageKey+storeTLC], capturedAt'
+    });
+    // v5: numeric price next to the eod_our_price display string, for price filters on "$4.99"-style reports
+    db.version(5).stores({
+        items: '++id, asin, sku, store_tlc, store_acronym, store_name, item_nameLower, *name_tokens',
+        imports: '++id, importedAt',
+        itemHistory: '++id, itemKey, importId, asin, store_tlc, field',
+        snapshots: '++id, [pageKey+storeTLC], capturedAt'
+    }).upgrade(tx => tx.table('items').toCollection().modify(item => {
+        item.eod_our_price_amount = parseItemPrice(item.eod_our_price);
+    }));
+
+    // Reduce plural words to their singular form so "berries" finds "berry" and "tomatoes" finds "tomato"
+    function stemToken(token) {
+        if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+        if (token.length > 4 && /(oes|ches|shes|sses|xes|zes)$/.test(token)) return token.slice(0, -2);
+        if (token.length > 3 && token.endsWith('s') && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+        return token;
+    }
+
+    // Unique stemmed lowercase word tokens of an item name (used for the name_tokens index and for queries)
+    function tokenizeItemName(name) {
+        const tokens = (name || '').toString().toLowerCase().split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1)
+            .map(stemToken);
+        return Array.from(new Set(tokens));
+    }
+
+    // Search query filters ("status:inactive qty:<5 store:ATX,DAL"); words without a known key stay search text
+    const SEARCH_FILTER_KEYS = {
+        status: 'status',
+        listing_status: 'status',
+        qty: 'quantity',
+        quantity: 'quantity',
+        price: 'price',
+        rnk: 'rnk',
+        rank: 'rnk',
+        event: 'event',
+        event_date: 'event',
+        start: 'start',
+        end: 'end',
+        live: 'live',
+        store: 'stores',
+        stores: 'stores'
+    };
+    const NUMERIC_SEARCH_FIELDS = { quantity: 'quantity', price: 'eod_our_price_amount', rnk: 'rnk' };
+    const DATE_SEARCH_FIELDS = { event: 'event_date', start: 'offering_start_datetime', end: 'offering_end_datetime' };
+
+    // Numeric amount of an item price, with the Scanner's PriceModel rules: "$4.99", "2 for $5" (2.50 each),
+    // or a value that is only a number; anything else ("12 oz", "Pack of 6") is not a price and gives null
+    function parseItemPrice(value) {
+        if (value === null || value === undefined || value === '' || value === 'N/A') return null;
+        if (typeof value === 'number') return isNaN(value) ? null : value;
+
+        const text = String(value);
+        const multiBuy = text.match(/(\d+)\s*for\s*[$£€]\s*(\d[\d,]*(?:\.\d+)?)/i);
+        if (multiBuy) {
+            return Math.round((parseFloat(multiBuy[2].replace(/,/g, '')) / parseInt(multiBuy[1])) * 100) / 100;
+        }
+
+        const match = text.match(/(-?)[$£€]\s*(\d[\d,]*(?:\.\d+)?)/) ||
+            text.match(/^\s*(-?)(\d[\d,]*(?:\.\d+)?)\s*$/) ||
+            text.match(/\bprice\b\s*:?\s*(-?)(\d[\d,]*(?:\.\d+)?)/i);
+        return match ? parseFloat(match[1] + match[2].replace(/,/g, '')) : null;
+    }
+
+    // Day number (days since 1970-01-01) of an item database date: ISO or US date strings, or Excel serial days
+    function parseItemDay(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const text = value.toString().trim();
+        const DAY_MS = 86400000;
+
+        if (text.toLowerCase() === 'today') {
+            const today = new Date();
+            return Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()) / DAY_MS;
+        }
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            // Excel counts days from 1899-12-30 (serial 25569 is 1970-01-01)
+            const serial = parseFloat(text);
+            return serial > 20000 && serial < 80000 ? Math.floor(serial) - 25569 : null;
+        }
+
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (match) return Date.UTC(+match[1], +match[2] - 1, +match[3]) / DAY_MS;
+        match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (match) return Date.UTC(+match[3], +match[1] - 1, +match[2]) / DAY_MS;
+
+        const parsed = new Date(text);
+        return isNaN(parsed.getTime()) ? null : Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()) / DAY_MS;
+    }
+
+    // "<5", ">=2024-05-01", "5..20", "..10" or "7" -> [{ op, value }], or null when a bound does not parse
+    function parseFilterRange(text, parseValue) {
+        const range = text.match(/^(.*?)\.\.(.*)$/);
+        const bounds = range
+            ? [['>=', range[1]], ['<=', range[2]]].filter(([, bound]) => bound !== '')
+            : [[(text.match(/^(<=|>=|<|>|=)/) || ['='])[0], text.replace(/^(<=|>=|<|>|=)/, '')]];
+
+        if (bounds.length === 0) return null;
+        const comparisons = bounds.map(([op, bound]) => ({ op, value: parseValue(bound) }));
+        return comparisons.every(comparison => comparison.value !== null && !isNaN(comparison.value)) ? comparisons : null;
+    }
+
+    function parseSearchQuery(query) {
+        const filters = {};
+        const errors = [];
+        const textParts = [];
+
+        ((query || '').match(/(?:[^\s"]+|"[^"]*")+/g) || []).forEach(token => {
+            const match = token.match(/^([a-z_]+):(.*)$/i);
+            const key = match ? SEARCH_FILTER_KEYS[match[1].toLowerCase()] : null;
+            if (!key) {
+                textParts.push(token);
+                return;
+            }
+
+            const value = match[2].replace(/"/g, '').trim();
+            if (!value) {
+                errors.push(`"${token}" needs a value`);
+                return;
+            }
+
+            if (key === 'status') {
+                filters.status = value.toLowerCase().split(',').map(status => status.trim()).filter(Boolean);
+            } else if (key === 'stores') {
+                filters.stores = value.toUpperCase().split(',').map(tlc => tlc.trim()).filter(Boolean);
+            } else if (key === 'live') {
+                const day = parseItemDay(value);
+                if (day === null) {
+                    errors.push(`"${token}" is not a date`);
+                } else {
+                    filters.live = day;
+                }
+            } else {
+                const isDate = key in DATE_SEARCH_FIELDS;
+                const comparisons = parseFilterRange(value, isDate ? parseItemDay : bound => (bound.trim() === '' ? NaN : Number(bound)));
+                if (comparisons) {
+                    filters[key] = comparisons;
+                } else {
+                    errors.push(`"${token}" is not a valid ${isDate ? 'date' : 'number'} or range`);
+                }
+            }
+        });
+
+        return { text: textParts.join(' '), filters, errors };
+    }
+
+    function hasSearchFilters(filters) {
+        return Object.keys(filters || {}).length > 0;
+    }
+
+    function itemMatchesFilters(item, filters) {
+        const compare = (value, { op, value: bound }) => {
+            switch (op) {
+                case '<': return value < bound;
+                case '<=': return value <= bound;
+                case '>': return value > bound;
+                case '>=': return value >= bound;
+                default: return value === bound;
+            }
+        };
+        const inRange = (value, comparisons) => value !== null && !isNaN(value) && comparisons.every(comparison => compare(value, comparison));
+
+        if (filters.stores && !filters.stores.includes(item.store_tlc)) return false;
+
+        if (filters.status) {
+            const status = (item.listing_status || '').trim().toLowerCase();
+            const statusMatches = filters.status.some(wanted => (wanted === 'inactive' ? isInactiveListingStatus(status) : status === wanted));
+            if (!statusMatches) return false;
+        }
+
+        for (const [key, field] of Object.entries(NUMERIC_SEARCH_FIELDS)) {
+            const raw = item[field];
+            if (filters[key] && !inRange(raw === '' || raw === null || raw === undefined ? NaN : Number(raw), filters[key])) return false;
+        }
+        for (const [key, field] of Object.entries(DATE_SEARCH_FIELDS)) {
+            if (filters[key] && !inRange(parseItemDay(item[field]), filters[key])) return false;
+        }
+
+        if (filters.live !== undefined) {
+            // Offering window contains the day; an open start or end counts as unbounded
+            const start = parseItemDay(item.offering_start_datetime);
+            const end = parseItemDay(item.offering_end_datetime);
+            if (start === null && end === null) return false;
+            if ((start !== null && start > filters.live) || (end !== null && end < filters.live)) return false;
+        }
+
+        return true;
+    }
 
     // Request persistent storage to reduce eviction risk
     if (navigator.storage && navigator.storage.persist) {
@@ -347,6 +569,11 @@
             versionCheckInterval = null;
         }
 
+        if (overlayObserver) {
+            overlayObserver.disconnect();
+            overlayObserver = null;
+        }
+
         isInitialized = false;
         wtsPanel = null;
     }
@@ -616,21 +843,90 @@
     // Start version checking
     startVersionChecking();
 
+    // Cards per carousel page: the cards fully inside the carousel viewport (null when the layout can't be measured)
+    function getCarouselPageSize(carousel) {
+        const viewport = (carousel.querySelector('.a-carousel-viewport') || carousel).getBoundingClientRect();
+        if (viewport.width <= 0) return null;
+
+        const fullyVisible = Array.from(carousel.querySelectorAll('li.a-carousel-card')).filter(card => {
+            const rect = card.getBoundingClientRect();
+            return rect.width > 0 && rect.left >= viewport.left - 1 && rect.right <= viewport.right + 1;
+        }).length;
+        return fullyVisible > 0 ? fullyVisible : null;
+    }
+
+    // Carousel page and slot (1-based) of a 1-based carousel position, plus whether it was on the first, initially shown page
+    function getCarouselPlacement(position, pageSize) {
+        if (!position || !pageSize) {
+            return { page: '', slot: '', initiallyVisible: '' };
+        }
+        return {
+            page: Math.floor((position - 1) / pageSize) + 1,
+            slot: ((position - 1) % pageSize) + 1,
+            initiallyVisible: position <= pageSize ? 'Yes' : 'No'
+        };
+    }
+
+    // 1-based position of a card's slot within its carousel (aria-posinset when the carousel sets it)
+    function getCarouselCardPosition(slot) {
+        const posInSet = parseInt(slot.getAttribute('aria-posinset'));
+        if (!isNaN(posInSet)) return posInSet;
+        const list = slot.parentElement;
+        return list ? Array.from(list.children).filter(child => child.matches('li.a-carousel-card')).indexOf(slot) + 1 : '';
+    }
+
     function extractDataFromCards() {
         const cards = document.querySelectorAll('[data-csa-c-type="item"][data-csa-c-item-type="asin"]');
         const emptyCards = document.querySelectorAll('li.a-carousel-card.a-carousel-card-empty');
         const data = [];
+        const sectionCounts = new Map();
+        const pageSizes = new Map(); // carousel element -> cards per page
 
-        cards.forEach(card => {
+        cards.forEach((card, index) => {
             const asin = card.getAttribute('data-csa-c-item-id') || '';
             const nameElement = card.querySelector('.a-truncate-full') || card.querySelector('.a-truncate-cut');
             const section = card.closest('[data-cel-widget]')?.getAttribute('data-cel-widget') || 'Unknown';
             const name = nameElement?.textContent?.trim() || '[No Name]';
 
-            data.push({ ASIN: asin, Name: name, Section: section });
+            // Where the card sits: on the page, in its section, and in its carousel (page/slot) when it is in one
+            const sectionPosition = (sectionCounts.get(section) || 0) + 1;
+            sectionCounts.set(section, sectionPosition);
+
+            const slot = card.closest('li.a-carousel-card');
+            const carousel = slot ? slot.closest('[data-a-carousel-options], .a-carousel-container') : null;
+            let carouselPosition = '';
+            let placement;
+            if (slot && carousel) {
+                if (!pageSizes.has(carousel)) pageSizes.set(carousel, getCarouselPageSize(carousel));
+                carouselPosition = getCarouselCardPosition(slot);
+                placement = getCarouselPlacement(carouselPosition, pageSizes.get(carousel));
+            } else {
+                // Grid cards: visible without scrolling when the card starts inside the first screen of the page
+                const rect = card.getBoundingClientRect();
+                const top = rect.top + window.scrollY;
+                placement = {
+                    page: '',
+                    slot: '',
+                    initiallyVisible: rect.height > 0 ? (top < window.innerHeight ? 'Yes' : 'No') : ''
+                };
+            }
+
+            data.push({
+                ASIN: asin,
+                Name: name,
+                Section: section,
+                PagePosition: index + 1,
+                SectionPosition: sectionPosition,
+                CarouselPosition: carouselPosition,
+                CarouselPage: placement.page,
+                CarouselSlot: placement.slot,
+                InitiallyVisible: placement.initiallyVisible
+            });
         });
 
-        return { data, emptyCount: emptyCards.length };
+        const emptySections = Array.from(emptyCards).map(card => card.closest('[data-cel-widget]')?.getAttribute('data-cel-widget') || 'Unknown');
+
+        return { data, emptyCount: emptyCards.length, emptySections };
     }
 
     // Enhanced carousel data extraction from JSON without navigation
@@ -696,7 +992,7 @@
         title = cleanCarouselTitle(title);
         
         // Extract ASINs using comprehensive parsing
-        const asins = extractASINsFromCarouselOptions(carouselOptions, index);
+        const { asins, sources } = extractASINsFromCarouselOptions(carouselOptions, index);
         
         if (asins.length === 0) {
             console.log(`⚠️ Carousel ${index + 1}: No ASINs extracted`);
@@ -709,7 +1005,11 @@
             title: title,
             asinCount: asins.length,
             asins: asins,
-            carouselIndex: index + 1
+            asinSources: sources,
+            carouselIndex: index + 1,
+            section: carousel.closest('[data-cel-widget]')?.getAttribute('data-cel-widget') || 'Unknown',
+            asinPositions: Object.fromEntries(asins.map((asin, position) => [asin, position + 1])),
+            pageSize: getCarouselPageSize(carousel)
         };
     }
 
@@ -739,7 +1039,7 @@
         return cleaned.trim() || 'Unknown Shoveler';
     }
 
-    // Comprehensive ASIN extraction from carousel options
+    // Comprehensive ASIN extraction from carousel options; returns the ASINs and, per ASIN, the methods that found it
     function extractASINsFromCarouselOptions(carouselOptions, carouselIndex) {
         console.log(`🔍 Carousel ${carouselIndex + 1}: Starting comprehensive ASIN extraction`);
         
@@ -749,17 +1049,23 @@
             console.log(`✅ Carousel ${carouselIndex + 1}: Successfully parsed JSON options`);
         } catch (error) {
             console.error(`❌ Carousel ${carouselIndex + 1}: Failed to parse JSON:`, error);
-            return [];
+            return { asins: [], sources: {} };
         }
         
-        const allAsins = new Set();
+        // ASIN -> methods that found it, in the order the methods ran
+        const allAsins = new Map();
+        const recordASIN = (asin, method) => {
+            const methods = allAsins.get(asin) || [];
+            if (!methods.includes(method)) methods.push(method);
+            allAsins.set(asin, methods);
+        };
         
         // Method 1: Direct id_list in root
         if (parsedOptions.id_list && Array.isArray(parsedOptions.id_list)) {
             console.log(`🎯 Carousel ${carouselIndex + 1}: Method 1 - Found id_list in root (${parsedOptions.id_list.length} items)`);
             parsedOptions.id_list.forEach(item => {
                 const asin = extractASINFromItem(item);
-                if (asin) allAsins.add(asin);
+                if (asin) recordASIN(asin, 'id_list');
             });
             console.log(`✅ Carousel ${carouselIndex + 1}: Method 1 extracted ${allAsins.size} ASINs`);
         }
@@ -773,7 +1079,7 @@
                 console.log(`🎯 Carousel ${carouselIndex + 1}: Method 2a - Found ajax.params.id_list (${params.id_list.length} items)`);
                 params.id_list.forEach(item => {
                     const asin = extractASINFromItem(item);
-                    if (asin) allAsins.add(asin);
+                    if (asin) recordASIN(asin, 'ajax_params');
                 });
             }
             
@@ -781,7 +1087,7 @@
                 console.log(`🎯 Carousel ${carouselIndex + 1}: Method 2b - Found ajax.params.asins (${params.asins.length} items)`);
                 params.asins.forEach(item => {
                     const asin = extractASINFromItem(item);
-                    if (asin) allAsins.add(asin);
+                    if (asin) recordASIN(asin, 'ajax_params');
                 });
             }
             
@@ -824,7 +1130,7 @@
             console.log(`✅ Carousel ${carouselIndex + 1}: Method 3 - Processing best array with ${bestArray.length} items`);
             bestArray.forEach(item => {
                 const asin = extractASINFromItem(item);
-                if (asin) allAsins.add(asin);
+                if (asin) recordASIN(asin, 'best_array');
             });
         }
         
@@ -842,7 +1148,7 @@
         primaryMatches.forEach(match => {
             const asin = match[0];
             if (isValidASIN(asin)) {
-                allAsins.add(asin);
+                recordASIN(asin, 'json_regex');
             }
         });
         
@@ -856,7 +1162,7 @@
             fallbackMatches.forEach(match => {
                 const asin = match[0];
                 if (isValidASIN(asin)) {
-                    allAsins.add(asin);
+                    recordASIN(asin, 'json_regex_fallback');
                 }
             });
         }
@@ -873,21 +1179,21 @@
             rawMatches.forEach(match => {
                 const asin = match[0];
                 if (isValidASIN(asin)) {
-                    allAsins.add(asin);
+                    recordASIN(asin, 'raw_string');
                 }
             });
             
             console.log(`✅ Carousel ${carouselIndex + 1}: Method 5 total ASINs: ${allAsins.size}`);
         }
         
-        const finalAsins = Array.from(allAsins);
+        const finalAsins = Array.from(allAsins.keys());
         console.log(`🎉 Carousel ${carouselIndex + 1}: Final extraction complete - ${finalAsins.length} unique ASINs`);
         
         if (finalAsins.length > 0) {
             console.log(`📋 Carousel ${carouselIndex + 1}: Sample ASINs:`, finalAsins.slice(0, 5));
         }
         
-        return finalAsins;
+        return { asins: finalAsins, sources: Object.fromEntries(allAsins) };
     }
 
     // Helper function to find all arrays in an object
@@ -967,6 +1273,75 @@
         return false;
     }
 
+    // Carousel ASIN provenance: how far each extraction method is trusted (0-100) and its export label
+    const CAROUSEL_ASIN_METHODS = {
+        id_list: { label: 'Root id_list', weight: 60 },
+        ajax_params: { label: 'Ajax params', weight: 60 },
+        best_array: { label: 'Best array', weight: 45 },
+        json_regex: { label: 'JSON regex', weight: 25 },
+        raw_string: { label: 'Raw string', weight: 20 },
+        json_regex_fallback: { label: 'JSON regex (8-15)', weight: 5 }
+    };
+
+    // Modern (non-book) ASINs look like B0XXXXXXXX
+    function isStandardASIN(asin) {
+        return /^B0[A-Z0-9]{8}$/i.test(asin);
+    }
+
+    // Confidence for one carousel ASIN: best method weight plus a format bonus; a match in the item DB is certain
+    function scoreCarouselASIN(asin, methods, inItemDB) {
+        let confidence = 100;
+        if (!inItemDB) {
+            const methodWeight = Math.max(0, ...methods.map(method => (CAROUSEL_ASIN_METHODS[method] || { weight: 0 }).weight));
+            let formatBonus = -20;
+            if (isStandardASIN(asin)) formatBonus = 35;
+            else if (/^\d{9}[\dX]$/i.test(asin)) formatBonus = 20;
+            else if (asin.length === 10) formatBonus = 0;
+            confidence = Math.max(0, Math.min(95, methodWeight + formatBonus));
+        }
+        return {
+            foundBy: methods.map(method => (CAROUSEL_ASIN_METHODS[method] || { label: method }).label).join(', '),
+            confidence,
+            level: confidence >= 80 ? 'High' : confidence >= 50 ? 'Medium' : 'Low',
+            inItemDB
+        };
+    }
+
+    // Score every shoveler ASIN against the item database; in strict mode drop any that are neither B0-style nor in the DB
+    async function scoreShovelerASINs(combinedData, strict = GM_getValue('wts_shoveler_strict_asins', false)) {
+        const allASINs = new Set();
+        combinedData.shovelers.forEach(shoveler => shoveler.asins.forEach(asin => allASINs.add(asin.toUpperCase())));
+        const knownASINs = new Set(allASINs.size > 0 ? await db.items.where('asin').anyOf(Array.from(allASINs)).keys() : []);
+
+        let rejectedCount = 0;
+        combinedData.shovelers.forEach(shoveler => {
+            const sources = shoveler.asinSources || {};
+            shoveler.asinConfidence = {};
+            shoveler.rejectedASINs = [];
+
+            shoveler.asins = shoveler.asins.filter(asin => {
+                const inItemDB = knownASINs.has(asin.toUpperCase());
+                const score = scoreCarouselASIN(asin, sources[asin] || [], inItemDB);
+                shoveler.asinConfidence[asin] = score;
+                if (strict && !inItemDB && !isStandardASIN(asin)) {
+                    shoveler.rejectedASINs.push(asin);
+                    return false;
+                }
+                return true;
+            });
+            shoveler.asinCount = shoveler.asins.length;
+            rejectedCount += shoveler.rejectedASINs.length;
+        });
+
+        combinedData.totalShovelerASINs = combinedData.shovelers.reduce((sum, shoveler) => sum + shoveler.asinCount, 0);
+        combinedData.strictShovelerASINs = strict;
+        combinedData.rejectedShovelerASINs = rejectedCount;
+        if (strict) {
+            console.log(`🎯 Strict shoveler ASINs: rejected ${rejectedCount}, kept ${combinedData.totalShovelerASINs}`);
+        }
+        return rejectedCount;
+    }
+
     // Enhanced data extraction that combines visible cards and carousel data
     function extractAllData() {
         console.log('🚀 Starting comprehensive data extraction...');
@@ -983,6 +1358,7 @@
         const combinedData = {
             visibleCards: cardData.data,
             emptyCards: cardData.emptyCount,
+            emptyCardSections: cardData.emptySections,
             shovelers: shovelerData,
             totalVisibleASINs: cardData.data.length,
             totalShovelerASINs: shovelerData.reduce((sum, shoveler) => sum + shoveler.asinCount, 0),
@@ -999,219 +1375,1181 @@
         return combinedData;
     }
 
-    // Enhanced XLSX download function that creates separate sheets for visible cards and shoveler data
-    function downloadXLSX(combinedData) {
-        console.log('📦 Starting XLSX export with separate sheets...');
-        
-        // If legacy format (array of rows), convert to new format
-        if (Array.isArray(combinedData) && combinedData.length > 0 && combinedData[0].ASIN) {
-            console.log('📦 Converting legacy format to new format');
-            combinedData = {
-                visibleCards: combinedData,
-                emptyCards: 0,
-                shovelers: [],
-                totalVisibleASINs: combinedData.length,
-                totalShovelerASINs: 0,
-                totalShovelers: 0
-            };
-        }
-        
-        // Create workbook
-        const workbook = XLSX.utils.book_new();
-        
-        // Sheet 1: Visible Cards
-        const visibleCardsData = [];
-        if (combinedData.visibleCards && combinedData.visibleCards.length > 0) {
-            console.log(`📦 Adding ${combinedData.visibleCards.length} visible cards to Visible Cards sheet`);
-            
-            // Add headers
-            visibleCardsData.push(['ASIN', 'Name', 'Section']);
-            
-            // Add data rows
-            combinedData.visibleCards.forEach(card => {
-                visibleCardsData.push([
-                    card.ASIN || '',
-                    card.Name || '',
-                    card.Section || ''
-                ]);
-            });
-        } else {
-            // Add headers even if no data
-            visibleCardsData.push(['ASIN', 'Name', 'Section']);
+    // Wait at least minDelayMs, then until the card and shoveler counts stop changing (checked once a second)
+    async function waitForPageToSettle(minDelayMs, maxWaitMs = 30000) {
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+        const deadline = Date.now() + minDelayMs + maxWaitMs;
+        await sleep(minDelayMs);
+
+        let previous = null;
+        while (Date.now() < deadline) {
+            const data = extractAllData();
+            const counts = `${data.totalVisibleASINs}|${data.emptyCards}|${data.totalShovelerASINs}`;
+            if (counts === previous) return data;
+            previous = counts;
+            await sleep(1000);
         }
-        
-        const visibleCardsSheet = XLSX.utils.aoa_to_sheet(visibleCardsData);
-        XLSX.utils.book_append_sheet(workbook, visibleCardsSheet, 'Visible Cards');
-        
-        // Sheet 2: Shoveler Data
-        const shovelerData = [];
-        if (combinedData.shovelers && combinedData.shovelers.length > 0) {
-            console.log(`📦 Adding ${combinedData.shovelers.length} shovelers to Shoveler Data sheet`);
-            
-            // Add headers
-            shovelerData.push(['ASIN', 'Name', 'Section', 'ShovelerTitle', 'ShovelerIndex']);
-            
-            // Add data rows
-            combinedData.shovelers.forEach(shoveler => {
-                if (shoveler.asins && shoveler.asins.length > 0) {
-                    shoveler.asins.forEach(asin => {
-                        shovelerData.push([
-                            asin,
-                            `[From Shoveler: ${shoveler.title}]`,
-                            'Shoveler Carousel',
-                            shoveler.title,
-                            shoveler.carouselIndex.toString()
-                        ]);
+        console.warn('⚠️ Page did not settle before the timeout, continuing anyway');
+        return extractAllData();
+    }
+
+    // Listing statuses other than "active" count as inactive (blank means unknown)
+    function isInactiveListingStatus(status) {
+        return !!status && status.toString().trim().toLowerCase() !== 'active';
+    }
+
+    // Assortment check: join the page's ASINs with the item database rows for one store
+    async function buildAssortmentCheck(combinedData, storeTLC) {
+        const visibleASINs = new Set(combinedData.visibleCards.map(card => (card.ASIN || '').toUpperCase()).filter(Boolean));
+        const shovelerASINs = new Set();
+        combinedData.shovelers.forEach(shoveler => {
+            shoveler.asins.forEach(asin => shovelerASINs.add(asin.toUpperCase()));
+        });
+
+        const pageASINs = Array.from(new Set([...visibleASINs, ...shovelerASINs]));
+        const storeItems = pageASINs.length > 0
+            ? await db.items.where('asin').anyOf(pageASINs).filter(item => item.store_tlc === storeTLC).toArray()
+            : [];
+        const itemsByASIN = new Map(storeItems.map(item => [item.asin, item]));
+
+        // Cards on the page the store does not carry, or carries with an inactive listing
+        const cardIssues = [];
+        combinedData.visibleCards.forEach(card => {
+            const asin = (card.ASIN || '').toUpperCase();
+            if (!asin) return;
+
+            const item = itemsByASIN.get(asin);
+            if (!item) {
+                cardIssues.push({ ASIN: asin, Name: card.Name, Section: card.Section, issue: 'Not in inventory', listingStatus: '', quantity: '' });
+            } else if (isInactiveListingStatus(item.listing_status)) {
+                cardIssues.push({ ASIN: asin, Name: card.Name, Section: card.Section, issue: 'Inactive listing', listingStatus: item.listing_status, quantity: item.quantity || '' });
+            }
+        });
+
+        // Store items a shoveler is configured with that never rendered as a card
+        const notRendered = [];
+        combinedData.shovelers.forEach(shoveler => {
+            shoveler.asins.forEach(rawASIN => {
+                const asin = rawASIN.toUpperCase();
+                const item = itemsByASIN.get(asin);
+                if (item && !visibleASINs.has(asin)) {
+                    notRendered.push({
+                        ASIN: asin,
+                        itemName: item.item_name,
+                        sku: item.sku,
+                        listingStatus: item.listing_status || '',
+                        quantity: item.quantity || '',
+                        shovelerTitle: shoveler.title,
+                        shovelerIndex: shoveler.carouselIndex
                     });
                 }
             });
-        } else {
-            // Add headers even if no data
-            shovelerData.push(['ASIN', 'Name', 'Section', 'ShovelerTitle', 'ShovelerIndex']);
-        }
-        
-        const shovelerSheet = XLSX.utils.aoa_to_sheet(shovelerData);
-        XLSX.utils.book_append_sheet(workbook, shovelerSheet, 'Shoveler Data');
-        
-        // Generate and download the file
-        const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
-        const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'wholefoods_data_separated.xlsx';
-        a.click();
-        URL.revokeObjectURL(url);
-        
-        console.log(`✅ XLSX export complete with separate sheets`);
-        console.log(`📊 Export summary: ${combinedData.totalVisibleASINs} visible ASINs (Visible Cards sheet), ${combinedData.totalShovelerASINs} shoveler ASINs (Shoveler Data sheet)`);
+        });
+
+        const check = {
+            storeTLC,
+            url: window.location.href,
+            checkedAt: new Date().toISOString(),
+            pageASINs: pageASINs.length,
+            inventoryMatches: itemsByASIN.size,
+            cardIssues,
+            notRendered
+        };
+
+        console.log(`🧮 Assortment check for ${storeTLC}: ${cardIssues.length} card issues, ${notRendered.length} shoveler items not rendered`);
+        return check;
     }
 
-    function createExportButton() {
-        try {
-            console.log('🔧 Creating WTS Tools panel...');
-            console.log('📍 Document ready state:', document.readyState);
-            console.log('📍 Body element exists:', !!document.body);
+    // Shoveler drill-down: name, price, image and availability per shoveler ASIN, cached for the current page and store
+    const SHOVELER_DETAIL_FIELDS = ['name', 'price', 'imageUrl', 'availability'];
+    const SHOVELER_AJAX_BATCH_SIZE = 20;
+    const SHOVELER_AJAX_TIMEOUT_MS = 10000;
+    const SHOVELER_ENRICH_BUDGET_MS = 45000;
+    const shovelerDetailsCache = new Map(); // ASIN -> { name, price, imageUrl, availability, source }
+    let shovelerDetailsCacheKey = null;
+
+    // Read ASIN, name, price, image and availability from a product card (rendered or from an ajax response)
+    function readProductCardDetails(element) {
+        const link = element.querySelector('a[href*="/dp/"]');
+        const linkMatch = link ? (link.getAttribute('href') || '').match(/\/dp\/([A-Z0-9]{10})/i) : null;
+        const asin = (element.getAttribute('data-csa-c-item-id') || element.getAttribute('data-asin') || (linkMatch ? linkMatch[1] : '')).toUpperCase();
+        if (!isValidASIN(asin)) return null;
+
+        const nameElement = element.querySelector('.a-truncate-full') || element.querySelector('.a-truncate-cut') ||
+            element.querySelector('[title]:not(img)') || element.querySelector('img[alt]');
+        const name = nameElement
+            ? (nameElement.textContent.trim() || nameElement.getAttribute('title') || nameElement.getAttribute('alt') || '').trim()
+            : '';
+
+        const priceElement = element.querySelector('.a-price .a-offscreen') || element.querySelector('.a-price') || element.querySelector('[class*="price"]');
+        const priceMatch = (priceElement ? priceElement.textContent : element.textContent).match(/\$\s*\d[\d,]*(?:\.\d{2})?/);
+
+        const image = element.querySelector('img');
+        const imageUrl = image ? (image.getAttribute('src') || image.getAttribute('data-src') || '') : '';
+
+        const text = element.textContent.replace(/\s+/g, ' ');
+        const availabilityMatch = text.match(/(currently unavailable|out of stock|temporarily out of stock|only \d+ left in stock|in stock)/i);
+        const availability = availabilityMatch
+            ? availabilityMatch[1].charAt(0).toUpperCase() + availabilityMatch[1].slice(1).toLowerCase()
+            : (element.querySelector('button[data-csa-c-type="addToCart"], [class*="add-to-cart"], [name="submit.addToCart"]') ? 'In stock' : '');
 
-            // Ensure document body exists
-            if (!document.body) {
-                throw new Error('Document body not available yet');
+        return {
+            asin,
+            name: name && !/^\[No Name\]$/.test(name) ? name : '',
+            price: priceMatch ? priceMatch[0].replace(/\s+/g, '') : '',
+            imageUrl: imageUrl.startsWith('data:') ? '' : imageUrl,
+            availability
+        };
+    }
+
+    // Fill the fields a source knows that earlier sources left blank
+    function mergeShovelerDetails(asin, details, source) {
+        const existing = shovelerDetailsCache.get(asin) || { name: '', price: '', imageUrl: '', availability: '', source: '' };
+        let added = false;
+        SHOVELER_DETAIL_FIELDS.forEach(field => {
+            if (!existing[field] && details[field]) {
+                existing[field] = details[field];
+                added = true;
             }
+        });
+        if (added && !existing.source.split(', ').includes(source)) {
+            existing.source = existing.source ? `${existing.source}, ${source}` : source;
+        }
+        shovelerDetailsCache.set(asin, existing);
+    }
 
-            let lastExtractedData = [];
-            let storeMappingData = new Map(); // Store mapping: Acro -> StoreId
-            let itemDatabase = []; // Item database from XLSX: Array of item objects
+    function hasCompleteShovelerDetails(asin) {
+        const details = shovelerDetailsCache.get(asin);
+        return !!details && SHOVELER_DETAIL_FIELDS.every(field => details[field]);
+    }
 
-        // Load stored mappings from Tampermonkey storage
-        function loadStoredMappings() {
-            try {
-                const storedData = GM_getValue('storeMappingData', '{}');
-                const parsedData = JSON.parse(storedData);
-                storeMappingData.clear();
-                Object.entries(parsedData).forEach(([acro, storeId]) => {
-                    storeMappingData.set(acro, storeId);
-                });
-            } catch (error) {
-                console.error('Error loading stored mappings:', error);
-                storeMappingData.clear();
+    // Collect HTML fragments from a carousel ajax response (JSON of any shape, or plain HTML)
+    function collectHTMLFragments(value, fragments = [], depth = 0) {
+        if (depth > 10 || value === null || value === undefined) return fragments;
+        if (typeof value === 'string') {
+            if (/<[a-z][\s\S]*>/i.test(value)) fragments.push(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(entry => collectHTMLFragments(entry, fragments, depth + 1));
+        } else if (typeof value === 'object') {
+            Object.values(value).forEach(entry => collectHTMLFragments(entry, fragments, depth + 1));
+        }
+        return fragments;
+    }
+
+    // The ajax param a carousel lists its items in (the same ones extractASINsFromCarouselOptions reads), or null
+    function getCarouselAjaxIdParam(ajax) {
+        const params = (ajax && ajax.params) || {};
+        return ['id_list', 'asins'].find(name => Array.isArray(params[name])) || null;
+    }
+
+    // Ask the carousel's own ajax endpoint to render cards for the given ASINs: its own params and HTTP method,
+    // with its item list cut down to the batch (entries keep their original shape, e.g. {"id": ...} objects)
+    async function fetchCarouselCardDetails(ajax, asins) {
+        const idParam = getCarouselAjaxIdParam(ajax);
+        const wantedASINs = new Set(asins);
+        const originalEntries = ajax.params[idParam];
+        const entries = originalEntries.filter(item => wantedASINs.has((extractASINFromItem(item) || '').toUpperCase()));
+        const listed = new Set(entries.map(item => extractASINFromItem(item).toUpperCase()));
+        const entryIsObject = originalEntries.some(item => item && typeof item === 'object');
+        asins.filter(asin => !listed.has(asin)).forEach(asin => entries.push(entryIsObject ? { id: asin } : asin));
+
+        const params = new URLSearchParams();
+        Object.entries(ajax.params).forEach(([key, value]) => {
+            if (key === idParam) {
+                params.set(key, entryIsObject ? JSON.stringify(entries) : entries.join(','));
+            } else if (value !== null && value !== undefined) {
+                params.set(key, typeof value === 'object' ? JSON.stringify(value) : value);
             }
+        });
+
+        const method = String(ajax.method || ajax.type || 'GET').toUpperCase();
+        const url = new URL(ajax.url, window.location.origin);
+        const request = { method, credentials: 'include' };
+        if (method === 'GET') {
+            params.forEach((value, key) => url.searchParams.set(key, value));
+        } else {
+            request.body = params;
         }
 
-        // Save mappings to Tampermonkey storage
-        function saveStoredMappings() {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), SHOVELER_AJAX_TIMEOUT_MS);
+        try {
+            const response = await fetch(url.toString(), { ...request, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const body = await response.text();
+
+            let fragments;
             try {
-                const dataToStore = Object.fromEntries(storeMappingData);
-                GM_setValue('storeMappingData', JSON.stringify(dataToStore));
+                fragments = collectHTMLFragments(JSON.parse(body));
             } catch (error) {
-                console.error('Error saving mappings:', error);
+                fragments = [body];
             }
+
+            const parser = new DOMParser();
+            const details = [];
+            fragments.forEach(fragment => {
+                const doc = parser.parseFromString(fragment, 'text/html');
+                doc.querySelectorAll('[data-csa-c-item-id], [data-asin], li.a-carousel-card').forEach(card => {
+                    const cardDetails = readProductCardDetails(card);
+                    if (cardDetails) details.push(cardDetails);
+                });
+            });
+            return details;
+        } finally {
+            clearTimeout(timer);
         }
+    }
 
-        // Load existing mappings on initialization
-        loadStoredMappings();
+    // Resolve every shoveler ASIN against the rendered page, then the carousel ajax endpoint, then the item database
+    async function enrichShovelerASINs(combinedData, storeTLC, onProgress) {
+        const cacheKey = `${window.location.href}|${storeTLC || ''}`;
+        if (cacheKey !== shovelerDetailsCacheKey) {
+            shovelerDetailsCache.clear();
+            shovelerDetailsCacheKey = cacheKey;
+        }
 
+        const wanted = new Set();
+        combinedData.shovelers.forEach(shoveler => shoveler.asins.forEach(asin => wanted.add(asin.toUpperCase())));
+        const pending = () => Array.from(wanted).filter(asin => !hasCompleteShovelerDetails(asin));
+        const countNamed = () => Array.from(wanted).filter(asin => (shovelerDetailsCache.get(asin) || {}).name).length;
+        const report = () => onProgress && onProgress(countNamed(), wanted.size);
+        const deadline = Date.now() + SHOVELER_ENRICH_BUDGET_MS;
+
+        // 1. Cards already rendered anywhere on the page
+        document.querySelectorAll('[data-csa-c-type="item"][data-csa-c-item-type="asin"], [data-asin]').forEach(card => {
+            const details = readProductCardDetails(card);
+            if (details && wanted.has(details.asin)) {
+                mergeShovelerDetails(details.asin, details, 'Page');
+            }
+        });
+        report();
 
-        // XLSX parsing function for store mapping
-        function parseXLSXForStoreMapping(arrayBuffer) {
+        // 2. Each carousel's ajax endpoint, in batches, for the ASINs it has not rendered yet
+        const carousels = document.querySelectorAll('[data-a-carousel-options]');
+        for (const shoveler of combinedData.shovelers) {
+            const carousel = carousels[shoveler.carouselIndex - 1];
+            let ajax = null;
             try {
-                const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-                const sheetName = workbook.SheetNames[0];
-                
-                if (!sheetName) {
-                    throw new Error('No sheets found in XLSX file');
-                }
-
-                const worksheet = workbook.Sheets[sheetName];
-                const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+                ajax = carousel ? JSON.parse(carousel.getAttribute('data-a-carousel-options')).ajax : null;
+            } catch (error) {
+                ajax = null;
+            }
+            if (!ajax || !ajax.url || !getCarouselAjaxIdParam(ajax)) continue;
 
-                if (jsonData.length < 2) {
-                    throw new Error('XLSX file must contain at least a header row and one data row');
+            const missing = shoveler.asins.map(asin => asin.toUpperCase()).filter(asin => !hasCompleteShovelerDetails(asin));
+            for (let i = 0; i < missing.length && Date.now() < deadline; i += SHOVELER_AJAX_BATCH_SIZE) {
+                const batch = missing.slice(i, i + SHOVELER_AJAX_BATCH_SIZE);
+                try {
+                    const details = await fetchCarouselCardDetails(ajax, batch);
+                    details.forEach(cardDetails => {
+                        if (wanted.has(cardDetails.asin)) {
+                            mergeShovelerDetails(cardDetails.asin, cardDetails, 'Carousel');
+                        }
+                    });
+                } catch (error) {
+                    console.warn(`⚠️ Shoveler ${shoveler.carouselIndex} ("${shoveler.title}"): ajax lookup failed, skipping the rest of this carousel:`, error.message);
+                    break;
                 }
+                report();
+            }
+        }
+        if (Date.now() >= deadline) {
+            console.warn('⚠️ Shoveler ajax lookups ran out of time, falling back to the item database');
+        }
 
-                const header = jsonData[0].map(col => col ? col.toString().trim() : '');
-                const acroIndex = header.findIndex(col => col.toLowerCase() === 'acro');
-                const storeIdIndex = header.findIndex(col => col.toLowerCase() === 'storeid');
+        // 3. Item database rows, preferring the current store
+        const remaining = pending();
+        if (remaining.length > 0) {
+            const items = await db.items.where('asin').anyOf(remaining).toArray();
+            const itemsByASIN = new Map();
+            items.forEach(item => {
+                const current = itemsByASIN.get(item.asin);
+                if (!current || (item.store_tlc === storeTLC && current.store_tlc !== storeTLC)) {
+                    itemsByASIN.set(item.asin, item);
+                }
+            });
 
-                if (acroIndex === -1 || storeIdIndex === -1) {
-                    throw new Error('XLSX must contain "Acro" and "StoreId" columns');
+            itemsByASIN.forEach((item, asin) => {
+                const price = item.eod_our_price_amount;
+                const quantity = parseFloat(item.quantity);
+                let availability = '';
+                if (isInactiveListingStatus(item.listing_status)) {
+                    availability = `Listing ${item.listing_status}`;
+                } else if (item.quantity !== undefined && item.quantity !== '' && !isNaN(quantity)) {
+                    availability = quantity > 0 ? 'In stock' : 'Out of stock';
+                } else if (item.listing_status) {
+                    availability = 'Active';
                 }
+                mergeShovelerDetails(asin, {
+                    name: item.item_name || '',
+                    price: typeof price === 'number' ? `$${price.toFixed(2)}` : (item.eod_our_price || ''),
+                    imageUrl: '',
+                    availability: availability && item.store_tlc !== storeTLC ? `${availability} at ${item.store_tlc}` : availability
+                }, item.store_tlc === storeTLC ? 'Item DB' : `Item DB (${item.store_tlc})`);
+            });
+        }
+        report();
 
-                const mappings = new Map();
+        const details = {};
+        wanted.forEach(asin => {
+            if (shovelerDetailsCache.has(asin)) details[asin] = shovelerDetailsCache.get(asin);
+        });
+        console.log(`🎠 Shoveler drill-down: ${countNamed()}/${wanted.size} ASINs named, ${pending().length} still missing a detail`);
+        return details;
+    }
+
+    // Page snapshots: the page layout (section order, card order, shovelers, empty slots) per page and store, for layout diffs
+    const SNAPSHOTS_PER_PAGE = 20;
+    const SNAPSHOT_TRACKING_PARAMS = /^(ref|ref_|pd_rd_.*|pf_rd_.*|qid|sr|_encoding|content-id|crid|sprefix)$/i;
+
+    // Same page regardless of tracking parameters and hash
+    function getSnapshotPageKey(href = window.location.href) {
+        const url = new URL(href);
+        Array.from(url.searchParams.keys()).forEach(key => {
+            if (SNAPSHOT_TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+        });
+        url.searchParams.sort();
+        const search = url.searchParams.toString();
+        return `${url.origin}${url.pathname.replace(/\/ref=[^/]*$/, '')}${search ? `?${search}` : ''}`;
+    }
+
+    function buildPageSnapshot(combinedData, storeTLC, trigger) {
+        // Sections in the order their first card appears, cards in page order within each
+        const sections = [];
+        const sectionsById = new Map();
+        combinedData.visibleCards.forEach(card => {
+            const id = card.Section || 'Unknown';
+            if (!sectionsById.has(id)) {
+                const section = { section: id, asins: [], emptySlots: 0 };
+                sectionsById.set(id, section);
+                sections.push(section);
+            }
+            if (card.ASIN) sectionsById.get(id).asins.push(card.ASIN.toUpperCase());
+        });
+        (combinedData.emptyCardSections || []).forEach(id => {
+            if (!sectionsById.has(id)) {
+                const section = { section: id, asins: [], emptySlots: 0 };
+                sectionsById.set(id, section);
+                sections.push(section);
+            }
+            sectionsById.get(id).emptySlots++;
+        });
+
+        return {
+            pageKey: getSnapshotPageKey(),
+            url: window.location.href,
+            storeTLC: storeTLC || '',
+            capturedAt: Date.now(),
+            trigger,
+            sections,
+            shovelers: combinedData.shovelers.map(shoveler => ({
+                title: shoveler.title,
+                carouselIndex: shoveler.carouselIndex,
+                asins: shoveler.asins.map(asin => asin.toUpperCase())
+            })),
+            emptyCards: combinedData.emptyCards,
+            totalVisibleASINs: combinedData.totalVisibleASINs,
+            totalShovelerASINs: combinedData.totalShovelerASINs
+        };
+    }
+
+    // Layout only, so re-saving an unchanged page can be skipped
+    function getSnapshotSignature(snapshot) {
+        return JSON.stringify([snapshot.sections, snapshot.shovelers]);
+    }
+
+    async function getPageSnapshots(pageKey, storeTLC) {
+        const snapshots = await db.snapshots.where('[pageKey+storeTLC]').equals([pageKey, storeTLC || '']).sortBy('capturedAt');
+        return snapshots.reverse();
+    }
+
+    // Save a snapshot unless the layout is identical to the latest one; keeps the newest SNAPSHOTS_PER_PAGE per page and store
+    async function savePageSnapshot(snapshot) {
+        const existing = await getPageSnapshots(snapshot.pageKey, snapshot.storeTLC);
+        if (existing.length > 0 && getSnapshotSignature(existing[0]) === getSnapshotSignature(snapshot)) {
+            console.log(`📸 Page layout unchanged since snapshot ${existing[0].id}, not saving a duplicate`);
+            return { saved: false, snapshot: existing[0] };
+        }
+
+        snapshot.id = await db.snapshots.add(snapshot);
+        const expired = existing.slice(SNAPSHOTS_PER_PAGE - 1).map(old => old.id);
+        if (expired.length > 0) {
+            await db.snapshots.bulkDelete(expired);
+        }
+        console.log(`📸 Saved ${snapshot.trigger} snapshot ${snapshot.id} for ${snapshot.pageKey} (${snapshot.storeTLC || 'no store'})`);
+        return { saved: true, snapshot };
+    }
+
+    // Added, removed and moved ASINs between two ordered lists; positions are 1-based
+    function diffOrderedASINs(previousASINs, currentASINs, where, changes) {
+        const previousPositions = new Map(previousASINs.map((asin, index) => [asin, index + 1]));
+        const currentPositions = new Map(currentASINs.map((asin, index) => [asin, index + 1]));
+
+        currentASINs.forEach((asin, index) => {
+            const before = previousPositions.get(asin);
+            if (before === undefined) {
+                changes.push({ change: 'ASIN added', where, asin, from: '', to: index + 1 });
+            } else if (before !== index + 1) {
+                changes.push({ change: 'ASIN moved', where, asin, from: before, to: index + 1 });
+            }
+        });
+        previousASINs.forEach((asin, index) => {
+            if (!currentPositions.has(asin)) {
+                changes.push({ change: 'ASIN removed', where, asin, from: index + 1, to: '' });
+            }
+        });
+    }
+
+    // Layout changes from an older snapshot to a newer one
+    function compareSnapshots(previous, current) {
+        const changes = [];
+
+        // Sections: order, cards and empty slots
+        const previousSections = new Map(previous.sections.map((section, index) => [section.section, { ...section, position: index + 1 }]));
+        const currentSectionIds = new Set(current.sections.map(section => section.section));
+        current.sections.forEach((section, index) => {
+            const where = `Section ${section.section}`;
+            const before = previousSections.get(section.section);
+            if (!before) {
+                changes.push({ change: 'Section added', where, asin: '', from: '', to: index + 1 });
+                section.asins.forEach((asin, position) => changes.push({ change: 'ASIN added', where, asin, from: '', to: position + 1 }));
+            } else {
+                if (before.position !== index + 1) {
+                    changes.push({ change: 'Section moved', where, asin: '', from: before.position, to: index + 1 });
+                }
+                diffOrderedASINs(before.asins, section.asins, where, changes);
+            }
+            const emptyBefore = before ? before.emptySlots : 0;
+            if (section.emptySlots > emptyBefore) {
+                changes.push({ change: 'New empty slots', where, asin: '', from: emptyBefore, to: section.emptySlots });
+            }
+        });
+        previous.sections.forEach((section, index) => {
+            if (!currentSectionIds.has(section.section)) {
+                changes.push({ change: 'Section removed', where: `Section ${section.section}`, asin: '', from: index + 1, to: '' });
+            }
+        });
+
+        // Shovelers: match by title, then an unmatched pair sharing most of its ASINs is the same shoveler renamed
+        const unmatchedPrevious = previous.shovelers.slice();
+        const pairs = [];
+        const unmatchedCurrent = [];
+        current.shovelers.forEach(shoveler => {
+            const index = unmatchedPrevious.findIndex(old => old.title === shoveler.title);
+            if (index >= 0) {
+                pairs.push([unmatchedPrevious.splice(index, 1)[0], shoveler]);
+            } else {
+                unmatchedCurrent.push(shoveler);
+            }
+        });
+        unmatchedCurrent.forEach(shoveler => {
+            const asins = new Set(shoveler.asins);
+            let bestIndex = -1;
+            let bestOverlap = 0;
+            unmatchedPrevious.forEach((old, index) => {
+                const shared = old.asins.filter(asin => asins.has(asin)).length;
+                const overlap = shared / Math.max(old.asins.length, shoveler.asins.length, 1);
+                if (overlap > bestOverlap) {
+                    bestOverlap = overlap;
+                    bestIndex = index;
+                }
+            });
+
+            const where = `Shoveler ${shoveler.carouselIndex}: ${shoveler.title}`;
+            if (bestOverlap >= 0.5) {
+                const old = unmatchedPrevious.splice(bestIndex, 1)[0];
+                changes.push({ change: 'Shoveler renamed', where, asin: '', from: old.title, to: shoveler.title });
+                pairs.push([old, shoveler]);
+            } else {
+                changes.push({ change: 'Shoveler added', where, asin: '', from: '', to: shoveler.carouselIndex });
+                shoveler.asins.forEach((asin, position) => changes.push({ change: 'ASIN added', where, asin, from: '', to: position + 1 }));
+            }
+        });
+        pairs.forEach(([old, shoveler]) => {
+            const where = `Shoveler ${shoveler.carouselIndex}: ${shoveler.title}`;
+            if (old.carouselIndex !== shoveler.carouselIndex) {
+                changes.push({ change: 'Shoveler moved', where, asin: '', from: old.carouselIndex, to: shoveler.carouselIndex });
+            }
+            diffOrderedASINs(old.asins, shoveler.asins, where, changes);
+        });
+        unmatchedPrevious.forEach(old => {
+            changes.push({ change: 'Shoveler removed', where: `Shoveler ${old.carouselIndex}: ${old.title}`, asin: '', from: old.carouselIndex, to: '' });
+        });
+
+        return changes;
+    }
+
+    // Snapshot the current page; automatic snapshots wait for the page to settle first
+    async function captureCurrentPageSnapshot(trigger, storeTLC) {
+        const data = trigger === 'auto' ? await waitForPageToSettle(3000) : extractAllData();
+        await scoreShovelerASINs(data);
+        if (data.totalVisibleASINs === 0 && data.totalShovelerASINs === 0 && data.emptyCards === 0) {
+            return null;
+        }
+        return savePageSnapshot(buildPageSnapshot(data, storeTLC, trigger));
+    }
+
+    // Automatic snapshots run once per page (including in-app navigation), skipped while a store tour is switching stores
+    async function captureAutoSnapshot() {
+        const pageKey = getSnapshotPageKey();
+        if (!GM_getValue('wts_snapshot_auto', false) || !snapshotStoreResolver || autoSnapshotPageKey === pageKey ||
+            storeTourRunning || GM_getValue('wts_store_tour', '')) {
+            return;
+        }
+        autoSnapshotPageKey = pageKey;
+        try {
+            await captureCurrentPageSnapshot('auto', snapshotStoreResolver());
+        } catch (error) {
+            console.error('❌ Automatic page snapshot failed:', error);
+        }
+    }
+
+    // Page text (section ids, shoveler titles) is shown inside innerHTML templates
+    function escapeHTML(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    // Outline cards from an assortment check: red = not in inventory, yellow = inactive listing
+    function highlightAssortmentIssues(check) {
+        clearAssortmentHighlights();
+
+        const issuesByASIN = new Map(check.cardIssues.map(issue => [issue.ASIN, issue]));
+        document.querySelectorAll('[data-csa-c-type="item"][data-csa-c-item-type="asin"]').forEach(card => {
+            const issue = issuesByASIN.get((card.getAttribute('data-csa-c-item-id') || '').toUpperCase());
+            if (!issue) return;
+
+            card.setAttribute('data-wts-assortment', issue.issue);
+            card.setAttribute('data-wts-assortment-title', card.getAttribute('title') || '');
+            card.style.outline = `3px solid ${issue.issue === 'Not in inventory' ? '#dc3545' : '#ffc107'}`;
+            card.style.outlineOffset = '-3px';
+            card.title = `WTS ${check.storeTLC}: ${issue.issue}${issue.listingStatus ? ` (${issue.listingStatus})` : ''}`;
+        });
+    }
+
+    function clearAssortmentHighlights() {
+        document.querySelectorAll('[data-wts-assortment]').forEach(card => {
+            card.style.outline = '';
+            card.style.outlineOffset = '';
+            const originalTitle = card.getAttribute('data-wts-assortment-title');
+            if (originalTitle) {
+                card.title = originalTitle;
+            } else {
+                card.removeAttribute('title');
+            }
+            card.removeAttribute('data-wts-assortment');
+            card.removeAttribute('data-wts-assortment-title');
+        });
+    }
+
+    // Overlay colors by card status
+    const OVERLAY_STATUS_COLORS = {
+        ok: '#28a745',           // In the store's item database with an active listing
+        inactive: '#ffc107',     // In the store's item database, listing not active
+        otherStores: '#fd7e14',  // Only in other stores' item database rows
+        missing: '#dc3545',      // Not in the item database at all
+        unknown: '#6c757d'       // No item database loaded
+    };
+
+    function enableCardOverlays(storeResolver) {
+        overlaysEnabled = true;
+        overlayStoreResolver = storeResolver;
+        overlayItemCache.clear(); // The item database may have been re-imported since the last run
+
+        if (!overlayObserver) {
+            // Follow SPA re-renders and lazy-loaded carousels, ignoring our own badge insertions
+            overlayObserver = new MutationObserver((mutations) => {
+                const pageChanged = mutations.some(mutation =>
+                    Array.from(mutation.addedNodes).some(node =>
+                        node.nodeType === Node.ELEMENT_NODE && !node.classList.contains('wts-card-overlay')));
+                if (pageChanged) {
+                    scheduleOverlayRefresh();
+                }
+            });
+            overlayObserver.observe(document.body, { childList: true, subtree: true });
+        }
+
+        console.log('🏷️ Card overlays enabled');
+        return refreshCardOverlays();
+    }
+
+    function disableCardOverlays() {
+        overlaysEnabled = false;
+
+        if (overlayObserver) {
+            overlayObserver.disconnect();
+            overlayObserver = null;
+        }
+        if (overlayRefreshTimeout) {
+            clearTimeout(overlayRefreshTimeout);
+            overlayRefreshTimeout = null;
+        }
+
+        document.querySelectorAll('.wts-card-overlay').forEach(overlay => overlay.remove());
+        document.querySelectorAll('[data-wts-overlay]').forEach(card => {
+            card.style.boxShadow = '';
+            if (card.getAttribute('data-wts-overlay-position') === 'static') {
+                card.style.position = '';
+            }
+            card.removeAttribute('data-wts-overlay');
+            card.removeAttribute('data-wts-overlay-position');
+        });
+
+        console.log('🏷️ Card overlays removed');
+    }
+
+    function scheduleOverlayRefresh(delay = 300) {
+        if (!overlaysEnabled) return;
+        clearTimeout(overlayRefreshTimeout);
+        overlayRefreshTimeout = setTimeout(() => {
+            refreshCardOverlays().catch(error => console.error('❌ Error refreshing card overlays:', error));
+        }, delay);
+    }
+
+    // Draw (or redraw) badges on every ASIN card that doesn't have an up-to-date one
+    async function refreshCardOverlays() {
+        if (!overlaysEnabled || !document.body) return;
+
+        const cards = Array.from(document.querySelectorAll('[data-csa-c-type="item"][data-csa-c-item-type="asin"]'));
+        const pending = cards.filter(card => {
+            const asin = (card.getAttribute('data-csa-c-item-id') || '').toUpperCase();
+            return asin && card.getAttribute('data-wts-overlay') !== asin;
+        });
+        if (pending.length === 0) return;
+
+        // Look up uncached ASINs in one indexed query
+        const uncached = Array.from(new Set(pending.map(card => card.getAttribute('data-csa-c-item-id').toUpperCase())))
+            .filter(asin => !overlayItemCache.has(asin));
+        const dbCount = await db.items.count();
+        if (uncached.length > 0 && dbCount > 0) {
+            uncached.forEach(asin => overlayItemCache.set(asin, []));
+            const rows = await db.items.where('asin').anyOf(uncached).toArray();
+            rows.forEach(row => overlayItemCache.get(row.asin).push(row));
+        }
+
+        const storeTLC = overlayStoreResolver ? overlayStoreResolver() : null;
+
+        pending.forEach(card => {
+            if (!overlaysEnabled || !document.body.contains(card)) return;
+
+            const asin = card.getAttribute('data-csa-c-item-id').toUpperCase();
+            const rows = overlayItemCache.get(asin) || [];
+            const storeRow = storeTLC ? rows.find(row => row.store_tlc === storeTLC) : rows[0];
+
+            let status = 'unknown';
+            if (dbCount > 0) {
+                if (storeRow) {
+                    status = isInactiveListingStatus(storeRow.listing_status) ? 'inactive' : 'ok';
+                } else {
+                    status = rows.length > 0 ? 'otherStores' : 'missing';
+                }
+            }
+
+            card.querySelectorAll(':scope > .wts-card-overlay').forEach(overlay => overlay.remove());
+            card.appendChild(createCardOverlay(card, asin, status, storeRow, storeTLC));
+
+            if (!card.hasAttribute('data-wts-overlay-position')) {
+                const position = window.getComputedStyle(card).position;
+                card.setAttribute('data-wts-overlay-position', position);
+                if (position === 'static') {
+                    card.style.position = 'relative';
+                }
+            }
+            card.setAttribute('data-wts-overlay', asin);
+            card.style.boxShadow = `inset 0 0 0 3px ${OVERLAY_STATUS_COLORS[status]}`;
+        });
+    }
+
+    function createCardOverlay(card, asin, status, storeRow, storeTLC) {
+        const section = card.closest('[data-cel-widget]')?.getAttribute('data-cel-widget') || 'Unknown';
+
+        const overlay = document.createElement('div');
+        overlay.className = 'wts-card-overlay';
+        overlay.style.position = 'absolute';
+        overlay.style.top = '4px';
+        overlay.style.left = '4px';
+        overlay.style.right = '4px';
+        overlay.style.zIndex = '5';
+        overlay.style.display = 'flex';
+        overlay.style.flexWrap = 'wrap';
+        overlay.style.gap = '3px';
+        overlay.style.pointerEvents = 'none';
+        overlay.style.fontFamily = 'sans-serif';
+        overlay.style.fontSize = '10px';
+        overlay.style.lineHeight = '1.3';
+
+        const createBadge = (text, background, color = '#fff') => {
+            const badge = document.createElement('span');
+            badge.textContent = text;
+            badge.style.background = background;
+            badge.style.color = color;
+            badge.style.padding = '1px 5px';
+            badge.style.borderRadius = '3px';
+            badge.style.whiteSpace = 'nowrap';
+            badge.style.maxWidth = '100%';
+            badge.style.overflow = 'hidden';
+            badge.style.textOverflow = 'ellipsis';
+            badge.style.boxShadow = '0 1px 2px rgba(0,0,0,0.3)';
+            overlay.appendChild(badge);
+            return badge;
+        };
+
+        // ASIN badge copies the ASIN without following the card's link
+        const asinBadge = createBadge(asin, '#212529');
+        asinBadge.title = 'Click to copy ASIN';
+        asinBadge.style.cursor = 'copy';
+        asinBadge.style.pointerEvents = 'auto';
+        asinBadge.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            navigator.clipboard.writeText(asin).then(() => {
+                asinBadge.textContent = '✅ Copied';
+                setTimeout(() => { asinBadge.textContent = asin; }, 1000);
+            }).catch(error => {
+                console.error('❌ Failed to copy ASIN:', error);
+                prompt('Copy ASIN:', asin);
+            });
+        });
+
+        createBadge(section, 'rgba(73, 80, 87, 0.85)').title = `data-cel-widget: ${section}`;
+
+        const statusText = {
+            ok: `✅ In DB${storeTLC ? ` (${storeTLC})` : ''}`,
+            inactive: `⚠️ ${storeRow && storeRow.listing_status ? storeRow.listing_status : 'Inactive'}`,
+            otherStores: '🏪 Other stores only',
+            missing: '❌ Not in DB',
+            unknown: 'No item DB'
+        }[status];
+        createBadge(statusText, OVERLAY_STATUS_COLORS[status], status === 'inactive' ? '#212529' : '#fff');
+
+        if (storeRow) {
+            const details = [];
+            if (storeRow.eod_our_price) {
+                const price = storeRow.eod_our_price_amount;
+                details.push(typeof price === 'number' ? `$${price.toFixed(2)}` : storeRow.eod_our_price);
+            }
+            if (storeRow.quantity !== undefined && storeRow.quantity !== '') {
+                details.push(`Qty ${storeRow.quantity}`);
+            }
+            if (details.length > 0) {
+                createBadge(details.join(' | '), '#00704A');
+            }
+        }
+
+        return overlay;
+    }
+
+    const CARD_POSITION_HEADERS = ['PagePosition', 'SectionPosition', 'CarouselPosition', 'CarouselPage', 'CarouselSlot', 'InitiallyVisible'];
+    const SHOVELER_POSITION_HEADERS = ['ShovelerPosition', 'CarouselPage', 'CarouselSlot', 'InitiallyVisible'];
+    const SHOVELER_SHEET_HEADERS = ['ASIN', 'Name', 'Section', 'ShovelerTitle', 'ShovelerIndex', 'Price', 'Availability', 'ImageURL', 'DetailsSource',
+        'FoundBy', 'Confidence', 'ConfidenceLevel', 'InItemDB', ...SHOVELER_POSITION_HEADERS];
+
+    function getCardPositionCells(card) {
+        return CARD_POSITION_HEADERS.map(header => card[header] ?? '');
+    }
+
+    // Position of an ASIN in the shoveler's configured order (before strict mode drops any), and where that lands in the carousel's pages
+    function getShovelerPositionCells(shoveler, asin) {
+        const position = (shoveler.asinPositions || {})[asin] || shoveler.asins.indexOf(asin) + 1;
+        const placement = getCarouselPlacement(position, shoveler.pageSize);
+        return [position, placement.page, placement.slot, placement.initiallyVisible];
+    }
+
+    // Enhanced XLSX download function that creates separate sheets for visible cards and shoveler data
+    function downloadXLSX(combinedData) {
+        console.log('📦 Starting XLSX export with separate sheets...');
+        
+        // If legacy format (array of rows), convert to new format
+        if (Array.isArray(combinedData) && combinedData.length > 0 && combinedData[0].ASIN) {
+            console.log('📦 Converting legacy format to new format');
+            combinedData = {
+                visibleCards: combinedData,
+                emptyCards: 0,
+                shovelers: [],
+                totalVisibleASINs: combinedData.length,
+                totalShovelerASINs: 0,
+                totalShovelers: 0
+            };
+        }
+        
+        // Create workbook
+        const workbook = XLSX.utils.book_new();
+        
+        // Sheet 1: Visible Cards
+        const visibleCardsData = [];
+        if (combinedData.visibleCards && combinedData.visibleCards.length > 0) {
+            console.log(`📦 Adding ${combinedData.visibleCards.length} visible cards to Visible Cards sheet`);
+            
+            // Add headers
+            visibleCardsData.push(['ASIN', 'Name', 'Section', ...CARD_POSITION_HEADERS]);
+            
+            // Add data rows
+            combinedData.visibleCards.forEach(card => {
+                visibleCardsData.push([
+                    card.ASIN || '',
+                    card.Name || '',
+                    card.Section || '',
+                    ...getCardPositionCells(card)
+                ]);
+            });
+        } else {
+            // Add headers even if no data
+            visibleCardsData.push(['ASIN', 'Name', 'Section', ...CARD_POSITION_HEADERS]);
+        }
+        
+        const visibleCardsSheet = XLSX.utils.aoa_to_sheet(visibleCardsData);
+        XLSX.utils.book_append_sheet(workbook, visibleCardsSheet, 'Visible Cards');
+        
+        // Sheet 2: Shoveler Data
+        const shovelerData = [];
+        if (combinedData.shovelers && combinedData.shovelers.length > 0) {
+            console.log(`📦 Adding ${combinedData.shovelers.length} shovelers to Shoveler Data sheet`);
+            
+            // Add headers
+            shovelerData.push(SHOVELER_SHEET_HEADERS);
+            
+            // Add data rows (details come from the shoveler drill-down when it ran)
+            const shovelerDetails = combinedData.shovelerDetails || {};
+            combinedData.shovelers.forEach(shoveler => {
+                if (shoveler.asins && shoveler.asins.length > 0) {
+                    shoveler.asins.forEach(asin => {
+                        const details = shovelerDetails[asin.toUpperCase()] || {};
+                        const score = (shoveler.asinConfidence || {})[asin];
+                        shovelerData.push([
+                            asin,
+                            details.name || `[From Shoveler: ${shoveler.title}]`,
+                            shoveler.section || 'Unknown',
+                            shoveler.title,
+                            shoveler.carouselIndex.toString(),
+                            details.price || '',
+                            details.availability || '',
+                            details.imageUrl || '',
+                            details.source || '',
+                            ...(score ? [score.foundBy, score.confidence, score.level, score.inItemDB ? 'Yes' : 'No'] : ['', '', '', '']),
+                            ...getShovelerPositionCells(shoveler, asin)
+                        ]);
+                    });
+                }
+            });
+        } else {
+            // Add headers even if no data
+            shovelerData.push(SHOVELER_SHEET_HEADERS);
+        }
+        
+        const shovelerSheet = XLSX.utils.aoa_to_sheet(shovelerData);
+        XLSX.utils.book_append_sheet(workbook, shovelerSheet, 'Shoveler Data');
+        
+        // ASINs strict mode dropped, so reviewers can check nothing real was lost
+        if (combinedData.rejectedShovelerASINs > 0) {
+            const rejectedData = [['ASIN', 'ShovelerTitle', 'ShovelerIndex', 'FoundBy', 'Confidence', 'ConfidenceLevel']];
+            combinedData.shovelers.forEach(shoveler => {
+                (shoveler.rejectedASINs || []).forEach(asin => {
+                    const score = shoveler.asinConfidence[asin];
+                    rejectedData.push([asin, shoveler.title, shoveler.carouselIndex.toString(), score.foundBy, score.confidence, score.level]);
+                });
+            });
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rejectedData), 'Rejected Shoveler ASINs');
+        }
+        
+        // Sheets 3-4: Assortment check results, when one was run on this page
+        if (combinedData.assortmentCheck) {
+            const check = combinedData.assortmentCheck;
+            console.log(`📦 Adding assortment check for ${check.storeTLC} (${check.cardIssues.length} issues, ${check.notRendered.length} not rendered)`);
+
+            const issuesData = [['ASIN', 'Name', 'Section', 'Issue', 'ListingStatus', 'Quantity', 'StoreTLC']];
+            check.cardIssues.forEach(issue => {
+                issuesData.push([issue.ASIN, issue.Name || '', issue.Section || '', issue.issue, issue.listingStatus, issue.quantity, check.storeTLC]);
+            });
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(issuesData), 'Assortment Issues');
+
+            const notRenderedData = [['ASIN', 'ItemName', 'SKU', 'ListingStatus', 'Quantity', 'ShovelerTitle', 'ShovelerIndex', 'StoreTLC']];
+            check.notRendered.forEach(item => {
+                notRenderedData.push([item.ASIN, item.itemName || '', item.sku || '', item.listingStatus, item.quantity, item.shovelerTitle, item.shovelerIndex.toString(), check.storeTLC]);
+            });
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(notRenderedData), 'Not Rendered');
+        }
+        
+        // Generate and download the file
+        const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'wholefoods_data_separated.xlsx';
+        a.click();
+        URL.revokeObjectURL(url);
+        
+        console.log(`✅ XLSX export complete with separate sheets`);
+        console.log(`📊 Export summary: ${combinedData.totalVisibleASINs} visible ASINs (Visible Cards sheet), ${combinedData.totalShovelerASINs} shoveler ASINs (Shoveler Data sheet)`);
+    }
+
+    // Download a workbook as XLSX, or its first sheet as CSV
+    function downloadWorkbook(workbook, fileName, format = 'xlsx') {
+        let blob;
+        if (format === 'csv') {
+            const csv = XLSX.utils.sheet_to_csv(workbook.Sheets[workbook.SheetNames[0]]);
+            blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+        } else {
+            const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+            blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        }
+
+        downloadBlob(blob, fileName);
+    }
+
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    function createExportButton() {
+        try {
+            console.log('🔧 Creating WTS Tools panel...');
+            console.log('📍 Document ready state:', document.readyState);
+            console.log('📍 Body element exists:', !!document.body);
+
+            // Ensure document body exists
+            if (!document.body) {
+                throw new Error('Document body not available yet');
+            }
+
+            let lastExtractedData = [];
+            let storeMappingData = new Map(); // Store mapping: Acro -> StoreId
+            let storeDirectoryData = new Map(); // Store directory: TLC -> store record (see Store Directory Format.md)
+            let itemDatabase = []; // Item database from XLSX: Array of item objects
+            let nameTokenVocabulary = null; // Sorted distinct name_tokens (plus the same terms by length), cleared on every import
+
+        // Canonical store directory columns shared with the Scanner app and the Amazon Store Jumper
+        const STORE_DIRECTORY_COLUMNS = [
+            { header: 'tlc', key: 'tlc' },
+            { header: 'store_acronym', key: 'acronym' },
+            { header: 'store_id', key: 'storeId' },
+            { header: 'pickup_address_id', key: 'pickupAddressId' },
+            { header: 'region_id', key: 'regionId' },
+            { header: 'store_name', key: 'name' },
+            { header: 'city', key: 'city' },
+            { header: 'state', key: 'state' },
+            { header: 'bu', key: 'bu' },
+            { header: 'is_active', key: 'active' }
+        ];
+
+        // Header aliases (lowercase, spaces/underscores removed), including the older Acro/StoreId sheet
+        const STORE_DIRECTORY_ALIASES = {
+            tlc: 'tlc',
+            storetlc: 'tlc',
+            acro: 'tlc',
+            acronym: 'acronym',
+            storeacronym: 'acronym',
+            storeid: 'storeId',
+            pickupaddressid: 'pickupAddressId',
+            destinationid: 'pickupAddressId',
+            regionid: 'regionId',
+            storename: 'name',
+            name: 'name',
+            city: 'city',
+            state: 'state',
+            bu: 'bu',
+            businessunit: 'bu',
+            isactive: 'active',
+            active: 'active'
+        };
+
+        // Rebuild the switchable Acro -> StoreId map from the directory (active stores with a StoreId)
+        function rebuildStoreMappings() {
+            storeMappingData.clear();
+            Array.from(storeDirectoryData.values())
+                .filter(store => store.active && store.storeId !== null)
+                .forEach(store => storeMappingData.set(store.tlc, store.storeId));
+        }
+
+        // Load stored mappings from Tampermonkey storage
+        function loadStoredMappings() {
+            try {
+                storeDirectoryData.clear();
+                const storedDirectory = JSON.parse(GM_getValue('storeDirectoryData', '[]'));
+
+                if (storedDirectory.length > 0) {
+                    storedDirectory.forEach(store => storeDirectoryData.set(store.tlc, store));
+                } else {
+                    // Older installs only saved Acro -> StoreId
+                    const parsedData = JSON.parse(GM_getValue('storeMappingData', '{}'));
+                    Object.entries(parsedData).forEach(([acro, storeId]) => {
+                        storeDirectoryData.set(acro, {
+                            tlc: acro, acronym: '', storeId: storeId, pickupAddressId: '', regionId: '',
+                            name: '', city: '', state: '', bu: '', active: true
+                        });
+                    });
+                }
+                rebuildStoreMappings();
+            } catch (error) {
+                console.error('Error loading stored mappings:', error);
+                storeDirectoryData.clear();
+                storeMappingData.clear();
+            }
+        }
+
+        // Save mappings to Tampermonkey storage
+        function saveStoredMappings() {
+            try {
+                const dataToStore = Object.fromEntries(storeMappingData);
+                GM_setValue('storeMappingData', JSON.stringify(dataToStore));
+                GM_setValue('storeDirectoryData', JSON.stringify(Array.from(storeDirectoryData.values())));
+            } catch (error) {
+                console.error('Error saving mappings:', error);
+            }
+        }
+
+        // Load existing mappings on initialization
+        loadStoredMappings();
+
+
+        // Store directory parsing (XLSX or CSV) - accepts the shared format and the older Acro/StoreId sheet
+        function parseXLSXForStoreMapping(arrayBuffer) {
+            try {
+                const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+                const sheetName = workbook.SheetNames.includes('Store Directory') ? 'Store Directory' : workbook.SheetNames[0];
+                
+                if (!sheetName) {
+                    throw new Error('No sheets found in XLSX file');
+                }
+
+                const worksheet = workbook.Sheets[sheetName];
+                const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+
+                if (jsonData.length < 2) {
+                    throw new Error('XLSX file must contain at least a header row and one data row');
+                }
+
+                const header = jsonData[0].map(col => col ? col.toString().trim().replace(/^\uFEFF/, '') : '');
+                const normalizedHeader = header.map(col => col.toLowerCase().replace(/[\s_]+/g, ''));
+                const hasTLC = normalizedHeader.some(col => ['tlc', 'storetlc', 'acro', 'acronym', 'storeacronym', 'storecode'].includes(col));
+                const hasStoreId = normalizedHeader.some(col => ['storeid', 'storecode'].includes(col));
+
+                if (!hasTLC || !hasStoreId) {
+                    throw new Error('File must contain "tlc" (or "Acro") and "store_id" (or "StoreId") columns');
+                }
+
+                const directory = new Map();
                 const errors = [];
 
                 for (let i = 1; i < jsonData.length; i++) {
                     const row = jsonData[i];
 
-                    if (!row || row.length < Math.max(acroIndex, storeIdIndex) + 1) {
-                        errors.push(`Row ${i + 1}: Insufficient columns`);
+                    if (!row || row.every(cell => cell === undefined || cell === null || cell.toString().trim() === '')) {
                         continue;
                     }
 
-                    const acro = row[acroIndex] ? row[acroIndex].toString().trim() : '';
-                    const storeId = row[storeIdIndex] ? row[storeIdIndex].toString().trim() : '';
+                    const store = {};
+                    normalizedHeader.forEach((col, index) => {
+                        const value = row[index] !== undefined && row[index] !== null ? row[index].toString().trim() : '';
+                        // "StoreCode" is the TLC in Scanner files but the numeric store ID in Store Jumper files
+                        const key = col === 'storecode'
+                            ? (/^\d+$/.test(value) ? 'storeId' : 'tlc')
+                            : STORE_DIRECTORY_ALIASES[col];
+                        if (key && value !== '' && store[key] === undefined) {
+                            store[key] = value;
+                        }
+                    });
+
+                    // The Store Jumper derived the TLC from the acronym by dropping its first character
+                    if (!store.tlc && store.acronym) {
+                        store.tlc = store.acronym.length > 3 ? store.acronym.substring(1) : store.acronym;
+                    }
+
+                    const acro = store.tlc || '';
+                    const storeId = store.storeId || '';
 
                     // Validate Acro (3 characters)
                     if (!acro || acro.length !== 3) {
-                        errors.push(`Row ${i + 1}: Acro must be exactly 3 characters (got: "${acro}")`);
+                        errors.push(`Row ${i + 1}: TLC must be exactly 3 characters (got: "${acro}")`);
                         continue;
                     }
 
-                    // Validate StoreId (numeric)
-                    if (!storeId || isNaN(storeId) || !Number.isInteger(Number(storeId))) {
+                    // Validate StoreId (numeric) - rows without one stay in the directory but can't be switched to
+                    if (storeId && (isNaN(storeId) || !Number.isInteger(Number(storeId)))) {
                         errors.push(`Row ${i + 1}: StoreId must be a valid integer (got: "${storeId}")`);
                         continue;
                     }
 
-                    mappings.set(acro.toUpperCase(), parseInt(storeId, 10));
+                    const active = store.active === undefined ||
+                        ['true', '1', 'yes', 'y', 'active'].includes(store.active.toLowerCase());
+
+                    directory.set(acro.toUpperCase(), {
+                        tlc: acro.toUpperCase(),
+                        acronym: store.acronym || '',
+                        storeId: storeId ? parseInt(storeId, 10) : null,
+                        pickupAddressId: store.pickupAddressId || '',
+                        regionId: store.regionId || '',
+                        name: store.name || '',
+                        city: store.city || '',
+                        state: store.state || '',
+                        bu: store.bu || '',
+                        active: active
+                    });
                 }
 
                 if (errors.length > 0) {
                     throw new Error(`Validation errors:\n${errors.join('\n')}`);
                 }
 
-                if (mappings.size === 0) {
+                if (!Array.from(directory.values()).some(store => store.storeId !== null)) {
                     throw new Error('No valid store mappings found in the file');
                 }
 
-                return mappings;
+                return directory;
             } catch (error) {
                 if (error.message.includes('Unsupported file')) {
-                    throw new Error('Invalid XLSX file format. Please ensure the file is a valid Excel (.xlsx) file.');
+                    throw new Error('Invalid file format. Please ensure the file is a valid Excel (.xlsx) or CSV file.');
                 }
                 throw error;
             }
         }
 
-        // XLSX parsing function with true streaming - never holds full dataset in memory
-        async function parseXLSXStreaming(arrayBuffer) {
+        // Export the loaded store directory in the shared format
+        function exportStoreDirectory() {
+            if (storeDirectoryData.size === 0) {
+                alert('❌ No store directory loaded. Upload a store directory file first.');
+                return;
+            }
+
+            const rows = Array.from(storeDirectoryData.values())
+                .sort((a, b) => a.tlc.localeCompare(b.tlc))
+                .map(store => STORE_DIRECTORY_COLUMNS.map(column => {
+                    const value = store[column.key];
+                    if (column.key === 'active') {
+                        return value ? 'true' : 'false';
+                    }
+                    return value === null || value === undefined ? '' : value;
+                }));
+
+            const wb = XLSX.utils.book_new();
+            const ws = XLSX.utils.aoa_to_sheet([STORE_DIRECTORY_COLUMNS.map(column => column.header), ...rows]);
+            XLSX.utils.book_append_sheet(wb, ws, 'Store Directory');
+
+            downloadWorkbook(wb, `WTS_Store_Directory_${new Date().toISOString().split('T')[0]}.xlsx`);
+
+            console.log(`📤 Exported ${storeDirectoryData.size} stores to store directory XLSX`);
+        }
+
+        // XLSX item database import - parses the whole sheet, then applies it as a keyed delta
+        // options (from the import wizard): workbook (already read), sheetName, columnMap (item field -> file header),
+        // strict (reject rows with an invalid ASIN or store TLC instead of importing them with a warning)
+        async function parseXLSXStreaming(arrayBuffer, fileName = '', options = {}) {
             try {
                 console.log('📊 Starting XLSX streaming parse...');
                 const startTime = Date.now();
 
-                const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+                const workbook = options.workbook || XLSX.read(arrayBuffer, { type: 'array' });
 
-                // Look for the specific sheet "WFMOAC Inventory Data"
-                const targetSheetName = "WFMOAC Inventory Data";
+                // Look for the sheet picked in the import wizard, or "WFMOAC Inventory Data"
+                const targetSheetName = options.sheetName || ITEM_IMPORT_SHEET_NAME;
                 let sheetName = targetSheetName;
 
                 if (!workbook.SheetNames.includes(targetSheetName)) {
@@ -1231,47 +2569,52 @@
                 }
 
                 const totalRows = jsonData.length - 1; // Exclude header
-                console.log(`📊 Streaming ${totalRows} rows directly to IndexedDB...`);
+                console.log(`📊 Parsing ${totalRows} rows for a delta import...`);
 
                 // Warn about large datasets
                 if (totalRows > 100000) {
-                    const proceed = confirm(`⚠️ Large dataset detected: ${totalRows} rows\n\nThis will be streamed directly to IndexedDB to avoid memory issues.\n\nDo you want to continue?`);
+                    const proceed = confirm(`⚠️ Large dataset detected: ${totalRows} rows\n\nOnly added, changed and removed items will be written to IndexedDB.\n\nDo you want to continue?`);
                     if (!proceed) {
                         throw new Error('Processing cancelled by user');
                     }
                 }
 
-                const headers = jsonData[0].map(h => h ? h.toString().trim() : '');
-                const requiredColumns = ['store_name', 'store_acronym', 'store_tlc', 'item_name', 'sku', 'asin'];
+                const headers = Array.from(jsonData[0], h => (h !== undefined && h !== null ? h.toString().trim() : ''));
+                const requiredColumns = ITEM_IMPORT_REQUIRED_COLUMNS;
                 const columnIndices = {};
+                const columnMap = options.columnMap || null;
+                const findColumn = col => {
+                    const header = columnMap ? columnMap[col] : col;
+                    return header ? headers.findIndex(h => h.toLowerCase() === header.toLowerCase()) : -1;
+                };
 
                 // Map column headers to indices (case insensitive)
                 requiredColumns.forEach(col => {
-                    const index = headers.findIndex(h => h.toLowerCase() === col.toLowerCase());
+                    const index = findColumn(col);
                     if (index === -1) {
-                        throw new Error(`Required column "${col}" not found in XLSX file`);
+                        // A saved mapping can leave the store name/acronym to the store directory
+                        if (columnMap && !columnMap[col] && ITEM_IMPORT_DIRECTORY_COLUMNS.includes(col)) return;
+                        throw new Error(`Required column "${columnMap && columnMap[col] ? columnMap[col] : col}" not found in XLSX file`);
                     }
                     columnIndices[col] = index;
                 });
 
                 // Optional columns
-                const optionalColumns = ['quantity', 'listing_status', 'event_date', 'sku_wo_chck_dgt', 'rnk', 'eod_our_price', 'offering_start_datetime', 'offering_end_datetime', 'merchant_customer_id', 'encrypted_merchant_i'];
+                const optionalColumns = ITEM_IMPORT_OPTIONAL_COLUMNS;
                 optionalColumns.forEach(col => {
-                    const index = headers.findIndex(h => h.toLowerCase() === col.toLowerCase());
+                    const index = findColumn(col);
                     if (index !== -1) {
                         columnIndices[col] = index;
                     }
                 });
 
-                // Clear existing data first
-                await db.items.clear();
+                const strict = !!options.strict;
+                const validationErrors = []; // { row, column, value, reason, severity: 'Rejected' | 'Warning' }
+                let skippedRows = 0;
+                const incoming = new Map(); // Item key -> normalized item; a later row with the same key wins
+                const keyRows = new Map(); // Item key -> sheet row it was last read from
 
-                let savedCount = 0;
-                let errorCount = 0;
-                const BATCH_SIZE = 500; // Smaller batches for memory efficiency
-                let batch = [];
-
-                // Stream process rows directly to IndexedDB without building large arrays
+                // Parse every row before touching the database so a bad file leaves the current data intact
                 for (let i = 1; i < jsonData.length; i++) { // Start at 1 to skip header
                     const row = jsonData[i];
 
@@ -1282,23 +2625,39 @@
 
                     // Process required columns
                     requiredColumns.forEach(col => {
+                        if (columnIndices[col] === undefined) return; // Filled from the store directory below
                         const value = row[columnIndices[col]];
                         if (value === undefined || value === null || value === '') {
-                            errorCount++;
+                            validationErrors.push({ row: i + 1, column: col, value: '', reason: 'Required value is missing', severity: 'Rejected' });
                             hasError = true;
                             return;
                         }
                         item[col] = value.toString().trim();
                     });
 
-                    if (hasError) continue;
+                    if (hasError) {
+                        skippedRows++;
+                        continue;
+                    }
+
+                    if (columnIndices.store_name === undefined || columnIndices.store_acronym === undefined) {
+                        const store = storeDirectoryData.get(item.store_tlc.toUpperCase());
+                        if (columnIndices.store_name === undefined) item.store_name = store && store.name ? store.name : item.store_tlc;
+                        if (columnIndices.store_acronym === undefined) item.store_acronym = store && store.acronym ? store.acronym : item.store_tlc;
+                    }
 
-                    // Validate and normalize data
+                    // Validate and normalize data; strict mode rejects rows whose identity columns are invalid
+                    const identityErrors = [];
                     if (item.asin && !/^[A-Z0-9]{10}$/i.test(item.asin)) {
-                        errorCount++;
+                        identityErrors.push({ row: i + 1, column: 'asin', value: item.asin, reason: 'ASIN is not 10 alphanumeric characters' });
+                    }
+                    if (item.store_tlc && !/^[A-Z]{3}$/i.test(item.store_tlc)) {
+                        identityErrors.push({ row: i + 1, column: 'store_tlc', value: item.store_tlc, reason: 'store_tlc is not 3 letters' });
                     }
-                    if (item.store_tlc && item.store_tlc.length !== 3) {
-                        errorCount++;
+                    identityErrors.forEach(error => validationErrors.push({ ...error, severity: strict ? 'Rejected' : 'Warning' }));
+                    if (strict && identityErrors.length > 0) {
+                        skippedRows++;
+                        continue;
                     }
 
                     // Process optional columns
@@ -1309,67 +2668,57 @@
                         }
                     });
 
-                    // Normalize data
-                    item.asin = (item.asin || '').toUpperCase();
-                    item.store_tlc = (item.store_tlc || '').toUpperCase();
-                    item.item_nameLower = (item.item_name || '').toLowerCase();
-
-                    // Add to batch
-                    batch.push({
-                        asin: item.asin,
-                        sku: item.sku || '',
-                        store_tlc: item.store_tlc,
-                        store_acronym: item.store_acronym || '',
-                        store_name: item.store_name || '',
-                        item_nameLower: item.item_nameLower,
-                        item_name: item.item_name || '',
-                        quantity: item.quantity || '',
-                        listing_status: item.listing_status || '',
-                        event_date: item.event_date || '',
-                        sku_wo_chck_dgt: item.sku_wo_chck_dgt || '',
-                        rnk: item.rnk || '',
-                        eod_our_price: item.eod_our_price || '',
-                        offering_start_datetime: item.offering_start_datetime || '',
-                        offering_end_datetime: item.offering_end_datetime || '',
-                        merchant_customer_id: item.merchant_customer_id || '',
-                        encrypted_merchant_i: item.encrypted_merchant_i || ''
+                    // Suspicious values are imported as-is and reported
+                    [['quantity', 'quantity'], ['rnk', 'rank']].forEach(([col, label]) => {
+                        const value = item[col];
+                        if (value && (isNaN(Number(value)) || Number(value) < 0)) {
+                            validationErrors.push({ row: i + 1, column: col, value, reason: `${label} is not a non-negative number`, severity: 'Warning' });
+                        }
                     });
-
-                    // Save batch when it reaches size limit
-                    if (batch.length >= BATCH_SIZE) {
-                        await db.items.bulkAdd(batch);
-                        savedCount += batch.length;
-                        batch = []; // Clear batch
-
-                        // Progress update every 10k items
-                        if (savedCount % 10000 === 0) {
-                            console.log(`📦 Streamed ${savedCount.toLocaleString()}/${totalRows.toLocaleString()} items to IndexedDB...`);
+                    // Prices may carry a currency symbol or multi-buy text ("$4.99", "2 for $5"), so use the price parser
+                    if (item.eod_our_price) {
+                        const price = parseItemPrice(item.eod_our_price);
+                        if (price === null || price < 0) {
+                            validationErrors.push({ row: i + 1, column: 'eod_our_price', value: item.eod_our_price, reason: 'price is not a readable non-negative price', severity: 'Warning' });
                         }
+                    }
 
-                        // Allow UI to breathe
-                        if (savedCount % 5000 === 0) {
-                            await new Promise(resolve => setTimeout(resolve, 10));
-                        }
+                    const record = normalizeItemRecord(item);
+                    const key = getItemKey(record);
+                    if (keyRows.has(key)) {
+                        validationErrors.push({ row: i + 1, column: 'store_tlc/asin/sku', value: key, reason: `Duplicate of row ${keyRows.get(key)} (this row is kept)`, severity: 'Warning' });
                     }
+                    keyRows.set(key, i + 1);
+                    incoming.set(key, record);
+                }
+
+                console.log(`📊 Parsed ${incoming.size.toLocaleString()} unique items in ${((Date.now() - startTime) / 1000).toFixed(2)} seconds`);
+
+                if (validationErrors.length > 0) {
+                    console.warn(`⚠️ ${validationErrors.length} validation errors, ${skippedRows} rows skipped (${strict ? 'strict' : 'lenient'} validation)`);
                 }
 
-                // Save any remaining items in the final batch
-                if (batch.length > 0) {
-                    await db.items.bulkAdd(batch);
-                    savedCount += batch.length;
+                if (incoming.size === 0) {
+                    // Applying an empty snapshot would delete every item
+                    const error = new Error(`No valid rows in "${sheetName}" (${skippedRows.toLocaleString()} rejected)`);
+                    error.validationReport = validationErrors;
+                    throw error;
                 }
 
-                // Save timestamp
-                GM_setValue('itemDatabaseTimestamp', Date.now());
+                const result = await applyItemDatabaseDelta(incoming, {
+                    fileName,
+                    sheetName,
+                    rowCount: totalRows,
+                    skippedRows,
+                    validationErrors,
+                    strict
+                });
+                result.validationReport = validationErrors;
 
                 const processingTime = (Date.now() - startTime) / 1000;
-                console.log(`✅ Streamed ${savedCount.toLocaleString()} items to IndexedDB in ${processingTime.toFixed(2)} seconds`);
-                
-                if (errorCount > 0) {
-                    console.warn(`⚠️ Skipped ${errorCount} rows due to validation errors`);
-                }
+                console.log(`✅ Item database import finished in ${processingTime.toFixed(2)} seconds`);
 
-                return savedCount;
+                return result;
 
             } catch (error) {
                 if (error.message.includes('Unsupported file')) {
@@ -1379,75 +2728,285 @@
             }
         }
 
+        const ITEM_IMPORT_SHEET_NAME = 'WFMOAC Inventory Data';
+        const ITEM_IMPORT_REQUIRED_COLUMNS = ['store_name', 'store_acronym', 'store_tlc', 'item_name', 'sku', 'asin'];
+        const ITEM_IMPORT_OPTIONAL_COLUMNS = ['quantity', 'listing_status', 'event_date', 'sku_wo_chck_dgt', 'rnk', 'eod_our_price', 'offering_start_datetime', 'offering_end_datetime', 'merchant_customer_id', 'encrypted_merchant_i'];
+        // Required columns a mapping may leave unmapped; they are looked up by TLC in the store directory
+        const ITEM_IMPORT_DIRECTORY_COLUMNS = ['store_name', 'store_acronym'];
+
+        // Header aliases (lowercase, spaces/underscores/punctuation removed) seen in other inventory reports
+        const ITEM_COLUMN_ALIASES = {
+            asin: 'asin',
+            amazonasin: 'asin',
+            productasin: 'asin',
+            sku: 'sku',
+            itemsku: 'sku',
+            upc: 'sku',
+            itemnumber: 'sku',
+            storetlc: 'store_tlc',
+            tlc: 'store_tlc',
+            storecode: 'store_tlc',
+            acro: 'store_tlc',
+            locationcode: 'store_tlc',
+            storeacronym: 'store_acronym',
+            acronym: 'store_acronym',
+            storename: 'store_name',
+            store: 'store_name',
+            location: 'store_name',
+            locationname: 'store_name',
+            itemname: 'item_name',
+            name: 'item_name',
+            item: 'item_name',
+            itemdescription: 'item_name',
+            description: 'item_name',
+            productname: 'item_name',
+            title: 'item_name',
+            quantity: 'quantity',
+            qty: 'quantity',
+            onhand: 'quantity',
+            onhandqty: 'quantity',
+            units: 'quantity',
+            listingstatus: 'listing_status',
+            status: 'listing_status',
+            itemstatus: 'listing_status',
+            eventdate: 'event_date',
+            date: 'event_date',
+            reportdate: 'event_date',
+            skuwochckdgt: 'sku_wo_chck_dgt',
+            skuwithoutcheckdigit: 'sku_wo_chck_dgt',
+            rnk: 'rnk',
+            rank: 'rnk',
+            eodourprice: 'eod_our_price',
+            ourprice: 'eod_our_price',
+            price: 'eod_our_price',
+            retailprice: 'eod_our_price',
+            currentprice: 'eod_our_price',
+            offeringstartdatetime: 'offering_start_datetime',
+            offeringstart: 'offering_start_datetime',
+            startdate: 'offering_start_datetime',
+            offeringenddatetime: 'offering_end_datetime',
+            offeringend: 'offering_end_datetime',
+            enddate: 'offering_end_datetime',
+            merchantcustomerid: 'merchant_customer_id',
+            merchantid: 'merchant_customer_id',
+            encryptedmerchanti: 'encrypted_merchant_i',
+            encryptedmerchantid: 'encrypted_merchant_i'
+        };
+
+        function normalizeImportHeader(header) {
+            return (header || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, '');
+        }
+
+        // Suggest a file header for each item field: exact names and aliases first, then headers containing a longer alias
+        function suggestItemColumnMapping(headers) {
+            const normalized = headers.map(normalizeImportHeader);
+            const aliasesByField = {};
+            Object.entries(ITEM_COLUMN_ALIASES).forEach(([alias, field]) => {
+                (aliasesByField[field] = aliasesByField[field] || []).push(alias);
+            });
+
+            const mapping = {};
+            const used = new Set();
+            const assign = (matches) => {
+                [...ITEM_IMPORT_REQUIRED_COLUMNS, ...ITEM_IMPORT_OPTIONAL_COLUMNS].forEach(field => {
+                    if (mapping[field]) return;
+                    const index = normalized.findIndex((header, i) => header && !used.has(i) && aliasesByField[field].some(alias => matches(header, alias)));
+                    if (index !== -1) {
+                        used.add(index);
+                        mapping[field] = headers[index];
+                    }
+                });
+            };
+
+            assign((header, alias) => header === alias);
+            assign((header, alias) => alias.length >= 6 && header.includes(alias));
+            return mapping;
+        }
+
+        // Header row of a worksheet without converting the whole sheet
+        function getSheetHeaders(worksheet) {
+            if (!worksheet || !worksheet['!ref']) return [];
+            const range = XLSX.utils.decode_range(worksheet['!ref']);
+            const headerRow = XLSX.utils.sheet_to_json(worksheet, {
+                header: 1,
+                range: { s: { r: range.s.r, c: range.s.c }, e: { r: range.s.r, c: range.e.c } }
+            })[0] || [];
+            return Array.from(headerRow, h => (h !== undefined && h !== null ? h.toString().trim() : ''));
+        }
+
         // Legacy function for compatibility
         async function parseXLSX(arrayBuffer) {
             // For large files, use streaming directly
             return await parseXLSXStreaming(arrayBuffer);
         }
 
-        // Stream items directly to IndexedDB without holding in memory
-        async function saveItemDatabaseStreaming(items) {
-            try {
-                console.log(`💾 Streaming ${items.length} items to IndexedDB...`);
-                const startTime = Date.now();
+        // Fields stored for each item; also the fields compared to decide whether an existing row changed
+        const ITEM_FIELDS = [
+            'asin', 'sku', 'store_tlc', 'store_acronym', 'store_name', 'item_nameLower', 'item_name',
+            'quantity', 'listing_status', 'event_date', 'sku_wo_chck_dgt', 'rnk', 'eod_our_price',
+            'offering_start_datetime', 'offering_end_datetime', 'merchant_customer_id', 'encrypted_merchant_i'
+        ];
+
+        // Columns written by search exports, named as in the import file
+        const ITEM_EXPORT_COLUMNS = ITEM_FIELDS.filter(field => field !== 'item_nameLower');
 
-                // Clear existing data
-                await db.items.clear();
-
-                let savedCount = 0;
-                const BATCH_SIZE = 1000; // Smaller batches for large datasets
-                const totalBatches = Math.ceil(items.length / BATCH_SIZE);
-
-                for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
-                    const startIdx = batchIndex * BATCH_SIZE;
-                    const endIdx = Math.min(startIdx + BATCH_SIZE, items.length);
-                    
-                    // Process batch without storing in memory
-                    const batch = [];
-                    for (let i = startIdx; i < endIdx; i++) {
-                        const item = items[i];
-                        batch.push({
-                            asin: (item.asin || '').toUpperCase(),
-                            sku: (item.sku || ''),
-                            store_tlc: (item.store_tlc || '').toUpperCase(),
-                            store_acronym: item.store_acronym || '',
-                            store_name: item.store_name || '',
-                            item_nameLower: (item.item_name || '').toLowerCase(),
-                            item_name: item.item_name || '',
-                            // Include optional fields if they exist
-                            quantity: item.quantity || '',
-                            listing_status: item.listing_status || '',
-                            event_date: item.event_date || '',
-                            sku_wo_chck_dgt: item.sku_wo_chck_dgt || '',
-                            rnk: item.rnk || '',
-                            eod_our_price: item.eod_our_price || '',
-                            offering_start_datetime: item.offering_start_datetime || '',
-                            offering_end_datetime: item.offering_end_datetime || '',
-                            merchant_customer_id: item.merchant_customer_id || '',
-                            encrypted_merchant_i: item.encrypted_merchant_i || ''
+        function normalizeItemRecord(item) {
+            const record = {};
+            ITEM_FIELDS.forEach(field => {
+                record[field] = item[field] !== undefined && item[field] !== null ? item[field].toString() : '';
+            });
+            record.asin = record.asin.toUpperCase();
+            record.store_tlc = record.store_tlc.toUpperCase();
+            record.item_nameLower = record.item_name.toLowerCase();
+            record.name_tokens = tokenizeItemName(record.item_name);
+            record.eod_our_price_amount = parseItemPrice(record.eod_our_price);
+            return record;
+        }
+
+        // Import key: one row per store/ASIN/SKU
+        function getItemKey(item) {
+            return `${item.store_tlc}|${item.asin}|${item.sku}`;
+        }
+
+        // Fields whose changes are kept in itemHistory, and how many imports of history to keep
+        const TRACKED_ITEM_FIELDS = ['quantity', 'listing_status', 'eod_our_price'];
+        const ITEM_HISTORY_IMPORTS = 20;
+        const MAX_STORED_VALIDATION_ERRORS = 500;
+
+        // Upsert a full inventory snapshot: add new keys, update changed rows, delete keys missing from the snapshot.
+        // Everything runs in one transaction, so a failure part-way leaves the previous data untouched.
+        async function applyItemDatabaseDelta(incoming, importInfo = {}) {
+            const startTime = Date.now();
+            const importedAt = Date.now();
+            const BATCH_SIZE = 1000;
+            const validationErrors = importInfo.validationErrors || [];
+            const counts = {
+                added: 0, updated: 0, deleted: 0, unchanged: 0, total: incoming.size,
+                skipped: importInfo.skippedRows || 0,
+                validationErrors: validationErrors.length,
+                priceChanges: 0, wentInactive: 0
+            };
+
+            await db.transaction('rw', db.items, db.imports, db.itemHistory, async () => {
+                const importId = await db.imports.add({
+                    fileName: importInfo.fileName || '',
+                    sheetName: importInfo.sheetName || '',
+                    rowCount: importInfo.rowCount || incoming.size,
+                    strict: !!importInfo.strict,
+                    importedAt,
+                    errors: validationErrors.slice(0, MAX_STORED_VALIDATION_ERRORS)
+                });
+
+                const seenKeys = new Set();
+                const deleteIds = [];
+                const updates = [];
+                const history = [];
+
+                await db.items.each(existing => {
+                    const key = getItemKey(existing);
+                    const next = incoming.get(key);
+
+                    // Keys no longer in the snapshot, and duplicate rows left by older clear-and-reload imports
+                    if (!next || seenKeys.has(key)) {
+                        deleteIds.push(existing.id);
+                        return;
+                    }
+
+                    seenKeys.add(key);
+                    if (ITEM_FIELDS.some(field => (existing[field] || '') !== next[field])) {
+                        updates.push({ ...next, id: existing.id });
+
+                        TRACKED_ITEM_FIELDS.forEach(field => {
+                            const from = existing[field] || '';
+                            if (from === next[field]) return;
+
+                            history.push({
+                                itemKey: key, importId, asin: next.asin, sku: next.sku, store_tlc: next.store_tlc,
+                                field, from, to: next[field], changedAt: importedAt
+                            });
+                            if (field === 'eod_our_price') {
+                                counts.priceChanges++;
+                            } else if (field === 'listing_status' && !isInactiveListingStatus(from) && isInactiveListingStatus(next[field])) {
+                                counts.wentInactive++;
+                            }
                         });
+                    } else {
+                        counts.unchanged++;
                     }
+                });
+
+                const adds = [];
+                incoming.forEach((record, key) => {
+                    if (!seenKeys.has(key)) {
+                        adds.push(record);
+                    }
+                });
 
-                    await db.items.bulkAdd(batch);
-                    savedCount += batch.length;
-                    
-                    console.log(`📦 Streamed batch ${batchIndex + 1}/${totalBatches} (${savedCount.toLocaleString()}/${items.length.toLocaleString()} items)`);
-                    
-                    // Allow UI to breathe between batches
-                    if (batchIndex % 10 === 0) {
-                        await new Promise(resolve => setTimeout(resolve, 10));
+                for (let i = 0; i < deleteIds.length; i += BATCH_SIZE) {
+                    await db.items.bulkDelete(deleteIds.slice(i, i + BATCH_SIZE));
+                }
+                for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+                    await db.items.bulkPut(updates.slice(i, i + BATCH_SIZE));
+                }
+                for (let i = 0; i < adds.length; i += BATCH_SIZE) {
+                    await db.items.bulkAdd(adds.slice(i, i + BATCH_SIZE));
+                    if ((i / BATCH_SIZE) % 10 === 0) {
+                        console.log(`📦 Added ${Math.min(i + BATCH_SIZE, adds.length).toLocaleString()}/${adds.length.toLocaleString()} new items...`);
                     }
                 }
 
-                // Save timestamp to GM storage (keep small metadata in GM)
-                GM_setValue('itemDatabaseTimestamp', Date.now());
+                for (let i = 0; i < history.length; i += BATCH_SIZE) {
+                    await db.itemHistory.bulkAdd(history.slice(i, i + BATCH_SIZE));
+                }
+
+                // Only keep item history for the most recent imports
+                const recentImportIds = await db.imports.orderBy('importedAt').reverse().limit(ITEM_HISTORY_IMPORTS).primaryKeys();
+                const oldestKeptImportId = Math.min(...recentImportIds);
+                await db.itemHistory.where('importId').below(oldestKeptImportId).delete();
+
+                counts.added = adds.length;
+                counts.updated = updates.length;
+                counts.deleted = deleteIds.length;
+                counts.importId = importId;
+
+                await db.imports.update(importId, {
+                    added: counts.added,
+                    updated: counts.updated,
+                    deleted: counts.deleted,
+                    unchanged: counts.unchanged,
+                    itemCount: counts.total,
+                    skippedRows: counts.skipped,
+                    errorCount: counts.validationErrors,
+                    priceChanges: counts.priceChanges,
+                    wentInactive: counts.wentInactive
+                });
+            });
+
+            // Save timestamp to GM storage (keep small metadata in GM)
+            GM_setValue('itemDatabaseTimestamp', Date.now());
+            overlayItemCache.clear();
+            nameTokenVocabulary = null;
+
+            console.log(`✅ Item database delta applied in ${Date.now() - startTime}ms:`, counts);
+            return counts;
+        }
+
+        // Apply an in-memory item list to IndexedDB as a keyed delta
+        async function saveItemDatabaseStreaming(items) {
+            try {
+                console.log(`💾 Applying ${items.length} items to IndexedDB...`);
 
-                console.log(`✅ Streamed ${savedCount.toLocaleString()} items to IndexedDB in ${(Date.now() - startTime)}ms`);
-                return savedCount;
+                const incoming = new Map();
+                items.forEach(item => {
+                    const record = normalizeItemRecord(item);
+                    incoming.set(getItemKey(record), record);
+                });
+
+                return await applyItemDatabaseDelta(incoming, { rowCount: items.length });
 
             } catch (error) {
                 console.error('❌ Error streaming item database to IndexedDB:', error);
-                alert(`❌ Failed to save item database: ${error.message}\n\nCheck console for details.`);
+                alert(`❌ Failed to save item database: ${error.message}\n\nThe previous item database was kept.\nCheck console for details.`);
                 throw error;
             }
         }
@@ -1462,19 +3021,65 @@
         async function getItemDatabaseStatus() {
             try {
                 const count = await db.items.count();
-                const timestamp = GM_getValue('itemDatabaseTimestamp', 0);
+                const lastImport = await db.imports.orderBy('importedAt').last();
+                const timestamp = lastImport ? lastImport.importedAt : GM_getValue('itemDatabaseTimestamp', 0);
                 
                 return {
                     count,
                     timestamp,
-                    ageHours: timestamp ? (Date.now() - timestamp) / (1000 * 60 * 60) : null
+                    ageHours: timestamp ? (Date.now() - timestamp) / (1000 * 60 * 60) : null,
+                    lastImport: lastImport ? { fileName: lastImport.fileName, sheetName: lastImport.sheetName, rowCount: lastImport.rowCount } : null
                 };
             } catch (error) {
                 console.error('❌ Error getting database status:', error);
-                return { count: 0, timestamp: 0, ageHours: null };
+                return { count: 0, timestamp: 0, ageHours: null, lastImport: null };
             }
         }
 
+        // Latest tracked change per item and field: itemKey -> { field -> itemHistory row }
+        async function getItemChanges(items) {
+            const changes = new Map();
+            const keys = Array.from(new Set(items.map(getItemKey)));
+            if (keys.length === 0) return changes;
+
+            const rows = await db.itemHistory.where('itemKey').anyOf(keys).toArray();
+            rows.forEach(row => {
+                if (!changes.has(row.itemKey)) changes.set(row.itemKey, {});
+                const latest = changes.get(row.itemKey);
+                if (!latest[row.field] || latest[row.field].changedAt < row.changedAt) {
+                    latest[row.field] = row;
+                }
+            });
+            return changes;
+        }
+
+        // Human-readable lines for an item's latest changes, e.g. "Price changed from $4.99 to $3.99 on 10/12/2026"
+        function describeItemChanges(fieldChanges) {
+            if (!fieldChanges) return [];
+
+            const formatPrice = value => {
+                const price = parseFloat(value);
+                return isNaN(price) ? (value || '(none)') : `$${price.toFixed(2)}`;
+            };
+            const formatDate = timestamp => new Date(timestamp).toLocaleDateString();
+            const lines = [];
+
+            if (fieldChanges.eod_our_price) {
+                const change = fieldChanges.eod_our_price;
+                lines.push(`💲 Price changed from ${formatPrice(change.from)} to ${formatPrice(change.to)} on ${formatDate(change.changedAt)}`);
+            }
+            if (fieldChanges.listing_status) {
+                const change = fieldChanges.listing_status;
+                const wentInactive = !isInactiveListingStatus(change.from) && isInactiveListingStatus(change.to);
+                lines.push(`${wentInactive ? '🔴 Went inactive' : '🔁 Listing status changed'} from ${change.from || '(none)'} to ${change.to || '(none)'} on ${formatDate(change.changedAt)}`);
+            }
+            if (fieldChanges.quantity) {
+                const change = fieldChanges.quantity;
+                lines.push(`📦 Quantity changed from ${change.from || '(none)'} to ${change.to || '(none)'} on ${formatDate(change.changedAt)}`);
+            }
+            return lines;
+        }
+
         // Legacy function for compatibility - now just sets itemDatabase to empty array
         function loadItemDatabase() {
             console.log('📂 Legacy loadItemDatabase called - using IndexedDB instead');
@@ -1486,7 +3091,6 @@
             const q = (query || '').trim();
             if (!q) return [];
             const qU = q.toUpperCase();
-            const qL = q.toLowerCase();
 
             let coll;
 
@@ -1504,25 +3108,37 @@
                         coll = db.items.where('store_tlc').startsWith(qU);
                         break;
                     case 'name':
-                        // substring: no native index; do a filtered scan on item_nameLower with contains
-                        coll = db.items.filter(it => it.item_nameLower.includes(qL));
-                        break;
-                    default:
-                        // mixed mode: try indexed fields first, then merge with limited name contains
-                        const asinHits = await db.items.where('asin').startsWith(qU).limit(limit).toArray();
-                        if (asinHits.length >= limit) return asinHits;
-                        const skuHits = await db.items.where('sku').startsWith(q).limit(limit - asinHits.length).toArray();
-                        let results = asinHits.concat(skuHits);
-                        if (results.length < limit) {
-                            const nameHits = await db.items
-                                .filter(it => it.item_nameLower.includes(qL))
-                                .limit(limit - results.length).toArray();
-                            results = results.concat(nameHits);
-                        }
-                        if (currentStoreTLC) {
-                            results = results.filter(r => r.store_tlc === currentStoreTLC);
-                        }
-                        return results.slice(0, limit);
+                        // ranked token search on the name_tokens index
+                        return (await searchItemsByName(q, currentStoreTLC, limit)).map(hit => hit.item);
+                    default: {
+                        // mixed mode: exact ASIN/SKU hits first, then prefixes, then ranked name matches
+                        const scored = new Map(); // id -> { item, score }
+                        const addHits = (items, score) => {
+                            items.forEach(item => {
+                                if (currentStoreTLC && item.store_tlc !== currentStoreTLC) return;
+                                const current = scored.get(item.id);
+                                if (!current || current.score < score) {
+                                    scored.set(item.id, { item, score });
+                                }
+                            });
+                        };
+
+                        const [asinHits, skuHits, nameHits] = await Promise.all([
+                            db.items.where('asin').startsWith(qU).limit(limit * 2).toArray(),
+                            db.items.where('sku').startsWith(q).limit(limit * 2).toArray(),
+                            searchItemsByName(q, currentStoreTLC, limit)
+                        ]);
+                        addHits(asinHits.filter(item => item.asin === qU), 1000);
+                        addHits(skuHits.filter(item => item.sku === q), 900);
+                        addHits(asinHits, 500);
+                        addHits(skuHits, 400);
+                        nameHits.forEach(hit => addHits([hit.item], hit.score));
+
+                        return Array.from(scored.values())
+                            .sort((a, b) => b.score - a.score)
+                            .slice(0, limit)
+                            .map(hit => hit.item);
+                    }
                 }
 
                 // Apply store filter and cap
@@ -1530,16 +3146,378 @@
                 if (currentStoreTLC) arr = arr.filter(r => r.store_tlc === currentStoreTLC);
                 return arr.slice(0, limit);
 
-            } catch (error) {
-                console.error('❌ Error searching IndexedDB:', error);
-                return [];
-            }
+            } catch (error) {
+                console.error('❌ Error searching IndexedDB:', error);
+                return [];
+            }
+        }
+
+        // Search with a parsed query: the search text (if any) narrowed by its filters, or a filtered table scan
+        async function searchItemsWithFilters(parsedQuery, searchType = 'all', currentStoreTLC = null, limit = 50) {
+            const { text, filters } = parsedQuery;
+            if (!hasSearchFilters(filters)) {
+                return searchItems(text, searchType, currentStoreTLC, limit);
+            }
+
+            // store: in the query replaces the "current store only" checkbox
+            const stores = filters.stores || (currentStoreTLC ? [currentStoreTLC] : null);
+            const matches = item => itemMatchesFilters(item, filters) && (!stores || stores.includes(item.store_tlc));
+
+            try {
+                if (text) {
+                    const candidates = await searchItems(text, searchType, stores && stores.length === 1 ? stores[0] : null, 2000);
+                    return candidates.filter(matches).slice(0, limit);
+                }
+
+                const coll = stores ? db.items.where('store_tlc').anyOf(stores) : db.items.toCollection();
+                return await coll.filter(matches).limit(limit).toArray();
+            } catch (error) {
+                console.error('❌ Error searching IndexedDB with filters:', error);
+                return [];
+            }
+        }
+
+        // Every item a parsed query matches (no ranking or result limit), as primary keys
+        async function getSearchResultKeys(parsedQuery, searchType = 'all', currentStoreTLC = null) {
+            const q = parsedQuery.text.trim();
+            const qU = q.toUpperCase();
+            const stores = parsedQuery.filters.stores || (currentStoreTLC ? [currentStoreTLC] : null);
+
+            if (!q) {
+                return stores ? db.items.where('store_tlc').anyOf(stores).primaryKeys() : db.items.toCollection().primaryKeys();
+            }
+
+            switch (searchType) {
+                case 'asin':
+                    return db.items.where('asin').startsWith(qU).primaryKeys();
+                case 'sku':
+                    return db.items.where('sku').startsWith(q).primaryKeys();
+                case 'store':
+                    return db.items.where('store_tlc').startsWith(qU).primaryKeys();
+                case 'name':
+                    return (await findNameMatches(q)).candidateIds;
+                default: {
+                    const [asinKeys, skuKeys, nameMatches] = await Promise.all([
+                        db.items.where('asin').startsWith(qU).primaryKeys(),
+                        db.items.where('sku').startsWith(q).primaryKeys(),
+                        findNameMatches(q)
+                    ]);
+                    return Array.from(new Set([...asinKeys, ...skuKeys, ...nameMatches.candidateIds]));
+                }
+            }
+        }
+
+        // XLSX exports are built in memory, so large ones are split into files of this many rows
+        const SEARCH_EXPORT_XLSX_ROWS_PER_FILE = 50000;
+
+        // Export everything a search matches, reading the items in chunks. CSV is written chunk by chunk, straight to
+        // the file when csvFile (a writable from the save picker) is given; XLSX holds at most one file's rows at a time.
+        async function exportSearchResults(parsedQuery, searchType = 'all', currentStoreTLC = null, format = 'xlsx', onProgress = null, csvFile = null) {
+            const CHUNK_SIZE = 5000;
+            const startTime = Date.now();
+            const stores = parsedQuery.filters.stores || (currentStoreTLC ? [currentStoreTLC] : null);
+            const matches = item => itemMatchesFilters(item, parsedQuery.filters) && (!stores || stores.includes(item.store_tlc));
+
+            const baseName = `WTS_Item_Search_${new Date().toISOString().split('T')[0]}`;
+            const files = [];
+            let exported = 0;
+
+            // CSV: each chunk goes to the file, or is appended to a Blob (kept by the browser, not in the page's memory)
+            const CSV_TYPE = 'text/csv;charset=utf-8';
+            const csvHeader = '\uFEFF' + ITEM_EXPORT_COLUMNS.join(',') + '\n';
+            let csvBlob = null;
+
+            // XLSX: one worksheet at a time, downloaded as soon as it reaches the row limit
+            let splitXLSX = false;
+            let worksheet = null;
+            let sheetRows = 0;
+            const flushWorkbook = () => {
+                if (!worksheet) return;
+                const fileName = splitXLSX ? `${baseName}_part${files.length + 1}.xlsx` : `${baseName}.xlsx`;
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, worksheet, 'Items');
+                downloadWorkbook(workbook, fileName);
+                files.push(fileName);
+                worksheet = null;
+                sheetRows = 0;
+            };
+
+            // The chosen CSV file is only kept when rows were written; a failed or empty export discards it
+            try {
+                const keys = await getSearchResultKeys(parsedQuery, searchType, currentStoreTLC);
+                console.log(`📤 Exporting search results: ${keys.length.toLocaleString()} candidate items`);
+                splitXLSX = keys.length > SEARCH_EXPORT_XLSX_ROWS_PER_FILE;
+
+                if (format === 'csv') {
+                    if (csvFile) await csvFile.write(csvHeader);
+                    else csvBlob = new Blob([csvHeader], { type: CSV_TYPE });
+                }
+
+                for (let i = 0; i < keys.length; i += CHUNK_SIZE) {
+                    const items = await db.items.bulkGet(keys.slice(i, i + CHUNK_SIZE));
+                    const rows = items
+                        .filter(item => item && matches(item))
+                        .map(item => ITEM_EXPORT_COLUMNS.map(field => item[field] || ''));
+
+                    if (rows.length > 0 && format === 'csv') {
+                        const text = XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rows)) + '\n';
+                        if (csvFile) await csvFile.write(text);
+                        else csvBlob = new Blob([csvBlob, text], { type: CSV_TYPE });
+                    } else {
+                        for (let offset = 0; offset < rows.length;) {
+                            if (!worksheet) worksheet = XLSX.utils.aoa_to_sheet([ITEM_EXPORT_COLUMNS]);
+                            const take = rows.slice(offset, offset + SEARCH_EXPORT_XLSX_ROWS_PER_FILE - sheetRows);
+                            XLSX.utils.sheet_add_aoa(worksheet, take, { origin: -1 });
+                            sheetRows += take.length;
+                            offset += take.length;
+                            if (sheetRows >= SEARCH_EXPORT_XLSX_ROWS_PER_FILE) flushWorkbook();
+                        }
+                    }
+
+                    exported += rows.length;
+                    if (onProgress) onProgress(Math.min(i + CHUNK_SIZE, keys.length), keys.length, exported);
+                }
+            } catch (error) {
+                if (csvFile) await csvFile.abort().catch(() => {});
+                throw error;
+            }
+            if (csvFile) {
+                if (exported > 0) await csvFile.close();
+                else await csvFile.abort();
+            }
+
+            if (format === 'csv') {
+                const fileName = csvFile ? '(chosen file)' : `${baseName}.csv`;
+                if (!csvFile && exported > 0) downloadBlob(csvBlob, fileName);
+                if (exported > 0) files.push(fileName);
+            } else {
+                flushWorkbook();
+            }
+
+            if (exported > 0) {
+                console.log(`✅ Exported ${exported.toLocaleString()} items to ${files.join(', ')} in ${((Date.now() - startTime) / 1000).toFixed(2)} seconds`);
+            }
+            return { exported, fileName: files[0] || null, files };
+        }
+
+        // Edit distance between two short words, giving up as soon as it exceeds maxDistance
+        function withinEditDistance(a, b, maxDistance) {
+            if (Math.abs(a.length - b.length) > maxDistance) return false;
+
+            let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let rowMin = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                    rowMin = Math.min(rowMin, current[j]);
+                }
+                if (rowMin > maxDistance) return false;
+                previous = current;
+            }
+            return previous[b.length] <= maxDistance;
+        }
+
+        // Distinct name tokens in the database, loaded once per import for prefix and typo matching.
+        // `terms` is sorted (index order) for range lookups; `byLength` limits typo scans to plausible lengths.
+        async function getNameTokenVocabulary() {
+            if (!nameTokenVocabulary) {
+                const startTime = Date.now();
+                const terms = await db.items.orderBy('name_tokens').uniqueKeys();
+                const byLength = new Map();
+                terms.forEach(term => {
+                    if (!byLength.has(term.length)) byLength.set(term.length, []);
+                    byLength.get(term.length).push(term);
+                });
+                nameTokenVocabulary = { terms, byLength };
+                console.log(`🔤 Loaded ${terms.length.toLocaleString()} name tokens in ${Date.now() - startTime}ms`);
+            }
+            return nameTokenVocabulary;
+        }
+
+        // First index in a sorted array whose value is >= value
+        function lowerBound(sorted, value) {
+            let low = 0;
+            let high = sorted.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (sorted[middle] < value) low = middle + 1;
+                else high = middle;
+            }
+            return low;
+        }
+
+        // Name matching: every query word must match (exactly, as a prefix, or within a typo) a word of the name
+        async function findNameMatches(query, currentStoreTLC = null) {
+            const queryTokens = tokenizeItemName(query);
+            if (queryTokens.length === 0) return { termMatches: [], candidateIds: [] };
+
+            const { terms: vocabulary, byLength } = await getNameTokenVocabulary();
+            const MAX_TERMS_PER_TOKEN = 50;
+
+            // For each query word: index term -> match quality (3 exact, 2 prefix, 1 typo).
+            // Exact and prefix terms come from a sorted range lookup first; typo terms only fill the remaining slots.
+            const termMatches = queryTokens.map(token => {
+                const terms = new Map();
+                const start = lowerBound(vocabulary, token);
+                if (vocabulary[start] === token) terms.set(token, 3);
+
+                if (token.length >= 2) {
+                    const prefixTerms = [];
+                    for (let i = start; i < vocabulary.length && vocabulary[i].startsWith(token); i++) {
+                        if (vocabulary[i] !== token) prefixTerms.push(vocabulary[i]);
+                    }
+                    // Closest completions first when a short prefix matches more terms than we keep
+                    prefixTerms.sort((a, b) => a.length - b.length)
+                        .slice(0, MAX_TERMS_PER_TOKEN - terms.size)
+                        .forEach(term => terms.set(term, 2));
+                }
+
+                const maxTypos = token.length >= 8 ? 2 : (token.length >= 4 ? 1 : 0);
+                for (let length = token.length - maxTypos; maxTypos > 0 && length <= token.length + maxTypos; length++) {
+                    for (const term of byLength.get(length) || []) {
+                        if (terms.size >= MAX_TERMS_PER_TOKEN) break;
+                        if (!terms.has(term) && withinEditDistance(token, term, maxTypos)) {
+                            terms.set(term, 1);
+                        }
+                    }
+                }
+                return terms;
+            });
+
+            if (termMatches.some(terms => terms.size === 0)) return { termMatches, candidateIds: [] };
+
+            // Per query word: item id -> best match quality, looked up one quality level at a time
+            const keyQualities = await Promise.all(termMatches.map(async terms => {
+                const qualities = new Map();
+                for (const quality of [3, 2, 1]) {
+                    const qualityTerms = Array.from(terms).filter(([, termQuality]) => termQuality === quality).map(([term]) => term);
+                    if (qualityTerms.length === 0) continue;
+                    (await db.items.where('name_tokens').anyOf(qualityTerms).primaryKeys()).forEach(id => {
+                        if (!qualities.has(id)) qualities.set(id, quality);
+                    });
+                }
+                return qualities;
+            }));
+
+            // AND across query words, starting from the rarest so the intersection stays small
+            keyQualities.sort((a, b) => a.size - b.size);
+            let candidateIds = Array.from(keyQualities[0].keys()).filter(id => keyQualities.every(qualities => qualities.has(id)));
+            if (currentStoreTLC) {
+                const storeIds = new Set(await db.items.where('store_tlc').equals(currentStoreTLC).primaryKeys());
+                candidateIds = candidateIds.filter(id => storeIds.has(id));
+            }
+
+            // Pre-rank on index match quality alone, so callers that cap the candidates keep the best matches
+            // rather than whichever rows were imported first
+            const preScores = new Map(candidateIds.map(id => [id, keyQualities.reduce((sum, qualities) => sum + qualities.get(id), 0)]));
+            candidateIds.sort((a, b) => preScores.get(b) - preScores.get(a));
+
+            return { termMatches, candidateIds };
+        }
+
+        // Ranked name search over the name matches; slower searches than the target are logged as warnings
+        const NAME_SEARCH_TARGET_MS = 100;
+        async function searchItemsByName(query, currentStoreTLC = null, limit = 50) {
+            const startTime = Date.now();
+            const MAX_CANDIDATES = 2000;
+
+            const { termMatches, candidateIds } = await findNameMatches(query, currentStoreTLC);
+            if (candidateIds.length === 0) return [];
+
+            // candidateIds arrive pre-ranked by match quality, so the cut keeps the strongest matches
+            const candidates = await db.items.bulkGet(candidateIds.slice(0, MAX_CANDIDATES));
+            const queryLower = query.trim().toLowerCase();
+
+            const ranked = candidates.filter(Boolean).map(item => {
+                const itemTokens = item.name_tokens || tokenizeItemName(item.item_name);
+                let score = 0;
+                termMatches.forEach(terms => {
+                    score += Math.max(0, ...itemTokens.map(token => (terms.get(token) || 0) * 10));
+                });
+                if (item.item_nameLower.includes(queryLower)) score += 15; // whole phrase in order
+                if (itemTokens[0] && termMatches[0].get(itemTokens[0])) score += 5; // name starts with the first word
+                score -= itemTokens.length * 0.5; // prefer tighter names
+                return { item, score };
+            }).sort((a, b) => b.score - a.score).slice(0, limit);
+
+            const elapsed = Date.now() - startTime;
+            console.log(`🔍 Name search "${query}": ${candidateIds.length} matches, ranked in ${elapsed}ms`);
+            if (elapsed > NAME_SEARCH_TARGET_MS) {
+                console.warn(`⚠️ Name search "${query}" took ${elapsed}ms (target ${NAME_SEARCH_TARGET_MS}ms, ${candidateIds.length} candidates)`);
+            }
+            return ranked;
+        }
+
+        // Pull every ASIN/SKU-looking token out of pasted text (ticket comments, spreadsheet columns, item URLs)
+        function extractLookupIds(text) {
+            const seen = new Set();
+            const ids = [];
+
+            (text || '').split(/[^A-Za-z0-9]+/).forEach(token => {
+                // Plain words and short numbers (dates, quantities) are not identifiers
+                if (token.length < 5 || !/\d/.test(token)) return;
+
+                const id = /^[A-Za-z0-9]{10}$/.test(token) && /[A-Za-z]/.test(token) ? token.toUpperCase() : token;
+                if (!seen.has(id)) {
+                    seen.add(id);
+                    ids.push(id);
+                }
+            });
+
+            return ids;
+        }
+
+        // Resolve a list of ASINs/SKUs against the item database in two indexed queries
+        async function lookupItemsBatch(ids, currentStoreTLC = null) {
+            const asinKeys = ids.filter(id => id.length === 10).map(id => id.toUpperCase());
+            const [asinHits, skuHits] = await Promise.all([
+                asinKeys.length > 0 ? db.items.where('asin').anyOf(asinKeys).toArray() : [],
+                ids.length > 0 ? db.items.where('sku').anyOf(ids).toArray() : []
+            ]);
+
+            const groupBy = (items, key) => {
+                const groups = new Map();
+                items.forEach(item => {
+                    if (!groups.has(item[key])) groups.set(item[key], []);
+                    groups.get(item[key]).push(item);
+                });
+                return groups;
+            };
+            const byASIN = groupBy(asinHits, 'asin');
+            const bySKU = groupBy(skuHits, 'sku');
+
+            return ids.map(id => {
+                const asinItems = byASIN.get(id.toUpperCase()) || [];
+                const skuItems = bySKU.get(id) || [];
+                const allItems = asinItems.length > 0 ? asinItems : skuItems;
+                const type = asinItems.length > 0 || (skuItems.length === 0 && /[A-Z]/.test(id) && id.length === 10) ? 'ASIN' : 'SKU';
+                const items = currentStoreTLC ? allItems.filter(item => item.store_tlc === currentStoreTLC) : allItems;
+
+                let status = 'Found';
+                if (allItems.length === 0) {
+                    status = 'Missing';
+                } else if (items.length === 0) {
+                    status = 'Not in store';
+                }
+
+                return {
+                    input: id,
+                    type,
+                    status,
+                    items,
+                    otherStores: Array.from(new Set(allItems.map(item => item.store_tlc))).filter(tlc => tlc !== currentStoreTLC)
+                };
+            });
         }
 
         // Store switching functionality
-        async function switchToStore(acro, buttonEl) {
+        // options.quiet (store tour): no alerts; failures are thrown to the caller instead
+        async function switchToStore(acro, buttonEl, options = {}) {
             const storeId = storeMappingData.get(acro);
             if (!storeId) {
+                if (options.quiet) throw new Error(`Store acro ${acro} not found in mappings`);
                 alert(`❌ Store acro ${acro} not found in mappings`);
                 return;
             }
@@ -1741,6 +3719,7 @@
 
             const csrfToken = await extractTokenWithRetry();
             if (!csrfToken) {
+                if (options.quiet) throw new Error('No CSRF token found and fallback token is disabled');
                 alert('❌ Unable to find CSRF token after multiple attempts and fallback is disabled.\n\nEnable fallback token in settings or refresh the page and try again.\n\nCheck the browser console for detailed debugging information.');
                 return;
             }
@@ -1785,7 +3764,9 @@
 
                 // Check if the request was successful
                 if (response.ok) {
-                    alert(`✅ Successfully switched to store ${acro} (ID: ${storeId})`);
+                    if (!options.quiet) {
+                        alert(`✅ Successfully switched to store ${acro} (ID: ${storeId})`);
+                    }
 
                     // Wait a moment for the server to process the change, then refresh
                     setTimeout(() => {
@@ -1797,6 +3778,7 @@
 
             } catch (error) {
                 console.error('Store switch error:', error);
+                if (options.quiet) throw error;
 
                 // Provide user-friendly error messages
                 let errorMessage = '❌ Failed to switch store. ';
@@ -1818,13 +3800,13 @@
             }
         }
 
-        // File upload handler for XLSX store mappings
+        // File upload handler for XLSX/CSV store directory files
         function handleXLSXUpload(file) {
             if (!file) return;
 
             const fileName = file.name.toLowerCase();
-            if (!fileName.endsWith('.xlsx')) {
-                alert('Please select an XLSX file (.xlsx extension required)');
+            if (!fileName.endsWith('.xlsx') && !fileName.endsWith('.csv')) {
+                alert('Please select an XLSX or CSV file (.xlsx or .csv extension required)');
                 return;
             }
 
@@ -1832,13 +3814,14 @@
             reader.onload = function(e) {
                 try {
                     const arrayBuffer = e.target.result;
-                    const newMappings = parseXLSXForStoreMapping(arrayBuffer);
+                    const newDirectory = parseXLSXForStoreMapping(arrayBuffer);
 
-                    // Update the store mapping data
-                    storeMappingData.clear();
-                    newMappings.forEach((storeId, acro) => {
-                        storeMappingData.set(acro, storeId);
+                    // Update the store directory and the switchable mappings derived from it
+                    storeDirectoryData.clear();
+                    newDirectory.forEach((store, tlc) => {
+                        storeDirectoryData.set(tlc, store);
                     });
+                    rebuildStoreMappings();
 
                     // Save to persistent storage
                     saveStoredMappings();
@@ -1846,14 +3829,16 @@
                     // Update UI
                     updateStatus();
 
-                    alert(`✅ Successfully loaded ${storeMappingData.size} store mappings from ${file.name}`);
+                    const notSwitchable = storeDirectoryData.size - storeMappingData.size;
+                    alert(`✅ Successfully loaded ${storeMappingData.size} store mappings from ${file.name}` +
+                        (notSwitchable > 0 ? `\n\n${notSwitchable} inactive or StoreId-less stores were kept in the directory but not added to the switcher.` : ''));
                 } catch (error) {
-                    alert(`❌ Error parsing XLSX file: ${error.message}`);
+                    alert(`❌ Error parsing store directory file: ${error.message}`);
                 }
             };
 
             reader.onerror = function() {
-                alert('❌ Error reading XLSX file. Please try again.');
+                alert('❌ Error reading store directory file. Please try again.');
             };
 
             reader.readAsArrayBuffer(file);
@@ -2389,17 +4374,19 @@
         // MAIN ACTIONS SECTION - Compact Two-Column Layout
         const actionsHeader = createSectionHeader('Actions');
         
-        const exportBtn = createButton('📦 Export Data', '#00704A', () => {
+        const exportBtn = createButton('📦 Export Data', '#00704A', async () => {
             console.log('📦 Export button clicked - using comprehensive data extraction');
             
             const comprehensiveData = extractAllData();
+            const rejectedASINs = await scoreShovelerASINs(comprehensiveData);
             
             const summary = `📊 Data Extraction Complete!\n\n` +
                 `Visible Cards: ${comprehensiveData.totalVisibleASINs} ASINs\n` +
                 `Empty Cards: ${comprehensiveData.emptyCards}\n` +
                 `Shoveler Carousels: ${comprehensiveData.totalShovelers}\n` +
-                `Shoveler ASINs: ${comprehensiveData.totalShovelerASINs}\n\n` +
-                `Total ASINs (Visible Cards Only): ${comprehensiveData.totalVisibleASINs}`;
+                `Shoveler ASINs: ${comprehensiveData.totalShovelerASINs}\n` +
+                (comprehensiveData.strictShovelerASINs ? `Rejected by strict ASIN mode: ${rejectedASINs}\n` : '') +
+                `\nTotal ASINs (Visible Cards Only): ${comprehensiveData.totalVisibleASINs}`;
             
             alert(summary);
             
@@ -2408,6 +4395,27 @@
                 return;
             }
             
+            // Include the last assortment check if it was run on this page
+            if (lastAssortmentCheck && lastAssortmentCheck.url === window.location.href) {
+                comprehensiveData.assortmentCheck = lastAssortmentCheck;
+            }
+            
+            // Drill into the shovelers so their rows carry real names and prices instead of placeholders
+            if (comprehensiveData.totalShovelerASINs > 0) {
+                exportBtn.disabled = true;
+                exportBtn.textContent = '🔄 Looking up shoveler items...';
+                try {
+                    comprehensiveData.shovelerDetails = await enrichShovelerASINs(comprehensiveData, getCurrentStoreTLC(), (done, total) => {
+                        exportBtn.textContent = `🔄 Shoveler items ${done}/${total}`;
+                    });
+                } catch (error) {
+                    console.error('❌ Shoveler drill-down failed, exporting placeholders:', error);
+                } finally {
+                    exportBtn.textContent = '📦 Export Data';
+                    exportBtn.disabled = false;
+                }
+            }
+            
             lastExtractedData = comprehensiveData;
             downloadXLSX(comprehensiveData);
         });
@@ -2432,7 +4440,7 @@
         const uploadBtn = createButton('📁 Upload XLSX', '#00704A', () => {
             fileInput.click();
         });
-        uploadBtn.title = 'Upload XLSX file with Acro and StoreId columns for store mapping';
+        uploadBtn.title = 'Upload a store directory (XLSX or CSV) with tlc and store_id columns, or a legacy Acro/StoreId sheet';
 
         const versionCheckBtn = createButton('🔍 Updates', '#00704A', async () => {
             versionCheckBtn.textContent = '🔄 Checking...';
@@ -2452,6 +4460,256 @@
         // Create two-column layout for main actions
         const actionsGroup = createButtonGroup([exportBtn, refreshBtn, uploadBtn, versionCheckBtn], 2);
 
+        // Assortment check: flag page cards the current store doesn't carry and shoveler items that never rendered
+        let lastAssortmentCheck = null;
+        const assortmentBtn = createButton('🧮 Assortment Check', '#00704A', async () => {
+            const storeTLC = getCurrentStoreTLC();
+            if (!storeTLC) {
+                alert('❌ Current store is not in the store mappings. Upload a store directory or switch stores first.');
+                return;
+            }
+
+            const status = await getItemDatabaseStatus();
+            if (status.count === 0) {
+                alert('❌ No item database loaded. Load the item database before running an assortment check.');
+                return;
+            }
+
+            assortmentBtn.textContent = '🔄 Checking...';
+            assortmentBtn.disabled = true;
+
+            try {
+                const comprehensiveData = extractAllData();
+                await scoreShovelerASINs(comprehensiveData);
+                lastAssortmentCheck = await buildAssortmentCheck(comprehensiveData, storeTLC);
+                highlightAssortmentIssues(lastAssortmentCheck);
+
+                const notInInventory = lastAssortmentCheck.cardIssues.filter(issue => issue.issue === 'Not in inventory').length;
+                const inactive = lastAssortmentCheck.cardIssues.length - notInInventory;
+
+                alert(`🧮 Assortment Check (${storeTLC})\n\n` +
+                    `Page ASINs checked: ${lastAssortmentCheck.pageASINs}\n` +
+                    `Found in store inventory: ${lastAssortmentCheck.inventoryMatches}\n\n` +
+                    `🔴 Cards not in inventory: ${notInInventory}\n` +
+                    `🟡 Cards with inactive listing: ${inactive}\n` +
+                    `🎠 Shoveler items never rendered: ${lastAssortmentCheck.notRendered.length}\n\n` +
+                    `Flagged cards are outlined on the page. "📦 Export Data" now includes the Assortment Issues and Not Rendered sheets.`);
+            } catch (error) {
+                console.error('❌ Assortment check failed:', error);
+                alert(`❌ Assortment check failed: ${error.message}`);
+            } finally {
+                assortmentBtn.textContent = '🧮 Assortment Check';
+                assortmentBtn.disabled = false;
+            }
+        }, { fullWidth: true });
+        assortmentBtn.title = 'Compare the ASINs on this page with the current store\'s item database';
+
+        // Card overlays: one toggle draws/removes badges on every product card, remembered across pages
+        const overlayBtn = createButton(overlaysEnabled ? '🏷️ Overlays: On' : '🏷️ Overlays: Off', '#00704A', async () => {
+            if (overlaysEnabled) {
+                disableCardOverlays();
+            } else {
+                await enableCardOverlays(getCurrentStoreTLC);
+            }
+            GM_setValue('wts_overlays_enabled', overlaysEnabled);
+            overlayBtn.textContent = overlaysEnabled ? '🏷️ Overlays: On' : '🏷️ Overlays: Off';
+        }, { fullWidth: true });
+        overlayBtn.title = 'Show ASIN, section, item database status and stored price/quantity on each product card';
+
+        // Page snapshots: save the layout of this page for the current store and compare it with earlier visits
+        function summarizeSnapshotChanges(changes) {
+            const counts = {};
+            changes.forEach(change => {
+                counts[change.change] = (counts[change.change] || 0) + 1;
+            });
+            return Object.entries(counts).map(([change, count]) => `${change}: ${count}`).join('\n');
+        }
+
+        const snapshotBtn = createButton('📸 Save Snapshot', '#00704A', async () => {
+            snapshotBtn.textContent = '🔄 Saving...';
+            snapshotBtn.disabled = true;
+            try {
+                const result = await captureCurrentPageSnapshot('manual', getCurrentStoreTLC());
+                if (!result) {
+                    alert('No cards or shovelers found on this page, nothing to save.');
+                    return;
+                }
+                if (!result.saved) {
+                    alert(`📸 The layout is unchanged since the snapshot from ${new Date(result.snapshot.capturedAt).toLocaleString()}, so no new snapshot was saved.`);
+                    return;
+                }
+
+                const snapshots = await getPageSnapshots(result.snapshot.pageKey, result.snapshot.storeTLC);
+                const changes = snapshots.length > 1 ? compareSnapshots(snapshots[1], snapshots[0]) : [];
+                alert(`📸 Snapshot saved (${result.snapshot.storeTLC || 'unknown store'})\n\n` +
+                    `Sections: ${result.snapshot.sections.length}\n` +
+                    `Shovelers: ${result.snapshot.shovelers.length}\n` +
+                    `Snapshots of this page: ${snapshots.length}\n\n` +
+                    (snapshots.length > 1
+                        ? `Changes since ${new Date(snapshots[1].capturedAt).toLocaleString()}:\n${summarizeSnapshotChanges(changes) || 'Layout order unchanged'}`
+                        : 'This is the first snapshot of this page for this store.'));
+            } catch (error) {
+                console.error('❌ Error saving page snapshot:', error);
+                alert(`❌ Failed to save snapshot: ${error.message}`);
+            } finally {
+                snapshotBtn.textContent = '📸 Save Snapshot';
+                snapshotBtn.disabled = false;
+            }
+        }, { fullWidth: true });
+        snapshotBtn.title = 'Save the section order, card order, shovelers and empty slots of this page for the current store';
+
+        const snapshotsBtn = createButton('🗂️ Snapshots', '#00704A', () => {
+            showSnapshotCompare().catch(error => {
+                console.error('❌ Error opening snapshots:', error);
+                alert(`❌ Failed to load snapshots: ${error.message}`);
+            });
+        }, { fullWidth: true });
+        snapshotsBtn.title = 'Compare this page with its previous snapshots for the current store';
+
+        async function showSnapshotCompare() {
+            const storeTLC = getCurrentStoreTLC() || '';
+            const pageKey = getSnapshotPageKey();
+            const snapshots = await getPageSnapshots(pageKey, storeTLC);
+            const describe = snapshot => `${new Date(snapshot.capturedAt).toLocaleString()} (${snapshot.trigger}, ${snapshot.totalVisibleASINs} cards, ${snapshot.shovelers.length} shovelers)`;
+
+            const modal = document.createElement('div');
+            modal.style.position = 'fixed';
+            modal.style.top = '0';
+            modal.style.left = '0';
+            modal.style.width = '100%';
+            modal.style.height = '100%';
+            modal.style.backgroundColor = 'rgba(0,0,0,0.5)';
+            modal.style.zIndex = '10000';
+            modal.style.display = 'flex';
+            modal.style.alignItems = 'center';
+            modal.style.justifyContent = 'center';
+
+            const modalContent = document.createElement('div');
+            modalContent.style.backgroundColor = '#fff';
+            modalContent.style.padding = '20px';
+            modalContent.style.borderRadius = '8px';
+            modalContent.style.boxShadow = '0 4px 8px rgba(0,0,0,0.2)';
+            modalContent.style.maxWidth = '760px';
+            modalContent.style.width = '90%';
+            modalContent.style.maxHeight = '85vh';
+            modalContent.style.overflowY = 'auto';
+            modalContent.style.fontFamily = 'sans-serif';
+
+            modalContent.innerHTML = `
+                <h3 style="margin-top: 0; color: #00704A;">🗂️ Page Snapshots</h3>
+                <p style="font-size: 12px; color: #495057; margin-top: 0; word-break: break-all;">${escapeHTML(pageKey)}<br>Store: <strong>${escapeHTML(storeTLC || 'unknown')}</strong> · ${snapshots.length} saved snapshot${snapshots.length === 1 ? '' : 's'}</p>
+
+                <label style="display: block; margin-bottom: 10px; font-size: 13px;">
+                    <input type="checkbox" id="snapshotAutoCheckbox" ${GM_getValue('wts_snapshot_auto', false) ? 'checked' : ''}>
+                    Save a snapshot automatically each time a page loads and settles
+                </label>
+
+                <div style="margin-bottom: 10px; font-size: 13px;">
+                    <label for="snapshotCompareSelect">Compare:</label>
+                    <select id="snapshotCompareSelect" style="width: 100%; padding: 6px; margin-top: 4px; border: 1px solid #ccc; border-radius: 4px;">
+                        <option value="live">Current page (not saved)</option>
+                        ${snapshots.map((snapshot, index) => `<option value="${index}">${escapeHTML(describe(snapshot))}</option>`).join('')}
+                    </select>
+                    <div style="font-size: 11px; color: #6c757d; margin-top: 4px;">Each choice is compared with the snapshot saved before it.</div>
+                </div>
+
+                <div id="snapshotCompareResult" style="font-size: 12px; margin-bottom: 16px;"></div>
+
+                <div style="text-align: right;">
+                    <button id="snapshotExportBtn" style="padding: 8px 12px; background: #00704A; color: #fff; border: none; border-radius: 4px; cursor: pointer;">📤 Export Diff</button>
+                    <button id="snapshotCloseBtn" style="padding: 8px 12px; background: #6c757d; color: #fff; border: none; border-radius: 4px; cursor: pointer; margin-left: 8px;">Close</button>
+                </div>
+            `;
+
+            modal.appendChild(modalContent);
+            document.body.appendChild(modal);
+
+            const closeModal = () => {
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            let comparison = null;
+            const showComparison = async () => {
+                const choice = document.getElementById('snapshotCompareSelect').value;
+                const resultDiv = document.getElementById('snapshotCompareResult');
+                let current;
+                let previous;
+                if (choice === 'live') {
+                    const data = extractAllData();
+                    await scoreShovelerASINs(data);
+                    current = buildPageSnapshot(data, storeTLC, 'live');
+                    previous = snapshots[0];
+                } else {
+                    current = snapshots[parseInt(choice)];
+                    previous = snapshots[parseInt(choice) + 1];
+                }
+
+                if (!previous) {
+                    comparison = null;
+                    resultDiv.innerHTML = '<p style="color: #6c757d;">No earlier snapshot of this page for this store to compare with. Use "📸 Save Snapshot" to start the archive.</p>';
+                    return;
+                }
+
+                const changes = compareSnapshots(previous, current);
+                comparison = { previous, current, changes };
+                const shown = changes.slice(0, 300);
+                resultDiv.innerHTML = `
+                    <p style="margin: 0 0 6px 0;">Against <strong>${escapeHTML(describe(previous))}</strong>: ${changes.length} change${changes.length === 1 ? '' : 's'}</p>
+                    <pre style="margin: 0 0 8px 0; padding: 8px; background: #f8f9fa; border-radius: 4px; white-space: pre-wrap;">${escapeHTML(summarizeSnapshotChanges(changes) || 'Layout order unchanged')}</pre>
+                    ${shown.length > 0 ? `
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead><tr style="background: #f0f8f0; text-align: left;"><th style="padding: 4px;">Change</th><th style="padding: 4px;">Where</th><th style="padding: 4px;">ASIN</th><th style="padding: 4px;">From</th><th style="padding: 4px;">To</th></tr></thead>
+                        <tbody>${shown.map(change => `<tr style="border-top: 1px solid #eee;"><td style="padding: 4px;">${escapeHTML(change.change)}</td><td style="padding: 4px;">${escapeHTML(change.where)}</td><td style="padding: 4px; font-family: monospace;">${escapeHTML(change.asin)}</td><td style="padding: 4px;">${escapeHTML(String(change.from))}</td><td style="padding: 4px;">${escapeHTML(String(change.to))}</td></tr>`).join('')}</tbody>
+                    </table>
+                    ${changes.length > shown.length ? `<p style="color: #6c757d;">Showing the first ${shown.length}; export the diff for all ${changes.length}.</p>` : ''}` : ''}
+                `;
+            };
+
+            document.getElementById('snapshotAutoCheckbox').addEventListener('change', event => {
+                GM_setValue('wts_snapshot_auto', event.target.checked);
+                if (event.target.checked) {
+                    captureAutoSnapshot();
+                }
+            });
+            document.getElementById('snapshotCompareSelect').addEventListener('change', () => {
+                showComparison().catch(error => console.error('❌ Error comparing snapshots:', error));
+            });
+            document.getElementById('snapshotExportBtn').addEventListener('click', () => {
+                if (!comparison) {
+                    alert('Nothing to export: choose a comparison with an earlier snapshot first.');
+                    return;
+                }
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+                    ['Change', 'Where', 'ASIN', 'From', 'To'],
+                    ...comparison.changes.map(change => [change.change, change.where, change.asin, change.from, change.to])
+                ]), 'Layout Changes');
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+                    ['', 'Previous', 'Current'],
+                    ['Captured At', new Date(comparison.previous.capturedAt).toLocaleString(), new Date(comparison.current.capturedAt).toLocaleString()],
+                    ['Trigger', comparison.previous.trigger, comparison.current.trigger],
+                    ['URL', comparison.previous.url, comparison.current.url],
+                    ['Store', comparison.previous.storeTLC, comparison.current.storeTLC],
+                    ['Sections', comparison.previous.sections.length, comparison.current.sections.length],
+                    ['Visible Cards', comparison.previous.totalVisibleASINs, comparison.current.totalVisibleASINs],
+                    ['Empty Cards', comparison.previous.emptyCards, comparison.current.emptyCards],
+                    ['Shovelers', comparison.previous.shovelers.length, comparison.current.shovelers.length],
+                    ['Shoveler ASINs', comparison.previous.totalShovelerASINs, comparison.current.totalShovelerASINs]
+                ]), 'Snapshots');
+                downloadWorkbook(workbook, `WTS_Layout_Diff_${storeTLC || 'store'}_${new Date().toISOString().split('T')[0]}.xlsx`);
+            });
+            document.getElementById('snapshotCloseBtn').addEventListener('click', closeModal);
+            modal.addEventListener('click', event => {
+                if (event.target === modal) closeModal();
+            });
+
+            await showComparison();
+        }
+
+        const pageToolsGroup = createButtonGroup([assortmentBtn, overlayBtn, snapshotBtn, snapshotsBtn], 2);
+
         // NAVIGATION SECTION
         const navigationHeader = createSectionHeader('Navigation');
 
@@ -2473,30 +4731,376 @@
         storeSelect.style.border = '1px solid #ccc';
         storeSelect.style.fontSize = '12px';
 
-        const switchBtn = document.createElement('button');
-        switchBtn.textContent = '🔄 Switch Store';
-        switchBtn.style.width = '100%';
-        switchBtn.style.padding = '8px';
-        switchBtn.style.backgroundColor = '#00704A';
-        switchBtn.style.color = '#fff';
-        switchBtn.style.border = 'none';
-        switchBtn.style.borderRadius = '4px';
-        switchBtn.style.cursor = 'pointer';
-        switchBtn.style.marginTop = '4px';
-        switchBtn.style.fontSize = '12px';
+        const switchBtn = document.createElement('button');
+        switchBtn.textContent = '🔄 Switch Store';
+        switchBtn.style.width = '100%';
+        switchBtn.style.padding = '8px';
+        switchBtn.style.backgroundColor = '#00704A';
+        switchBtn.style.color = '#fff';
+        switchBtn.style.border = 'none';
+        switchBtn.style.borderRadius = '4px';
+        switchBtn.style.cursor = 'pointer';
+        switchBtn.style.marginTop = '4px';
+        switchBtn.style.fontSize = '12px';
+
+        switchBtn.addEventListener('click', () => {
+            const selectedAcro = storeSelect.value;
+            if (selectedAcro) {
+                switchToStore(selectedAcro, switchBtn);
+            } else {
+                alert('Please select a store to switch to');
+            }
+        });
+
+        // Store tour: switch through a queue of stores and run one action on this page for each, merging the results.
+        // Every switch reloads the page, so the queue and the results so far live in GM storage.
+        const STORE_TOUR_KEY = 'wts_store_tour';
+        const STORE_TOUR_MAX_ATTEMPTS = 3; // Switches per store before it is recorded as failed
+        const STORE_TOUR_ACTIONS = {
+            export: 'Export page data',
+            assortment: 'Assortment check',
+            counter: 'Capture card counts'
+        };
+
+        function loadStoreTour() {
+            try {
+                return JSON.parse(GM_getValue(STORE_TOUR_KEY, '') || 'null');
+            } catch (error) {
+                console.error('❌ Error loading store tour state:', error);
+                return null;
+            }
+        }
+
+        function saveStoreTour(tour) {
+            GM_setValue(STORE_TOUR_KEY, tour ? JSON.stringify(tour) : '');
+        }
+
+        async function runStoreTourAction(action, acro) {
+            const data = extractAllData();
+            await scoreShovelerASINs(data);
+            const result = {
+                acro,
+                status: 'Done',
+                finishedAt: Date.now(),
+                visibleCards: data.totalVisibleASINs,
+                emptyCards: data.emptyCards,
+                shovelerASINs: data.totalShovelerASINs
+            };
+
+            if (action === 'export') {
+                result.cards = data.visibleCards.map(card => [card.ASIN || '', card.Name || '', card.Section || '', ...getCardPositionCells(card)]);
+                result.shovelerRows = [];
+                data.shovelers.forEach(shoveler => {
+                    shoveler.asins.forEach(asin => {
+                        const score = shoveler.asinConfidence[asin];
+                        result.shovelerRows.push([asin, shoveler.title, shoveler.carouselIndex.toString(), score.foundBy, score.confidence,
+                            ...getShovelerPositionCells(shoveler, asin)]);
+                    });
+                });
+            } else if (action === 'assortment') {
+                const check = await buildAssortmentCheck(data, acro);
+                result.pageASINs = check.pageASINs;
+                result.inventoryMatches = check.inventoryMatches;
+                result.issues = check.cardIssues.map(issue => [issue.ASIN, issue.Name || '', issue.Section || '', issue.issue, issue.listingStatus, issue.quantity]);
+                result.notRendered = check.notRendered.map(item => [item.ASIN, item.itemName || '', item.sku || '', item.listingStatus, item.quantity, item.shovelerTitle, item.shovelerIndex.toString()]);
+            }
+
+            return result;
+        }
+
+        function downloadStoreTourWorkbook(tour) {
+            const workbook = XLSX.utils.book_new();
+            const isAssortment = tour.action === 'assortment';
+
+            const summaryHeaders = ['Store', 'Status', 'Visible Cards', 'Empty Cards', 'Shoveler ASINs'];
+            if (isAssortment) summaryHeaders.push('Page ASINs', 'In Store Inventory', 'Assortment Issues', 'Not Rendered');
+            summaryHeaders.push('Finished At', 'Error');
+
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+                summaryHeaders,
+                ...tour.results.map(result => [
+                    result.acro, result.status, result.visibleCards ?? '', result.emptyCards ?? '', result.shovelerASINs ?? '',
+                    ...(isAssortment ? [result.pageASINs ?? '', result.inventoryMatches ?? '', result.issues ? result.issues.length : '', result.notRendered ? result.notRendered.length : ''] : []),
+                    result.finishedAt ? new Date(result.finishedAt).toLocaleString() : '',
+                    result.error || ''
+                ])
+            ]), 'Tour Summary');
+
+            // One merged sheet per output, with the store in front of every row
+            const appendMerged = (sheetName, headers, key) => {
+                const rows = [];
+                tour.results.forEach(result => (result[key] || []).forEach(row => rows.push([result.acro, ...row])));
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Store', ...headers], ...rows]), sheetName);
+            };
+
+            if (tour.action === 'export') {
+                appendMerged('Visible Cards', ['ASIN', 'Name', 'Section', ...CARD_POSITION_HEADERS], 'cards');
+                appendMerged('Shoveler Data', ['ASIN', 'ShovelerTitle', 'ShovelerIndex', 'FoundBy', 'Confidence', ...SHOVELER_POSITION_HEADERS], 'shovelerRows');
+            } else if (isAssortment) {
+                appendMerged('Assortment Issues', ['ASIN', 'Name', 'Section', 'Issue', 'ListingStatus', 'Quantity'], 'issues');
+                appendMerged('Not Rendered', ['ASIN', 'ItemName', 'SKU', 'ListingStatus', 'Quantity', 'ShovelerTitle', 'ShovelerIndex'], 'notRendered');
+            }
+
+            const fileName = `WTS_Store_Tour_${new Date().toISOString().split('T')[0]}.xlsx`;
+            downloadWorkbook(workbook, fileName);
+            console.log(`📤 Exported store tour (${tour.results.length} stores) to ${fileName}`);
+        }
+
+        function updateStoreTourStatus(tour = loadStoreTour()) {
+            if (!tour) {
+                storeTourStatus.style.display = 'none';
+                storeTourBtn.style.display = 'block';
+                return;
+            }
+            const acro = tour.acros[Math.min(tour.index, tour.acros.length - 1)];
+            storeTourStatusText.textContent = `🧭 Store tour: ${Math.min(tour.index + 1, tour.acros.length)}/${tour.acros.length} (${acro}) - ${STORE_TOUR_ACTIONS[tour.action]}`;
+            storeTourStatus.style.display = 'block';
+            storeTourBtn.style.display = 'none';
+        }
+
+        function finishStoreTour(tour) {
+            saveStoreTour(null);
+            updateStoreTourStatus(null);
+            downloadStoreTourWorkbook(tour);
+
+            const failed = tour.results.filter(result => result.status !== 'Done');
+            alert(`🧭 Store tour finished\n\n` +
+                `✅ Stores done: ${tour.results.length - failed.length}\n` +
+                (failed.length > 0 ? `❌ Failed: ${failed.map(result => result.acro).join(', ')}\n` : '') +
+                `\nThe merged workbook has been downloaded.`);
+        }
+
+        // Runs (or resumes after a reload) the saved tour until the next store switch or the end of the queue
+        async function continueStoreTour() {
+            if (storeTourRunning || !loadStoreTour()) return;
+            storeTourRunning = true;
+
+            try {
+                let tour = loadStoreTour();
+                const nextStore = (result) => {
+                    tour.results.push({ finishedAt: Date.now(), ...result });
+                    tour.index++;
+                    tour.phase = 'switch';
+                    tour.attempts = 0;
+                    saveStoreTour(tour);
+                };
+
+                while (tour.index < tour.acros.length) {
+                    updateStoreTourStatus(tour);
+                    const acro = tour.acros[tour.index];
+
+                    if (tour.phase === 'switch' && getCurrentStoreTLC() !== acro) {
+                        if (tour.attempts >= STORE_TOUR_MAX_ATTEMPTS) {
+                            nextStore({ acro, status: 'Failed', error: `Store did not switch after ${tour.attempts} attempts` });
+                            continue;
+                        }
+
+                        tour.phase = 'run';
+                        tour.attempts++;
+                        saveStoreTour(tour);
+                        try {
+                            console.log(`🧭 Store tour: switching to ${acro} (${tour.index + 1}/${tour.acros.length})`);
+                            await switchToStore(acro, null, { quiet: true });
+                            return; // The page reloads and the tour resumes from GM storage
+                        } catch (error) {
+                            nextStore({ acro, status: 'Failed', error: error.message });
+                            continue;
+                        }
+                    }
+
+                    // Back on the page the tour started from (the reload keeps it, navigation may not)
+                    if (window.location.href !== tour.url) {
+                        tour.phase = 'run';
+                        saveStoreTour(tour);
+                        window.location.href = tour.url;
+                        return;
+                    }
+
+                    await waitForPageToSettle(tour.settleSeconds * 1000);
+
+                    tour = loadStoreTour();
+                    if (!tour) return; // Stopped while the page was settling
+
+                    if (getCurrentStoreTLC() !== acro) {
+                        // The switch did not stick; switch again until the attempts run out
+                        tour.phase = 'switch';
+                        saveStoreTour(tour);
+                        continue;
+                    }
+
+                    try {
+                        console.log(`🧭 Store tour: running "${STORE_TOUR_ACTIONS[tour.action]}" for ${acro}`);
+                        nextStore(await runStoreTourAction(tour.action, acro));
+                    } catch (error) {
+                        console.error(`❌ Store tour action failed for ${acro}:`, error);
+                        nextStore({ acro, status: 'Failed', error: error.message });
+                    }
+                }
+
+                finishStoreTour(tour);
+            } catch (error) {
+                console.error('❌ Store tour error:', error);
+            } finally {
+                storeTourRunning = false;
+            }
+        }
+
+        function stopStoreTour() {
+            const tour = loadStoreTour();
+            if (!tour) return;
+            if (!confirm(`Stop the store tour after ${tour.results.length} of ${tour.acros.length} stores?`)) return;
+
+            saveStoreTour(null);
+            updateStoreTourStatus(null);
+            if (tour.results.length > 0 && confirm('Download the results collected so far?')) {
+                downloadStoreTourWorkbook(tour);
+            }
+            console.log('⏹ Store tour stopped');
+        }
+
+        function showStoreTourSetup() {
+            const modal = document.createElement('div');
+            modal.style.position = 'fixed';
+            modal.style.top = '0';
+            modal.style.left = '0';
+            modal.style.width = '100%';
+            modal.style.height = '100%';
+            modal.style.backgroundColor = 'rgba(0,0,0,0.5)';
+            modal.style.zIndex = '10000';
+            modal.style.display = 'flex';
+            modal.style.alignItems = 'center';
+            modal.style.justifyContent = 'center';
+
+            const modalContent = document.createElement('div');
+            modalContent.style.backgroundColor = '#fff';
+            modalContent.style.padding = '20px';
+            modalContent.style.borderRadius = '8px';
+            modalContent.style.boxShadow = '0 4px 8px rgba(0,0,0,0.2)';
+            modalContent.style.maxWidth = '500px';
+            modalContent.style.width = '90%';
+            modalContent.style.fontFamily = 'sans-serif';
+
+            modalContent.innerHTML = `
+                <h3 style="margin-top: 0; color: #00704A;">🧭 Store Tour</h3>
+                <p style="font-size: 13px; color: #495057; margin-top: 0;">Switches to each store in turn, waits for this page to reload and settle, runs the action, then moves on. The results are merged into one workbook at the end.</p>
+
+                <div style="margin-bottom: 10px;">
+                    <label style="display: block; margin-bottom: 5px; font-size: 13px;">Store acros (any separator):</label>
+                    <textarea id="storeTourAcros" style="width: 100%; height: 80px; padding: 8px; border: 1px solid #ccc; border-radius: 4px; font-family: monospace; font-size: 12px; box-sizing: border-box;">${GM_getValue('wts_store_tour_last_acros', '')}</textarea>
+                    <button id="storeTourAllBtn" style="margin-top: 4px; padding: 4px 8px; background: #6c757d; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">All mapped stores</button>
+                </div>
+
+                <div style="margin-bottom: 10px; font-size: 13px;">
+                    <label for="storeTourAction">Action per store:</label>
+                    <select id="storeTourAction" style="width: 100%; padding: 6px; margin-top: 4px; border: 1px solid #ccc; border-radius: 4px;">
+                        ${Object.entries(STORE_TOUR_ACTIONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+
+                <div style="margin-bottom: 16px; font-size: 13px;">
+                    <label for="storeTourSettle">Wait after each reload (seconds):</label>
+                    <input type="number" id="storeTourSettle" min="1" max="60" value="${GM_getValue('wts_store_tour_settle', 5)}" style="width: 60px; padding: 4px; margin-left: 6px; border: 1px solid #ccc; border-radius: 4px;">
+                    <div style="font-size: 11px; color: #6c757d; margin-top: 4px;">After this delay the tour also waits until the card counts stop changing.</div>
+                </div>
+
+                <div style="text-align: right;">
+                    <button id="storeTourCancelBtn" style="padding: 8px 12px; background: #6c757d; color: #fff; border: none; border-radius: 4px; cursor: pointer;">Cancel</button>
+                    <button id="storeTourStartBtn" style="padding: 8px 12px; background: #00704A; color: #fff; border: none; border-radius: 4px; cursor: pointer; margin-left: 8px;">▶️ Start Tour</button>
+                </div>
+            `;
+
+            modal.appendChild(modalContent);
+            document.body.appendChild(modal);
+
+            const closeModal = () => {
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            document.getElementById('storeTourAllBtn').addEventListener('click', () => {
+                document.getElementById('storeTourAcros').value = Array.from(storeMappingData.keys()).sort().join(', ');
+            });
+
+            document.getElementById('storeTourStartBtn').addEventListener('click', async () => {
+                const acrosText = document.getElementById('storeTourAcros').value;
+                const acros = Array.from(new Set(acrosText.toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean)));
+                const action = document.getElementById('storeTourAction').value;
+                const settleSeconds = Math.min(60, Math.max(1, parseInt(document.getElementById('storeTourSettle').value) || 5));
+
+                if (acros.length === 0) {
+                    alert('❌ Enter at least one store acro');
+                    return;
+                }
+                const unknown = acros.filter(acro => !storeMappingData.has(acro));
+                if (unknown.length > 0) {
+                    alert(`❌ Not in the store mappings: ${unknown.join(', ')}\n\nUpload a store directory that includes them, or remove them from the list.`);
+                    return;
+                }
+                if (action === 'assortment' && (await getItemDatabaseStatus()).count === 0) {
+                    alert('❌ No item database loaded. Load the item database before running an assortment check tour.');
+                    return;
+                }
+                if (!confirm(`Start a store tour of ${acros.length} stores (${STORE_TOUR_ACTIONS[action]})?\n\nThe page will reload for every store. Keep this tab open until the merged workbook downloads.`)) {
+                    return;
+                }
+
+                GM_setValue('wts_store_tour_last_acros', acros.join(', '));
+                GM_setValue('wts_store_tour_settle', settleSeconds);
+                saveStoreTour({
+                    acros,
+                    action,
+                    settleSeconds,
+                    url: window.location.href,
+                    startedAt: Date.now(),
+                    index: 0,
+                    phase: 'switch',
+                    attempts: 0,
+                    results: []
+                });
+
+                closeModal();
+                console.log(`🧭 Store tour started: ${acros.join(', ')} (${action})`);
+                continueStoreTour();
+            });
+
+            document.getElementById('storeTourCancelBtn').addEventListener('click', closeModal);
 
-        switchBtn.addEventListener('click', () => {
-            const selectedAcro = storeSelect.value;
-            if (selectedAcro) {
-                switchToStore(selectedAcro, switchBtn);
-            } else {
-                alert('Please select a store to switch to');
-            }
-        });
+            // Close on background click
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    closeModal();
+                }
+            });
+        }
+
+        const storeTourBtn = createButton('🧭 Store Tour', '#17a2b8', showStoreTourSetup, { fullWidth: true });
+        storeTourBtn.style.marginTop = '4px';
+        storeTourBtn.style.fontSize = '12px';
+        storeTourBtn.title = 'Visit a list of stores one after another and merge one export per store';
+
+        const storeTourStatus = document.createElement('div');
+        storeTourStatus.style.display = 'none';
+        storeTourStatus.style.marginTop = '4px';
+        storeTourStatus.style.padding = '6px 8px';
+        storeTourStatus.style.fontSize = '12px';
+        storeTourStatus.style.background = '#d1ecf1';
+        storeTourStatus.style.border = '1px solid #17a2b8';
+        storeTourStatus.style.borderRadius = '4px';
+
+        const storeTourStatusText = document.createElement('div');
+        storeTourStatusText.style.marginBottom = '4px';
+        const stopStoreTourBtn = createButton('⏹ Stop Tour', '#dc3545', stopStoreTour, { fullWidth: true });
+        stopStoreTourBtn.style.fontSize = '12px';
+        stopStoreTourBtn.style.padding = '4px 8px';
+        storeTourStatus.appendChild(storeTourStatusText);
+        storeTourStatus.appendChild(stopStoreTourBtn);
 
         storeSelectContainer.appendChild(storeSelectLabel);
         storeSelectContainer.appendChild(storeSelect);
         storeSelectContainer.appendChild(switchBtn);
+        storeSelectContainer.appendChild(storeTourBtn);
+        storeSelectContainer.appendChild(storeTourStatus);
 
         // Create status display for store mappings
         const statusDiv = document.createElement('div');
@@ -2763,9 +5367,12 @@
                     <p style="margin: 0 0 8px 0;"><strong>How to use:</strong> Click the "📦 Export Data" button to extract all visible ASINs and shoveler data.</p>
                     <p style="margin: 0 0 8px 0;"><strong>Output:</strong> Downloads an Excel file with two sheets:</p>
                     <ul style="margin: 8px 0 0 20px; padding: 0;">
-                        <li><strong>Visible Cards:</strong> ASINs from product cards currently visible on the page</li>
-                        <li><strong>Shoveler Data:</strong> ASINs from carousel/shoveler components with titles and indices</li>
+                        <li><strong>Visible Cards:</strong> ASINs from product cards currently visible on the page, with their positions</li>
+                        <li><strong>Shoveler Data:</strong> ASINs from carousel/shoveler components with titles and indices, plus name, price, availability and image URL</li>
                     </ul>
+                    <p style="margin: 8px 0 0 0;"><strong>Shoveler details:</strong> Before downloading, each shoveler ASIN is looked up in the cards rendered on the page, then through the carousel's own loader, then in the item database (current store first). The DetailsSource column says where each value came from; ASINs no source knows keep the "[From Shoveler: ...]" placeholder name.</p>
+                    <p style="margin: 8px 0 0 0;"><strong>Positions:</strong> PagePosition is the card's order on the whole page and SectionPosition its order within its section. Cards and shoveler ASINs in a carousel also get their carousel position, CarouselPage and CarouselSlot (from the number of cards the carousel shows at once) and InitiallyVisible (on the first carousel page, or for grid cards, on the first screen of the page). ShovelerPosition follows the shoveler's configured ASIN order. Use these to check "top N" placements per store, for example with a store tour export.</p>
+                    <p style="margin: 8px 0 0 0;"><strong>ASIN confidence:</strong> FoundBy lists the carousel parsing methods that found each shoveler ASIN. Confidence (0-100) combines the most reliable of those methods with the ASIN's format, and is 100 when the item database knows the ASIN. Filter on ConfidenceLevel "Low" to find tokens and IDs that are probably not products.</p>
                     <p style="margin: 8px 0 0 0; padding: 12px; background: #f0f8f0; border-left: 4px solid #00704A; border-radius: 4px;"><strong>💡 Tip:</strong> Scroll through the page and navigate carousels to capture more ASINs before exporting.</p>
                 </div>
 
@@ -2777,17 +5384,53 @@
                     <p style="margin: 8px 0 0 0; padding: 12px; background: #f0f8f0; border-left: 4px solid #00704A; border-radius: 4px;"><strong>💡 Tip:</strong> Use this before exporting to ensure you capture the most recent data.</p>
                 </div>
 
+                <div style="margin-bottom: 24px;">
+                    <h3 style="color: #00704A; margin: 0 0 12px 0; font-size: 18px; font-weight: 600; border-bottom: 2px solid #00704A; padding-bottom: 8px;">🧮 Assortment Check</h3>
+                    <p style="margin: 0 0 8px 0;"><strong>Purpose:</strong> Compare the ASINs on the current page with what the current store carries in the item database.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>What it flags:</strong></p>
+                    <ul style="margin: 8px 0 0 20px; padding: 0;">
+                        <li><strong>Red outline:</strong> the card's ASIN is not in the store's inventory</li>
+                        <li><strong>Yellow outline:</strong> the store carries it but its listing_status is not active</li>
+                        <li><strong>Not rendered:</strong> store items listed in a shoveler's configuration that never showed up as a card</li>
+                    </ul>
+                    <p style="margin: 8px 0 0 0; padding: 12px; background: #f0f8f0; border-left: 4px solid #00704A; border-radius: 4px;"><strong>💡 Tip:</strong> After a check, "📦 Export Data" on the same page adds "Assortment Issues" and "Not Rendered" sheets to the workbook.</p>
+                </div>
+
+                <div style="margin-bottom: 24px;">
+                    <h3 style="color: #00704A; margin: 0 0 12px 0; font-size: 18px; font-weight: 600; border-bottom: 2px solid #00704A; padding-bottom: 8px;">🏷️ Overlays</h3>
+                    <p style="margin: 0 0 8px 0;"><strong>Purpose:</strong> Show badges on every product card: the ASIN (click to copy), its section (data-cel-widget), item database status and the stored price/quantity.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>Card colors:</strong></p>
+                    <ul style="margin: 8px 0 0 20px; padding: 0;">
+                        <li><strong style="color: #28a745;">Green:</strong> in the current store's item database, active listing</li>
+                        <li><strong style="color: #b58900;">Yellow:</strong> in the store's item database, listing not active</li>
+                        <li><strong style="color: #fd7e14;">Orange:</strong> only in other stores' rows</li>
+                        <li><strong style="color: #dc3545;">Red:</strong> not in the item database</li>
+                        <li><strong style="color: #6c757d;">Grey:</strong> no item database loaded</li>
+                    </ul>
+                    <p style="margin: 8px 0 0 0; padding: 12px; background: #f0f8f0; border-left: 4px solid #00704A; border-radius: 4px;"><strong>💡 Tip:</strong> Overlays follow page navigation and newly loaded carousels, and stay on across reloads until you toggle them off.</p>
+                </div>
+
+                <div style="margin-bottom: 24px;">
+                    <h3 style="color: #00704A; margin: 0 0 12px 0; font-size: 18px; font-weight: 600; border-bottom: 2px solid #00704A; padding-bottom: 8px;">📸 Page Snapshots</h3>
+                    <p style="margin: 0 0 8px 0;"><strong>Purpose:</strong> Keep the layout of a merchandising page per store (section order, card order per section, shoveler titles and ASIN order, empty slots) and see what changed between visits.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>How to use:</strong> "📸 Save Snapshot" saves the current page for the current store. "🗂️ Snapshots" compares the live page, or any saved snapshot, with the snapshot before it and can export the diff to Excel. Turn on automatic snapshots there to save one every time a page loads and settles.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>Changes reported:</strong> ASINs added, removed or moved (1-based positions), sections added, removed or moved, shovelers added, removed, moved or renamed (same ASINs under a new title), and sections with new empty slots.</p>
+                    <p style="margin: 8px 0 0 0; padding: 12px; background: #f0f8f0; border-left: 4px solid #00704A; border-radius: 4px;"><strong>💡 Tip:</strong> Tracking parameters (ref, pd_rd_*, pf_rd_*) are ignored when matching pages. An unchanged layout is not saved twice, and the newest 20 snapshots are kept per page and store.</p>
+                </div>
+
                 <div style="margin-bottom: 24px;">
                     <h3 style="color: #00704A; margin: 0 0 12px 0; font-size: 18px; font-weight: 600; border-bottom: 2px solid #00704A; padding-bottom: 8px;">📁 Upload XLSX</h3>
                     <p style="margin: 0 0 8px 0;"><strong>Purpose:</strong> Upload store mapping XLSX files to enable store switching functionality.</p>
-                    <p style="margin: 0 0 8px 0;"><strong>How to use:</strong> Click "📁 Upload XLSX" and select an XLSX file with Acro and StoreId columns.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>How to use:</strong> Click "📁 Upload XLSX" and select a store directory file (XLSX or CSV).</p>
                     <p style="margin: 0 0 8px 0;"><strong>Required format:</strong></p>
                     <ul style="margin: 8px 0 0 20px; padding: 0;">
-                        <li>XLSX file with headers: <code style="background: #f8f9fa; padding: 2px 4px; border-radius: 3px;">Acro,StoreId</code></li>
-                        <li>Acro: 3-character store codes (e.g., "WFM", "ABC")</li>
-                        <li>StoreId: Numeric store identifiers</li>
-                        <li>Additional columns are ignored</li>
+                        <li>Store directory headers: <code style="background: #f8f9fa; padding: 2px 4px; border-radius: 3px;">tlc,store_acronym,store_id,pickup_address_id,region_id,store_name,city,state,bu,is_active</code></li>
+                        <li>tlc: 3-character store codes (e.g., "WFM", "ABC")</li>
+                        <li>store_id: Numeric store identifiers</li>
+                        <li>Older files with <code style="background: #f8f9fa; padding: 2px 4px; border-radius: 3px;">Acro,StoreId</code> headers still work</li>
+                        <li>Inactive stores and stores without a store_id are kept but not offered for switching</li>
                     </ul>
+                    <p style="margin: 8px 0 0 0;">The same file works in the Amazon Store Jumper and the Scanner app. Use "📤 Export Stores" in Settings to download the loaded directory.</p>
                     <p style="margin: 8px 0 0 0; padding: 12px; background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px;"><strong>⚠️ Note:</strong> Store mappings are saved locally and persist between sessions.</p>
                 </div>
 
@@ -2837,13 +5480,30 @@
                     </ol>
                     <p style="margin: 0 0 8px 0;"><strong>Features:</strong></p>
                     <ul style="margin: 8px 0 0 20px; padding: 0;">
+                        <li><strong>Ranked name search:</strong> Words can be in any order, partial ("chedd"), plural or with a small typo ("organc strawbery"); best matches are listed first</li>
                         <li><strong>Store filtering:</strong> Check "Filter to current store only" to limit results</li>
+                        <li><strong>Filters:</strong> Type filters with or without a search term, or build them with 🎛️ Filters: <code>status:inactive</code>, <code>qty:&lt;5</code>, <code>price:2..10</code>, <code>rnk:&lt;=20</code>, <code>event:&gt;=2024-05-01</code>, <code>start:</code>/<code>end:</code> (offering dates), <code>live:today</code> (offering window includes the day), <code>store:ATX,DAL</code></li>
+                        <li><strong>Export results:</strong> 📤 Export XLSX / 📄 Export CSV download every matching item (not just the listed ones) with all imported columns; with an empty search box they export the whole database (or the current store). XLSX is split into files of 50,000 rows; CSV is one file written chunk by chunk, so use CSV for large exports</li>
+                        <li><strong>Saved queries:</strong> 💾 saves the search box and search type under a name; pick it from ⭐ Saved queries to run it again, 🗑️ deletes it</li>
                         <li><strong>Auto-switching:</strong> Option to switch stores when selecting items from different stores</li>
                         <li><strong>Current store highlighting:</strong> Items from your current store are highlighted in green</li>
                     </ul>
                     <p style="margin: 8px 0 0 0; padding: 12px; background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px;"><strong>⚠️ Note:</strong> Search is only available when an item database is loaded via SharePoint integration.</p>
                 </div>
 
+                <div style="margin-bottom: 24px;">
+                    <h3 style="color: #00704A; margin: 0 0 12px 0; font-size: 18px; font-weight: 600; border-bottom: 2px solid #00704A; padding-bottom: 8px;">📋 Batch Lookup</h3>
+                    <p style="margin: 0 0 8px 0;"><strong>Purpose:</strong> Check a whole list of ASINs or SKUs (e.g. pasted from a ticket) against the item database at once.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>How to use:</strong></p>
+                    <ol style="margin: 8px 0 0 20px; padding: 0;">
+                        <li>Click "📋 Batch Lookup" below "🔗 Go to Item"</li>
+                        <li>Paste the text - every ASIN and SKU in it is picked out, duplicates removed</li>
+                        <li>Optionally limit to the current store, then click "🔍 Look Up"</li>
+                        <li>Export the found/missing report as XLSX or CSV</li>
+                    </ol>
+                    <p style="margin: 8px 0 0 0; padding: 12px; background: #f0f8f0; border-left: 4px solid #00704A; border-radius: 4px;"><strong>💡 Tip:</strong> Missing rows are red, inactive listings and items only carried by other stores are yellow.</p>
+                </div>
+
                 <div style="margin-bottom: 24px;">
                     <h3 style="color: #00704A; margin: 0 0 12px 0; font-size: 18px; font-weight: 600; border-bottom: 2px solid #00704A; padding-bottom: 8px;">⚙️ Settings</h3>
                     <p style="margin: 0 0 8px 0;"><strong>CSRF Settings:</strong> Configure authentication tokens for store switching.</p>
@@ -2852,6 +5512,10 @@
                         <li><strong>Fallback token:</strong> Backup token when automatic capture fails</li>
                         <li><strong>Token validation:</strong> Test token format and clear captured tokens</li>
                     </ul>
+                    <p style="margin: 0 0 8px 0;"><strong>Import Item DB:</strong> Update the item database from an inventory report (XLSX, XLS or CSV). A wizard lets you pick the sheet ("WFMOAC Inventory Data" is preselected) and shows the suggested column for each item field; fix any that are wrong and 💾 save the sheet and mapping as a named profile, which is picked automatically the next time a report with the same columns is loaded. Unmapped store_name/store_acronym are filled from the store directory. Every rejected or suspicious row (missing required value, invalid ASIN or TLC, non-numeric quantity/price/rank, duplicate item) is listed with its row number, column, value and reason in a validation report you can download after the import to fix the source report. Strict validation (wizard checkbox) rejects rows with an invalid ASIN or TLC; lenient imports them with a warning. Items are matched on store_tlc + asin + sku: new items are added, changed items updated and items missing from the file deleted, all in one step. If the file can't be read, the previous database is kept.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>Import History:</strong> Download every recorded import (file, sheet, rows, validation errors) with the price changes and items that went inactive between imports. Quantity, listing status and price changes are kept for the last 20 imports.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>Export Stores:</strong> Download the loaded store directory as XLSX.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>Strict Shoveler ASINs:</strong> When on, exports, assortment checks and store tours keep only shoveler ASINs in the B0XXXXXXXX format or present in the item database. Dropped IDs are listed on a "Rejected Shoveler ASINs" sheet.</p>
                     <p style="margin: 0 0 8px 0;"><strong>Debug Info:</strong> View technical information for troubleshooting.</p>
                     <p style="margin: 8px 0 0 0; padding: 12px; background: #f0f8f0; border-left: 4px solid #00704A; border-radius: 4px;"><strong>💡 Tip:</strong> Most users won't need to modify CSRF settings as they're managed automatically.</p>
                 </div>
@@ -2870,6 +5534,19 @@
                     <p style="margin: 8px 0 0 0; padding: 12px; background: #f0f8f0; border-left: 4px solid #00704A; border-radius: 4px;"><strong>💡 Tip:</strong> Store switching requires valid CSRF tokens and proper store mappings.</p>
                 </div>
 
+                <div style="margin-bottom: 24px;">
+                    <h3 style="color: #00704A; margin: 0 0 12px 0; font-size: 18px; font-weight: 600; border-bottom: 2px solid #00704A; padding-bottom: 8px;">🧭 Store Tour</h3>
+                    <p style="margin: 0 0 8px 0;"><strong>Purpose:</strong> Run the same check on this page for a whole list of stores without switching by hand.</p>
+                    <p style="margin: 0 0 8px 0;"><strong>How to use:</strong></p>
+                    <ol style="margin: 8px 0 0 20px; padding: 0;">
+                        <li>Open the page to check, then click "🧭 Store Tour" under the store dropdown</li>
+                        <li>Paste the store acros (or click "All mapped stores") and pick the action: export page data, assortment check, or card counts</li>
+                        <li>Start the tour: for each store it switches, waits for the reload and for the cards to stop loading, runs the action and moves on</li>
+                        <li>When the last store is done, one workbook downloads with a Tour Summary sheet and the merged per-store rows</li>
+                    </ol>
+                    <p style="margin: 8px 0 0 0; padding: 12px; background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px;"><strong>⚠️ Note:</strong> The tour survives the reloads (its progress is kept in Tampermonkey storage), so keep the tab open. "⏹ Stop Tour" ends it early and offers the results collected so far. A store that fails to switch 3 times is marked Failed and skipped.</p>
+                </div>
+
                 <div style="margin-bottom: 24px;">
                     <h3 style="color: #00704A; margin: 0 0 12px 0; font-size: 18px; font-weight: 600; border-bottom: 2px solid #00704A; padding-bottom: 8px;">🖱️ Panel Controls</h3>
                     <p style="margin: 0 0 8px 0;"><strong>Drag to move:</strong> Click and drag the header to reposition the panel anywhere on screen.</p>
@@ -2955,8 +5632,11 @@
 
             sortedStores.forEach(([acro, storeId]) => {
                 const option = document.createElement('option');
+                const store = storeDirectoryData.get(acro);
                 option.value = acro;
-                option.textContent = `${acro} (ID: ${storeId})`;
+                option.textContent = store && store.name
+                    ? `${acro} - ${store.name} (ID: ${storeId})`
+                    : `${acro} (ID: ${storeId})`;
                 storeSelect.appendChild(option);
             });
         };
@@ -3131,9 +5811,212 @@
             searchTypeSelect.appendChild(optionElement);
         });
 
+        // Advanced filters: the panel writes query filters ("status:inactive qty:<5 store:ATX,DAL") into the search box
+        const filtersToggleBtn = createButton('🎛️ Filters', '#6c757d', () => {
+            const isHidden = filtersPanel.style.display === 'none';
+            if (isHidden) {
+                populateFilterStores();
+            }
+            filtersPanel.style.display = isHidden ? 'block' : 'none';
+        }, { fullWidth: true });
+        filtersToggleBtn.style.marginBottom = '4px';
+        filtersToggleBtn.title = 'Filter by listing status, quantity, price, dates, rank and stores';
+
+        const filtersPanel = document.createElement('div');
+        filtersPanel.style.display = 'none';
+        filtersPanel.style.marginBottom = '4px';
+        filtersPanel.style.padding = '8px';
+        filtersPanel.style.border = '1px solid #dee2e6';
+        filtersPanel.style.borderRadius = '4px';
+        filtersPanel.style.background = '#f8f9fa';
+        filtersPanel.style.fontSize = '11px';
+
+        const filterInputStyle = 'width: 100%; padding: 3px; border: 1px solid #ccc; border-radius: 3px; font-size: 11px; box-sizing: border-box;';
+        const filterRangeRow = (label, field, type = 'number') => `
+            <div style="display: grid; grid-template-columns: 70px 1fr 1fr; gap: 4px; align-items: center; margin-bottom: 4px;">
+                <span>${label}</span>
+                <input type="${type}" data-filter="${field}Min" placeholder="${type === 'date' ? '' : 'min'}" style="${filterInputStyle}">
+                <input type="${type}" data-filter="${field}Max" placeholder="${type === 'date' ? '' : 'max'}" style="${filterInputStyle}">
+            </div>`;
+
+        filtersPanel.innerHTML = `
+            <div style="display: grid; grid-template-columns: 70px 1fr; gap: 4px; align-items: center; margin-bottom: 4px;">
+                <span>Status</span>
+                <select data-filter="status" style="${filterInputStyle}">
+                    <option value="">Any</option>
+                    <option value="active">Active</option>
+                    <option value="inactive">Inactive</option>
+                </select>
+            </div>
+            ${filterRangeRow('Quantity', 'qty')}
+            ${filterRangeRow('Price', 'price')}
+            ${filterRangeRow('Rank', 'rnk')}
+            ${filterRangeRow('Event date', 'event', 'date')}
+            ${filterRangeRow('Offer start', 'start', 'date')}
+            ${filterRangeRow('Offer end', 'end', 'date')}
+            <div style="display: grid; grid-template-columns: 70px 1fr; gap: 4px; align-items: center; margin-bottom: 4px;">
+                <span title="Offering window includes this day">Live on</span>
+                <input type="date" data-filter="live" style="${filterInputStyle}">
+            </div>
+            <div style="display: grid; grid-template-columns: 70px 1fr; gap: 4px; align-items: start; margin-bottom: 6px;">
+                <span>Stores</span>
+                <select data-filter="stores" multiple size="4" style="${filterInputStyle}"></select>
+            </div>
+            <div style="color: #6c757d; margin-bottom: 6px;">Ctrl/Cmd-click to pick several stores. Filters can also be typed, e.g. <code>status:inactive qty:&lt;5 store:ATX,DAL</code></div>
+        `;
+
+        const filterField = name => filtersPanel.querySelector(`[data-filter="${name}"]`);
+
+        function populateFilterStores() {
+            const storeSelect = filterField('stores');
+            const selected = new Set(Array.from(storeSelect.selectedOptions).map(option => option.value));
+            storeSelect.innerHTML = '';
+            Array.from(storeMappingData.keys()).sort().forEach(tlc => {
+                const option = document.createElement('option');
+                const store = storeDirectoryData.get(tlc);
+                option.value = tlc;
+                option.textContent = store && store.name ? `${tlc} - ${store.name}` : tlc;
+                option.selected = selected.has(tlc);
+                storeSelect.appendChild(option);
+            });
+        }
+
+        function buildFilterQuery() {
+            const tokens = [];
+            const rangeToken = (key, field) => {
+                const min = filterField(`${field}Min`).value.trim();
+                const max = filterField(`${field}Max`).value.trim();
+                if (min && max) {
+                    tokens.push(`${key}:${min}..${max}`);
+                } else if (min) {
+                    tokens.push(`${key}:>=${min}`);
+                } else if (max) {
+                    tokens.push(`${key}:<=${max}`);
+                }
+            };
+
+            if (filterField('status').value) tokens.push(`status:${filterField('status').value}`);
+            rangeToken('qty', 'qty');
+            rangeToken('price', 'price');
+            rangeToken('rnk', 'rnk');
+            rangeToken('event', 'event');
+            rangeToken('start', 'start');
+            rangeToken('end', 'end');
+            if (filterField('live').value) tokens.push(`live:${filterField('live').value}`);
+
+            const stores = Array.from(filterField('stores').selectedOptions).map(option => option.value);
+            if (stores.length > 0) tokens.push(`store:${stores.join(',')}`);
+
+            return tokens.join(' ');
+        }
+
+        const applyFiltersBtn = createButton('✅ Apply', '#00704A', () => {
+            // Keep the search text, replace any filters already typed in the search box
+            const text = parseSearchQuery(itemSearchInput.value).text;
+            itemSearchInput.value = [text, buildFilterQuery()].filter(Boolean).join(' ');
+            performSearch();
+        });
+        const clearFiltersBtn = createButton('✖ Clear', '#6c757d', () => {
+            filtersPanel.querySelectorAll('input').forEach(input => { input.value = ''; });
+            filterField('status').value = '';
+            Array.from(filterField('stores').options).forEach(option => { option.selected = false; });
+            itemSearchInput.value = parseSearchQuery(itemSearchInput.value).text;
+            performSearch();
+        });
+        filtersPanel.appendChild(createButtonGroup([applyFiltersBtn, clearFiltersBtn], 2));
+
+        // Saved queries: a name for the search box contents and search type, kept in GM storage
+        const SAVED_QUERIES_KEY = 'wts_saved_queries';
+
+        function loadSavedQueries() {
+            try {
+                return JSON.parse(GM_getValue(SAVED_QUERIES_KEY, '[]'));
+            } catch (error) {
+                console.error('❌ Error loading saved queries:', error);
+                return [];
+            }
+        }
+
+        const savedQueriesRow = document.createElement('div');
+        savedQueriesRow.style.display = 'flex';
+        savedQueriesRow.style.gap = '4px';
+        savedQueriesRow.style.marginBottom = '4px';
+
+        const savedQuerySelect = document.createElement('select');
+        savedQuerySelect.style.flex = '1';
+        savedQuerySelect.style.minWidth = '0';
+        savedQuerySelect.style.padding = '6px';
+        savedQuerySelect.style.borderRadius = '4px';
+        savedQuerySelect.style.border = '1px solid #ccc';
+        savedQuerySelect.style.fontSize = '12px';
+        savedQuerySelect.style.cursor = 'pointer';
+
+        function refreshSavedQueries(selectedName = '') {
+            savedQuerySelect.innerHTML = '';
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = '⭐ Saved queries...';
+            savedQuerySelect.appendChild(placeholder);
+
+            loadSavedQueries().forEach(saved => {
+                const option = document.createElement('option');
+                option.value = saved.name;
+                option.textContent = saved.name;
+                option.title = saved.query;
+                savedQuerySelect.appendChild(option);
+            });
+            savedQuerySelect.value = selectedName;
+        }
+
+        savedQuerySelect.addEventListener('change', () => {
+            const saved = loadSavedQueries().find(entry => entry.name === savedQuerySelect.value);
+            if (!saved) return;
+            itemSearchInput.value = saved.query;
+            searchTypeSelect.value = saved.searchType || 'all';
+            performSearch();
+        });
+
+        const saveQueryBtn = createButton('💾', '#00704A', () => {
+            const query = itemSearchInput.value.trim();
+            if (!query) {
+                alert('❌ Enter a search or filters before saving a query');
+                return;
+            }
+
+            const name = (prompt('Name for this saved query:', savedQuerySelect.value) || '').trim();
+            if (!name) return;
+
+            const savedQueries = loadSavedQueries().filter(entry => entry.name !== name);
+            savedQueries.push({ name, query, searchType: searchTypeSelect.value });
+            savedQueries.sort((a, b) => a.name.localeCompare(b.name));
+            GM_setValue(SAVED_QUERIES_KEY, JSON.stringify(savedQueries));
+            refreshSavedQueries(name);
+            console.log(`⭐ Saved query "${name}": ${query}`);
+        });
+        saveQueryBtn.title = 'Save the current search as a named query';
+
+        const deleteQueryBtn = createButton('🗑️', '#dc3545', () => {
+            const name = savedQuerySelect.value;
+            if (!name) {
+                alert('❌ Select a saved query to delete');
+                return;
+            }
+            if (!confirm(`Delete saved query "${name}"?`)) return;
+
+            GM_setValue(SAVED_QUERIES_KEY, JSON.stringify(loadSavedQueries().filter(entry => entry.name !== name)));
+            refreshSavedQueries();
+            console.log(`🗑️ Deleted saved query "${name}"`);
+        });
+        deleteQueryBtn.title = 'Delete the selected saved query';
+
+        refreshSavedQueries();
+        savedQueriesRow.appendChild(savedQuerySelect);
+        savedQueriesRow.appendChild(saveQueryBtn);
+        savedQueriesRow.appendChild(deleteQueryBtn);
+
         const itemSearchInput = document.createElement('input');
         itemSearchInput.type = 'text';
-        itemSearchInput.placeholder = 'Enter search term...';
+        itemSearchInput.placeholder = 'Search term and/or filters (status:inactive qty:<5)...';
         itemSearchInput.style.width = '100%';
         itemSearchInput.style.padding = '12px 16px';
         itemSearchInput.style.border = '2px solid #00704A';
@@ -3180,10 +6063,14 @@
 
             // Get current store for filtering
             const currentStoreTLC = storeFilterCheckbox.checked ? getCurrentStoreTLC() : null;
+            const parsedQuery = parseSearchQuery(query);
 
             try {
-                const results = await searchItems(query, searchType, currentStoreTLC);
-                displaySearchResults(results);
+                const results = parsedQuery.text || hasSearchFilters(parsedQuery.filters)
+                    ? await searchItemsWithFilters(parsedQuery, searchType, currentStoreTLC)
+                    : [];
+                const changes = await getItemChanges(results.slice(0, 10));
+                displaySearchResults(results, changes, parsedQuery.errors);
             } catch (error) {
                 console.error('❌ Search error:', error);
                 searchResultsContainer.innerHTML = '<div style="padding: 8px; color: #dc3545; text-align: center;">Search error occurred</div>';
@@ -3191,9 +6078,20 @@
             }
         }
 
-        function displaySearchResults(results) {
+        function displaySearchResults(results, changes = new Map(), queryErrors = []) {
             searchResultsContainer.innerHTML = '';
 
+            if (queryErrors.length > 0) {
+                const errorNote = document.createElement('div');
+                errorNote.textContent = `⚠️ Ignored filters: ${queryErrors.join('; ')}`;
+                errorNote.style.padding = '6px 8px';
+                errorNote.style.fontSize = '11px';
+                errorNote.style.color = '#856404';
+                errorNote.style.background = '#fff3cd';
+                errorNote.style.borderBottom = '1px solid #dee2e6';
+                searchResultsContainer.appendChild(errorNote);
+            }
+
             if (results.length === 0) {
                 const noResults = document.createElement('div');
                 noResults.textContent = 'No items found';
@@ -3227,10 +6125,15 @@
                 const storeIndicator = isCurrentStore ? '🏪 ' : '';
                 const storeColor = isCurrentStore ? '#00704A' : '#666';
 
+                const changeLines = describeItemChanges(changes.get(getItemKey(item)))
+                    .map(line => `<div style="color: #856404;">${line}</div>`)
+                    .join('');
+
                 resultItem.innerHTML = `
                     <div style="font-weight: bold; color: #00704A;">${item.item_name}</div>
                     <div style="color: #495057;">ASIN: ${item.asin} | SKU: ${item.sku}</div>
                     <div style="color: ${storeColor};">${storeIndicator}Store: ${item.store_name} (${item.store_tlc})</div>
+                    ${changeLines}
                 `;
 
                 resultItem.addEventListener('mouseenter', () => {
@@ -3247,95 +6150,365 @@
                     }
                 });
 
-                resultItem.addEventListener('click', () => {
-                    selectItem(item);
-                });
+                resultItem.addEventListener('click', () => {
+                    selectItem(item);
+                });
+
+                searchResultsContainer.appendChild(resultItem);
+            });
+
+            if (results.length > 10) {
+                const moreResults = document.createElement('div');
+                moreResults.textContent = `... and ${results.length - 10} more results`;
+                moreResults.style.padding = '8px';
+                moreResults.style.color = '#495057'; // Improved contrast
+                moreResults.style.textAlign = 'center';
+                moreResults.style.fontStyle = 'italic';
+                searchResultsContainer.appendChild(moreResults);
+            }
+
+            searchResultsContainer.style.display = 'block';
+        }
+
+        function selectItem(item) {
+            // Auto-switch to store if different from current
+            const currentStoreTLC = getCurrentStoreTLC();
+            if (item.store_tlc && item.store_tlc !== currentStoreTLC && storeMappingData.has(item.store_tlc)) {
+                const switchStore = confirm(`This item is from store ${item.store_tlc}. Would you like to switch to that store first?`);
+                if (switchStore) {
+                    switchToStore(item.store_tlc).then(() => {
+                        // After store switch, navigate to item
+                        setTimeout(() => {
+                            navigateToItemWithContext(item);
+                        }, 2000); // Wait for store switch to complete
+                    });
+                    return;
+                }
+            }
+
+            // Navigate to item directly
+            navigateToItemWithContext(item);
+        }
+
+        function getCurrentStoreTLC() {
+            const storeInfo = getCurrentStoreInfo();
+            if (storeInfo && storeInfo.storeId) {
+                const tlc = getStoreTLCFromStoreId(storeInfo.storeId, storeMappingData);
+                if (tlc) {
+                    console.log(`🏪 Current store TLC: ${tlc} (${storeInfo.displayName})`);
+                    return tlc;
+                }
+            }
+            return null;
+        }
+
+        function updateCurrentStoreDisplay() {
+            try {
+                // Update store display if UI elements exist
+                if (typeof currentStoreDisplayDiv !== 'undefined' && currentStoreDisplayDiv && document.body.contains(currentStoreDisplayDiv)) {
+                    const storeInfo = getCurrentStoreInfo();
+                    if (storeInfo) {
+                        const tlc = getStoreTLCFromStoreId(storeInfo.storeId, storeMappingData);
+                        if (tlc) {
+                            currentStoreDisplayDiv.textContent = `Current Store: ${storeInfo.displayName} (${tlc})`;
+                            currentStoreDisplayDiv.style.color = '#00704A';
+                        } else {
+                            currentStoreDisplayDiv.textContent = `Current Store: ${storeInfo.displayName} (ID: ${storeInfo.storeId})`;
+                            currentStoreDisplayDiv.style.color = '#ffc107';
+                        }
+                    } else {
+                        currentStoreDisplayDiv.textContent = 'Store info not available';
+                        currentStoreDisplayDiv.style.color = '#495057'; // Improved contrast
+                    }
+                }
+            } catch (error) {
+                console.error('❌ Error updating current store display:', error);
+            }
+        }
+
+        function navigateToItemWithContext(item) {
+            const itemURL = `https://www.wholefoodsmarket.com/name/dp/${item.asin}?pd_rd_i=${item.asin}&fpw=alm&almBrandId=aNHVc2Akvg`;
+            window.open(itemURL, '_blank');
+
+            // Clear search
+            itemSearchInput.value = '';
+            searchResultsContainer.style.display = 'none';
+
+            // Show success message with item details
+            setTimeout(() => {
+                alert(`✅ Opened ${item.item_name}\nASIN: ${item.asin}\nStore: ${item.store_name} (${item.store_tlc})`);
+            }, 500);
+        }
+
+        // Batch lookup: paste a list of ASINs/SKUs and resolve them all against the item database
+        function showBatchLookup() {
+            const modal = document.createElement('div');
+            modal.style.position = 'fixed';
+            modal.style.top = '0';
+            modal.style.left = '0';
+            modal.style.width = '100%';
+            modal.style.height = '100%';
+            modal.style.backgroundColor = 'rgba(0,0,0,0.5)';
+            modal.style.zIndex = '10000';
+            modal.style.display = 'flex';
+            modal.style.alignItems = 'center';
+            modal.style.justifyContent = 'center';
+
+            const modalContent = document.createElement('div');
+            modalContent.style.backgroundColor = '#fff';
+            modalContent.style.padding = '20px';
+            modalContent.style.borderRadius = '8px';
+            modalContent.style.boxShadow = '0 4px 8px rgba(0,0,0,0.2)';
+            modalContent.style.maxWidth = '900px';
+            modalContent.style.width = '90%';
+            modalContent.style.maxHeight = '90vh';
+            modalContent.style.overflowY = 'auto';
+            modalContent.style.fontFamily = 'sans-serif';
+
+            const currentStoreTLC = getCurrentStoreTLC();
+
+            modalContent.innerHTML = `
+                <h3 style="margin-top: 0; color: #00704A;">📋 Batch Lookup</h3>
+
+                <div style="margin-bottom: 10px;">
+                    <label style="display: block; margin-bottom: 5px; font-size: 13px;">Paste ASINs and/or SKUs (any separator, ticket text is fine):</label>
+                    <textarea id="batchLookupInput" style="width: 100%; height: 100px; padding: 8px; border: 1px solid #ccc; border-radius: 4px; font-family: monospace; font-size: 12px; box-sizing: border-box;"></textarea>
+                </div>
+
+                <div style="margin-bottom: 10px; font-size: 13px;">
+                    <label>
+                        <input type="checkbox" id="batchLookupStoreOnly" ${currentStoreTLC ? '' : 'disabled'}>
+                        Current store only ${currentStoreTLC ? `(${currentStoreTLC})` : '(current store not in store mappings)'}
+                    </label>
+                </div>
+
+                <div style="margin-bottom: 10px;">
+                    <button id="batchLookupRunBtn" style="padding: 8px 12px; background: #00704A; color: #fff; border: none; border-radius: 4px; cursor: pointer;">🔍 Look Up</button>
+                    <button id="batchLookupXlsxBtn" style="padding: 8px 12px; background: #17a2b8; color: #fff; border: none; border-radius: 4px; cursor: pointer; margin-left: 8px;" disabled>📦 Export XLSX</button>
+                    <button id="batchLookupCsvBtn" style="padding: 8px 12px; background: #17a2b8; color: #fff; border: none; border-radius: 4px; cursor: pointer; margin-left: 8px;" disabled>📄 Export CSV</button>
+                </div>
+
+                <div id="batchLookupSummary" style="font-size: 13px; margin-bottom: 8px; color: #495057;"></div>
+                <div id="batchLookupResults" style="max-height: 350px; overflow-y: auto; border: 1px solid #dee2e6; border-radius: 4px; display: none;"></div>
+
+                <div style="text-align: right; margin-top: 12px;">
+                    <button id="batchLookupCloseBtn" style="padding: 8px 12px; background: #6c757d; color: #fff; border: none; border-radius: 4px; cursor: pointer;">Close</button>
+                </div>
+            `;
+
+            modal.appendChild(modalContent);
+            document.body.appendChild(modal);
+
+            const headers = ['Input', 'Type', 'Status', 'Store TLC', 'Store Name', 'ASIN', 'SKU', 'Item Name', 'Listing Status', 'Quantity', 'Recent Changes'];
+            let lookupResults = [];
+            let lookupChanges = new Map();
+
+            // One row per matching item; missing IDs get a single row so nothing drops out of the export
+            const toRows = () => {
+                const rows = [];
+                lookupResults.forEach(result => {
+                    if (result.items.length === 0) {
+                        const note = result.status === 'Not in store' ? `Only in: ${result.otherStores.join(', ')}` : '';
+                        rows.push([result.input, result.type, result.status, '', '', '', '', note, '', '', '']);
+                        return;
+                    }
+                    result.items.forEach(item => {
+                        rows.push([
+                            result.input,
+                            result.type,
+                            result.status,
+                            item.store_tlc,
+                            item.store_name,
+                            item.asin,
+                            item.sku,
+                            item.item_name,
+                            item.listing_status || '',
+                            item.quantity || '',
+                            describeItemChanges(lookupChanges.get(getItemKey(item))).join('; ')
+                        ]);
+                    });
+                });
+                return rows;
+            };
+
+            const exportResults = (format) => {
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([headers, ...toRows()]), 'Batch Lookup');
+
+                const missing = lookupResults.filter(result => result.status !== 'Found');
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+                    ['Input', 'Type', 'Status', 'Other Stores'],
+                    ...missing.map(result => [result.input, result.type, result.status, result.otherStores.join(', ')])
+                ]), 'Missing');
+
+                const fileName = `WTS_Batch_Lookup_${new Date().toISOString().split('T')[0]}.${format}`;
+                downloadWorkbook(workbook, fileName, format);
+                console.log(`📤 Exported batch lookup (${lookupResults.length} IDs) to ${fileName}`);
+            };
+
+            const renderResults = () => {
+                const resultsDiv = document.getElementById('batchLookupResults');
+                const found = lookupResults.filter(result => result.status === 'Found').length;
+                const notInStore = lookupResults.filter(result => result.status === 'Not in store').length;
+                const missing = lookupResults.filter(result => result.status === 'Missing').length;
+
+                document.getElementById('batchLookupSummary').innerHTML =
+                    `<strong>${lookupResults.length}</strong> IDs: ` +
+                    `<span style="color: #00704A;">✅ ${found} found</span> | ` +
+                    (notInStore > 0 ? `<span style="color: #856404;">🏪 ${notInStore} only in other stores</span> | ` : '') +
+                    `<span style="color: #dc3545;">❌ ${missing} missing</span>`;
+
+                const table = document.createElement('table');
+                table.style.width = '100%';
+                table.style.borderCollapse = 'collapse';
+                table.style.fontSize = '11px';
+
+                const headerRow = document.createElement('tr');
+                headers.forEach(header => {
+                    const th = document.createElement('th');
+                    th.textContent = header;
+                    th.style.position = 'sticky';
+                    th.style.top = '0';
+                    th.style.background = '#f8f9fa';
+                    th.style.padding = '6px';
+                    th.style.textAlign = 'left';
+                    th.style.borderBottom = '2px solid #00704A';
+                    headerRow.appendChild(th);
+                });
+                table.appendChild(headerRow);
+
+                toRows().forEach(row => {
+                    const tr = document.createElement('tr');
+                    const status = row[2];
+                    if (status === 'Missing') {
+                        tr.style.backgroundColor = '#f8d7da';
+                    } else if (status === 'Not in store' || isInactiveListingStatus(row[8])) {
+                        tr.style.backgroundColor = '#fff3cd';
+                    }
+
+                    row.forEach(value => {
+                        const td = document.createElement('td');
+                        td.textContent = value;
+                        td.style.padding = '4px 6px';
+                        td.style.borderBottom = '1px solid #dee2e6';
+                        tr.appendChild(td);
+                    });
+                    table.appendChild(tr);
+                });
+
+                resultsDiv.innerHTML = '';
+                resultsDiv.appendChild(table);
+                resultsDiv.style.display = 'block';
+            };
+
+            document.getElementById('batchLookupRunBtn').addEventListener('click', async () => {
+                const runBtn = document.getElementById('batchLookupRunBtn');
+                const ids = extractLookupIds(document.getElementById('batchLookupInput').value);
+
+                if (ids.length === 0) {
+                    alert('❌ No ASINs or SKUs found in the pasted text');
+                    return;
+                }
+
+                runBtn.textContent = '🔄 Looking up...';
+                runBtn.disabled = true;
 
-                searchResultsContainer.appendChild(resultItem);
+                try {
+                    const storeOnly = document.getElementById('batchLookupStoreOnly').checked;
+                    lookupResults = await lookupItemsBatch(ids, storeOnly ? currentStoreTLC : null);
+                    lookupChanges = await getItemChanges(lookupResults.flatMap(result => result.items));
+                    console.log(`📋 Batch lookup: ${ids.length} IDs resolved`);
+                    renderResults();
+                    document.getElementById('batchLookupXlsxBtn').disabled = false;
+                    document.getElementById('batchLookupCsvBtn').disabled = false;
+                } catch (error) {
+                    console.error('❌ Batch lookup error:', error);
+                    alert(`❌ Batch lookup failed: ${error.message}`);
+                } finally {
+                    runBtn.textContent = '🔍 Look Up';
+                    runBtn.disabled = false;
+                }
             });
 
-            if (results.length > 10) {
-                const moreResults = document.createElement('div');
-                moreResults.textContent = `... and ${results.length - 10} more results`;
-                moreResults.style.padding = '8px';
-                moreResults.style.color = '#495057'; // Improved contrast
-                moreResults.style.textAlign = 'center';
-                moreResults.style.fontStyle = 'italic';
-                searchResultsContainer.appendChild(moreResults);
-            }
+            document.getElementById('batchLookupXlsxBtn').addEventListener('click', () => exportResults('xlsx'));
+            document.getElementById('batchLookupCsvBtn').addEventListener('click', () => exportResults('csv'));
 
-            searchResultsContainer.style.display = 'block';
-        }
+            document.getElementById('batchLookupCloseBtn').addEventListener('click', () => {
+                document.body.removeChild(modal);
+            });
 
-        function selectItem(item) {
-            // Auto-switch to store if different from current
-            const currentStoreTLC = getCurrentStoreTLC();
-            if (item.store_tlc && item.store_tlc !== currentStoreTLC && storeMappingData.has(item.store_tlc)) {
-                const switchStore = confirm(`This item is from store ${item.store_tlc}. Would you like to switch to that store first?`);
-                if (switchStore) {
-                    switchToStore(item.store_tlc).then(() => {
-                        // After store switch, navigate to item
-                        setTimeout(() => {
-                            navigateToItemWithContext(item);
-                        }, 2000); // Wait for store switch to complete
-                    });
-                    return;
+            // Close on background click
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    document.body.removeChild(modal);
                 }
-            }
+            });
 
-            // Navigate to item directly
-            navigateToItemWithContext(item);
+            document.getElementById('batchLookupInput').focus();
         }
 
-        function getCurrentStoreTLC() {
-            const storeInfo = getCurrentStoreInfo();
-            if (storeInfo && storeInfo.storeId) {
-                const tlc = getStoreTLCFromStoreId(storeInfo.storeId, storeMappingData);
-                if (tlc) {
-                    console.log(`🏪 Current store TLC: ${tlc} (${storeInfo.displayName})`);
-                    return tlc;
+        // Export every result of the current search (all matches, not just the ones listed)
+        async function runSearchExport(format, button) {
+            const query = itemSearchInput.value.trim();
+            const parsedQuery = parseSearchQuery(query);
+            const currentStoreTLC = storeFilterCheckbox.checked ? getCurrentStoreTLC() : null;
+
+            if (!query && !currentStoreTLC && !confirm('No search or filters entered.\n\nExport the entire item database?')) {
+                return;
+            }
+            if (parsedQuery.errors.length > 0) {
+                alert(`❌ Fix the search filters before exporting:\n\n${parsedQuery.errors.join('\n')}`);
+                return;
+            }
+
+            // CSV goes straight to disk when the browser has a save picker (chunk by chunk, no size limit)
+            let csvFile = null;
+            if (format === 'csv' && window.showSaveFilePicker) {
+                try {
+                    const handle = await window.showSaveFilePicker({
+                        suggestedName: `WTS_Item_Search_${new Date().toISOString().split('T')[0]}.csv`,
+                        types: [{ description: 'CSV', accept: { 'text/csv': ['.csv'] } }]
+                    });
+                    csvFile = await handle.createWritable();
+                } catch (error) {
+                    if (error.name === 'AbortError') return;
+                    console.warn('⚠️ Save picker unavailable, downloading the CSV instead:', error.message);
                 }
             }
-            return null;
-        }
 
-        function updateCurrentStoreDisplay() {
+            const originalText = button.textContent;
+            exportXlsxBtn.disabled = true;
+            exportCsvBtn.disabled = true;
+
             try {
-                // Update store display if UI elements exist
-                if (typeof currentStoreDisplayDiv !== 'undefined' && currentStoreDisplayDiv && document.body.contains(currentStoreDisplayDiv)) {
-                    const storeInfo = getCurrentStoreInfo();
-                    if (storeInfo) {
-                        const tlc = getStoreTLCFromStoreId(storeInfo.storeId, storeMappingData);
-                        if (tlc) {
-                            currentStoreDisplayDiv.textContent = `Current Store: ${storeInfo.displayName} (${tlc})`;
-                            currentStoreDisplayDiv.style.color = '#00704A';
-                        } else {
-                            currentStoreDisplayDiv.textContent = `Current Store: ${storeInfo.displayName} (ID: ${storeInfo.storeId})`;
-                            currentStoreDisplayDiv.style.color = '#ffc107';
-                        }
-                    } else {
-                        currentStoreDisplayDiv.textContent = 'Store info not available';
-                        currentStoreDisplayDiv.style.color = '#495057'; // Improved contrast
-                    }
+                const result = await exportSearchResults(parsedQuery, searchTypeSelect.value, currentStoreTLC, format, (processed, total) => {
+                    button.textContent = `🔄 ${Math.round((processed / total) * 100)}%`;
+                }, csvFile);
+
+                if (result.exported === 0) {
+                    alert('ℹ️ No items match this search - nothing exported');
+                } else if (result.files.length > 1) {
+                    alert(`📤 Exported ${result.exported.toLocaleString()} items in ${result.files.length} XLSX files of up to ${SEARCH_EXPORT_XLSX_ROWS_PER_FILE.toLocaleString()} rows.\n\nUse 📄 Export CSV to get one file.`);
                 }
             } catch (error) {
-                console.error('❌ Error updating current store display:', error);
+                console.error('❌ Search export error:', error);
+                alert(`❌ Export failed: ${error.message}`);
+            } finally {
+                button.textContent = originalText;
+                exportXlsxBtn.disabled = false;
+                exportCsvBtn.disabled = false;
             }
         }
 
-        function navigateToItemWithContext(item) {
-            const itemURL = `https://www.wholefoodsmarket.com/name/dp/${item.asin}?pd_rd_i=${item.asin}&fpw=alm&almBrandId=aNHVc2Akvg`;
-            window.open(itemURL, '_blank');
-
-            // Clear search
-            itemSearchInput.value = '';
-            searchResultsContainer.style.display = 'none';
+        const exportXlsxBtn = createButton('📤 Export XLSX', '#17a2b8', () => runSearchExport('xlsx', exportXlsxBtn));
+        const exportCsvBtn = createButton('📄 Export CSV', '#17a2b8', () => runSearchExport('csv', exportCsvBtn));
+        exportXlsxBtn.title = `Export all items matching the search and filters, with every imported column (split into files of ${SEARCH_EXPORT_XLSX_ROWS_PER_FILE.toLocaleString()} rows)`;
+        exportCsvBtn.title = 'Export all items matching the search and filters, with every imported column, as one CSV written chunk by chunk (best for large exports)';
+        const searchExportGroup = createButtonGroup([exportXlsxBtn, exportCsvBtn], 2);
 
-            // Show success message with item details
-            setTimeout(() => {
-                alert(`✅ Opened ${item.item_name}\nASIN: ${item.asin}\nStore: ${item.store_name} (${item.store_tlc})`);
-            }, 500);
-        }
+        const batchLookupBtn = createButton('📋 Batch Lookup', '#00704A', showBatchLookup, { fullWidth: true });
+        batchLookupBtn.title = 'Look up a pasted list of ASINs/SKUs against the item database';
+        batchLookupBtn.style.marginTop = '4px';
 
         // Event listeners for search
         itemSearchInput.addEventListener('input', () => {
@@ -3365,7 +6538,11 @@
         itemSearchContainer.appendChild(currentStoreDisplayDiv);
         itemSearchContainer.appendChild(storeFilterContainer);
         itemSearchContainer.appendChild(searchTypeSelect);
+        itemSearchContainer.appendChild(savedQueriesRow);
+        itemSearchContainer.appendChild(filtersToggleBtn);
+        itemSearchContainer.appendChild(filtersPanel);
         itemSearchContainer.appendChild(itemSearchInput);
+        itemSearchContainer.appendChild(searchExportGroup);
         itemSearchContainer.appendChild(searchResultsContainer);
 
         // SETTINGS SECTION - Collapsible
@@ -3407,7 +6584,7 @@
         // File input for XLSX uploads
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = '.xlsx';
+        fileInput.accept = '.xlsx,.csv';
         fileInput.style.display = 'none';
         fileInput.style.cursor = 'pointer'; // Ensure file input has pointer cursor when visible
 
@@ -3432,6 +6609,7 @@
                 initAttempts: initializationAttempts,
                 networkInterceptionActive: networkInterceptionActive,
                 storeMappings: storeMappingData.size,
+                storeDirectory: storeDirectoryData.size,
                 itemDatabaseCount: status.count,
                 capturedToken: !!getCapturedToken(),
                 storeInfo: getCurrentStoreInfo()
@@ -3446,8 +6624,442 @@
             alert(`🐛 WTS Tools Debug Info:\n\n${debugText}\n\nCheck console for detailed logs.`);
         }, { fullWidth: true });
 
+        // Item database import: applied as a delta keyed on store_tlc + asin + sku
+        const itemFileInput = document.createElement('input');
+        itemFileInput.type = 'file';
+        itemFileInput.accept = '.xlsx,.xls,.csv';
+        itemFileInput.style.display = 'none';
+
+        const importItemsBtn = createButton('📥 Import Item DB', '#00704A', () => {
+            itemFileInput.click();
+        }, { fullWidth: true });
+        importItemsBtn.title = 'Update the item database from an inventory report (pick the sheet and map its columns; only added, changed and removed items are written)';
+
+        itemFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            itemFileInput.value = '';
+            if (!file) return;
+
+            if (!/\.(xlsx|xls|csv)$/i.test(file.name)) {
+                alert('Please select an Excel or CSV file (.xlsx, .xls or .csv)');
+                return;
+            }
+
+            try {
+                const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+                if (workbook.SheetNames.length === 0) {
+                    throw new Error('No sheets found in file');
+                }
+                showItemImportWizard(file.name, workbook);
+            } catch (error) {
+                console.error('❌ Could not read item import file:', error);
+                alert(`❌ Could not read ${file.name}: ${error.message}`);
+            }
+        });
+
+        // Validation report for the data owners: every rejected or suspicious row, plus a count per problem
+        function downloadValidationReport(fileName, validationReport, strict) {
+            const workbook = XLSX.utils.book_new();
+
+            const sortedReport = validationReport.slice().sort((a, b) => a.row - b.row);
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+                ['Row', 'Column', 'Value', 'Reason', 'Severity'],
+                ...sortedReport.map(error => [error.row, error.column, error.value, error.reason, error.severity])
+            ]), 'Validation Report');
+
+            const summary = new Map();
+            validationReport.forEach(error => {
+                const key = `${error.severity}|${error.column}|${error.reason.replace(/row \d+/, 'row N')}`;
+                summary.set(key, (summary.get(key) || 0) + 1);
+            });
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+                ['Source File', fileName],
+                ['Validation', strict ? 'Strict (invalid ASIN/TLC rows rejected)' : 'Lenient (invalid ASIN/TLC rows imported with a warning)'],
+                [],
+                ['Severity', 'Column', 'Reason', 'Rows'],
+                ...Array.from(summary.entries()).map(([key, count]) => [...key.split('|'), count])
+            ]), 'Summary');
+
+            const baseName = fileName.replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+            downloadWorkbook(workbook, `WTS_Import_Validation_${baseName}_${new Date().toISOString().split('T')[0]}.xlsx`);
+            console.log(`📤 Exported validation report (${validationReport.length} entries) for ${fileName}`);
+        }
+
+        async function runItemImport(fileName, workbook, sheetName, columnMap, strict = false) {
+            importItemsBtn.textContent = '🔄 Importing...';
+            importItemsBtn.disabled = true;
+
+            try {
+                const result = await parseXLSXStreaming(null, fileName, { workbook, sheetName, columnMap, strict });
+
+                alert(`✅ Item database updated from ${fileName}\n\n` +
+                    `➕ Added: ${result.added.toLocaleString()}\n` +
+                    `✏️ Updated: ${result.updated.toLocaleString()}\n` +
+                    `➖ Deleted: ${result.deleted.toLocaleString()}\n` +
+                    `✔️ Unchanged: ${result.unchanged.toLocaleString()}\n` +
+                    (result.skipped > 0 ? `⚠️ Skipped rows: ${result.skipped.toLocaleString()}\n` : '') +
+                    (result.validationErrors > 0 ? `⚠️ Validation errors: ${result.validationErrors.toLocaleString()}\n` : '') +
+                    `\n💲 Price changes: ${result.priceChanges.toLocaleString()}\n` +
+                    `🔴 Went inactive: ${result.wentInactive.toLocaleString()}\n` +
+                    `\nTotal items: ${result.total.toLocaleString()}`);
+
+                if (result.validationReport.length > 0 &&
+                    confirm(`⚠️ ${result.validationReport.length.toLocaleString()} rows were rejected or look suspicious.\n\nDownload the validation report?`)) {
+                    downloadValidationReport(fileName, result.validationReport, strict);
+                }
+            } catch (error) {
+                console.error('❌ Item database import failed:', error);
+                alert(`❌ Item database import failed: ${error.message}\n\nThe previous item database was kept.`);
+                if (error.validationReport && error.validationReport.length > 0 && confirm('Download the validation report?')) {
+                    downloadValidationReport(fileName, error.validationReport, strict);
+                }
+            } finally {
+                importItemsBtn.textContent = '📥 Import Item DB';
+                importItemsBtn.disabled = false;
+            }
+        }
+
+        // Import mapping profiles: { name, sheetName, columnMap } per differently shaped report, kept in GM storage
+        const IMPORT_PROFILES_KEY = 'wts_import_profiles';
+
+        function loadImportProfiles() {
+            try {
+                return JSON.parse(GM_getValue(IMPORT_PROFILES_KEY, '[]'));
+            } catch (error) {
+                console.error('❌ Error loading import profiles:', error);
+                return [];
+            }
+        }
+
+        // Import wizard: pick the sheet, check the suggested column mapping, then import
+        function showItemImportWizard(fileName, workbook) {
+            const modal = document.createElement('div');
+            modal.style.position = 'fixed';
+            modal.style.top = '0';
+            modal.style.left = '0';
+            modal.style.width = '100%';
+            modal.style.height = '100%';
+            modal.style.backgroundColor = 'rgba(0,0,0,0.5)';
+            modal.style.zIndex = '10000';
+            modal.style.display = 'flex';
+            modal.style.alignItems = 'center';
+            modal.style.justifyContent = 'center';
+
+            const modalContent = document.createElement('div');
+            modalContent.style.backgroundColor = '#fff';
+            modalContent.style.padding = '20px';
+            modalContent.style.borderRadius = '8px';
+            modalContent.style.boxShadow = '0 4px 8px rgba(0,0,0,0.2)';
+            modalContent.style.maxWidth = '720px';
+            modalContent.style.width = '90%';
+            modalContent.style.maxHeight = '90vh';
+            modalContent.style.overflowY = 'auto';
+            modalContent.style.fontFamily = 'sans-serif';
+
+            const selectStyle = 'width: 100%; padding: 4px; border: 1px solid #ccc; border-radius: 4px; font-size: 12px;';
+            const fields = [...ITEM_IMPORT_REQUIRED_COLUMNS, ...ITEM_IMPORT_OPTIONAL_COLUMNS];
+            const isRequired = field => ITEM_IMPORT_REQUIRED_COLUMNS.includes(field) && !ITEM_IMPORT_DIRECTORY_COLUMNS.includes(field);
+
+            modalContent.innerHTML = `
+                <h3 style="margin-top: 0; color: #00704A;">📥 Import Item Database</h3>
+                <div style="font-size: 12px; color: #495057; margin-bottom: 12px;">${escapeHTML(fileName)}</div>
+
+                <div style="display: grid; grid-template-columns: 70px 1fr auto auto; gap: 6px; align-items: center; margin-bottom: 12px; font-size: 13px;">
+                    <label for="importProfileSelect">Profile:</label>
+                    <select id="importProfileSelect" style="${selectStyle}"></select>
+                    <button id="importProfileSaveBtn" style="padding: 4px 8px; background: #00704A; color: #fff; border: none; border-radius: 4px; cursor: pointer;" title="Save this sheet and mapping as a profile">💾 Save</button>
+                    <button id="importProfileDeleteBtn" style="padding: 4px 8px; background: #dc3545; color: #fff; border: none; border-radius: 4px; cursor: pointer;" title="Delete the selected profile">🗑️</button>
+                    <label for="importSheetSelect">Sheet:</label>
+                    <select id="importSheetSelect" style="${selectStyle} grid-column: span 3;"></select>
+                </div>
+
+                <table style="width: 100%; border-collapse: collapse; font-size: 12px; margin-bottom: 12px;">
+                    <tr>
+                        <th style="text-align: left; padding: 4px; border-bottom: 2px solid #00704A;">Item field</th>
+                        <th style="text-align: left; padding: 4px; border-bottom: 2px solid #00704A;">Column in file</th>
+                        <th style="text-align: left; padding: 4px; border-bottom: 2px solid #00704A;">First value</th>
+                    </tr>
+                    ${fields.map(field => `
+                        <tr>
+                            <td style="padding: 4px; border-bottom: 1px solid #dee2e6; font-family: monospace;">${field}${isRequired(field) ? ' <span style="color: #dc3545;">*</span>' : ''}</td>
+                            <td style="padding: 4px; border-bottom: 1px solid #dee2e6;"><select data-field="${field}" style="${selectStyle}"></select></td>
+                            <td data-sample="${field}" style="padding: 4px; border-bottom: 1px solid #dee2e6; color: #6c757d; max-width: 200px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></td>
+                        </tr>
+                    `).join('')}
+                </table>
+
+                <div style="font-size: 11px; color: #6c757d; margin-bottom: 12px;">* Required. Unmapped store_name/store_acronym are looked up by TLC in the store directory.</div>
+
+                <div style="font-size: 13px; margin-bottom: 12px;">
+                    <label title="Lenient imports these rows and lists them as warnings in the validation report">
+                        <input type="checkbox" id="importStrictCheckbox" ${GM_getValue('wts_import_strict', false) ? 'checked' : ''}>
+                        Strict validation: reject rows with an invalid ASIN or store TLC
+                    </label>
+                </div>
+
+                <div style="text-align: right;">
+                    <button id="importWizardCancelBtn" style="padding: 8px 12px; background: #6c757d; color: #fff; border: none; border-radius: 4px; cursor: pointer;">Cancel</button>
+                    <button id="importWizardRunBtn" style="padding: 8px 12px; background: #00704A; color: #fff; border: none; border-radius: 4px; cursor: pointer; margin-left: 8px;">📥 Import</button>
+                </div>
+            `;
+
+            modal.appendChild(modalContent);
+            document.body.appendChild(modal);
+
+            const profileSelect = document.getElementById('importProfileSelect');
+            const sheetSelect = document.getElementById('importSheetSelect');
+            const fieldSelect = field => modalContent.querySelector(`select[data-field="${field}"]`);
+            let headers = [];
+            let firstRow = [];
+
+            workbook.SheetNames.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                sheetSelect.appendChild(option);
+            });
+
+            const renderProfiles = (selectedName = '') => {
+                profileSelect.innerHTML = '<option value="">(suggested mapping)</option>';
+                loadImportProfiles().forEach(profile => {
+                    const option = document.createElement('option');
+                    option.value = profile.name;
+                    option.textContent = profile.name;
+                    profileSelect.appendChild(option);
+                });
+                profileSelect.value = selectedName;
+            };
+
+            const updateSamples = () => {
+                fields.forEach(field => {
+                    const index = headers.indexOf(fieldSelect(field).value);
+                    const value = index !== -1 && firstRow[index] !== undefined && firstRow[index] !== null ? firstRow[index].toString() : '';
+                    modalContent.querySelector(`[data-sample="${field}"]`).textContent = value;
+                });
+            };
+
+            // Load the sheet's headers into every field select, then apply a mapping (field -> header)
+            const loadSheet = (sheetName, columnMap) => {
+                const worksheet = workbook.Sheets[sheetName];
+                headers = getSheetHeaders(worksheet);
+                const range = worksheet && worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : null;
+                firstRow = range && range.e.r > range.s.r
+                    ? XLSX.utils.sheet_to_json(worksheet, { header: 1, range: { s: { r: range.s.r + 1, c: range.s.c }, e: { r: range.s.r + 1, c: range.e.c } } })[0] || []
+                    : [];
+
+                const mapping = columnMap || suggestItemColumnMapping(headers);
+                fields.forEach(field => {
+                    const select = fieldSelect(field);
+                    const emptyLabel = ITEM_IMPORT_DIRECTORY_COLUMNS.includes(field) ? '— from store directory —' : '— not mapped —';
+                    select.innerHTML = `<option value="">${emptyLabel}</option>`;
+                    headers.forEach(header => {
+                        if (!header) return;
+                        const option = document.createElement('option');
+                        option.value = header;
+                        option.textContent = header;
+                        select.appendChild(option);
+                    });
+                    select.value = mapping[field] && headers.includes(mapping[field]) ? mapping[field] : '';
+                });
+                updateSamples();
+            };
+
+            const getColumnMap = () => {
+                const columnMap = {};
+                fields.forEach(field => {
+                    if (fieldSelect(field).value) columnMap[field] = fieldSelect(field).value;
+                });
+                return columnMap;
+            };
+
+            const getMissingRequired = columnMap => fields.filter(field => isRequired(field) && !columnMap[field]);
+
+            const applyProfile = (profile) => {
+                if (profile.sheetName && workbook.SheetNames.includes(profile.sheetName)) {
+                    sheetSelect.value = profile.sheetName;
+                }
+                loadSheet(sheetSelect.value, profile.columnMap);
+            };
+
+            // Start from a saved profile whose columns all exist in one of the sheets, otherwise the suggestions
+            const profiles = loadImportProfiles();
+            const matchingProfile = profiles.find(profile => {
+                const sheetName = workbook.SheetNames.includes(profile.sheetName) ? profile.sheetName : workbook.SheetNames[0];
+                const sheetHeaders = getSheetHeaders(workbook.Sheets[sheetName]);
+                const mappedHeaders = Object.values(profile.columnMap || {});
+                return mappedHeaders.length > 0 && mappedHeaders.every(header => sheetHeaders.includes(header));
+            });
+
+            // Without a profile: the usual sheet name, else the sheet whose headers cover the most required fields
+            const suggestedSheet = () => {
+                if (workbook.SheetNames.includes(ITEM_IMPORT_SHEET_NAME)) return ITEM_IMPORT_SHEET_NAME;
+                const coverage = name => getMissingRequired(suggestItemColumnMapping(getSheetHeaders(workbook.Sheets[name]))).length;
+                return workbook.SheetNames.reduce((best, name) => (coverage(name) < coverage(best) ? name : best));
+            };
+
+            renderProfiles(matchingProfile ? matchingProfile.name : '');
+            if (matchingProfile) {
+                applyProfile(matchingProfile);
+            } else {
+                sheetSelect.value = suggestedSheet();
+                loadSheet(sheetSelect.value);
+            }
+
+            profileSelect.addEventListener('change', () => {
+                const profile = loadImportProfiles().find(entry => entry.name === profileSelect.value);
+                if (profile) {
+                    applyProfile(profile);
+                } else {
+                    loadSheet(sheetSelect.value);
+                }
+            });
+            sheetSelect.addEventListener('change', () => loadSheet(sheetSelect.value));
+            fields.forEach(field => fieldSelect(field).addEventListener('change', updateSamples));
+
+            document.getElementById('importProfileSaveBtn').addEventListener('click', () => {
+                const missing = getMissingRequired(getColumnMap());
+                if (missing.length > 0) {
+                    alert(`❌ Map the required fields before saving a profile: ${missing.join(', ')}`);
+                    return;
+                }
+
+                const name = (prompt('Name for this import profile (e.g. the report it is for):', profileSelect.value) || '').trim();
+                if (!name) return;
+
+                const savedProfiles = loadImportProfiles().filter(profile => profile.name !== name);
+                savedProfiles.push({ name, sheetName: sheetSelect.value, columnMap: getColumnMap() });
+                savedProfiles.sort((a, b) => a.name.localeCompare(b.name));
+                GM_setValue(IMPORT_PROFILES_KEY, JSON.stringify(savedProfiles));
+                renderProfiles(name);
+                console.log(`💾 Saved import profile "${name}"`);
+            });
+
+            document.getElementById('importProfileDeleteBtn').addEventListener('click', () => {
+                const name = profileSelect.value;
+                if (!name) {
+                    alert('❌ Select a saved profile to delete');
+                    return;
+                }
+                if (!confirm(`Delete import profile "${name}"?`)) return;
+
+                GM_setValue(IMPORT_PROFILES_KEY, JSON.stringify(loadImportProfiles().filter(profile => profile.name !== name)));
+                renderProfiles();
+                console.log(`🗑️ Deleted import profile "${name}"`);
+            });
+
+            const closeModal = () => {
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            document.getElementById('importWizardRunBtn').addEventListener('click', () => {
+                const columnMap = getColumnMap();
+                const missing = getMissingRequired(columnMap);
+                if (missing.length > 0) {
+                    alert(`❌ Map the required fields first: ${missing.join(', ')}`);
+                    return;
+                }
+
+                const mappedHeaders = Object.values(columnMap);
+                const duplicates = mappedHeaders.filter((header, index) => mappedHeaders.indexOf(header) !== index);
+                if (duplicates.length > 0 && !confirm(`⚠️ Column "${duplicates[0]}" is mapped to more than one field.\n\nImport anyway?`)) {
+                    return;
+                }
+
+                const strict = document.getElementById('importStrictCheckbox').checked;
+                GM_setValue('wts_import_strict', strict);
+
+                closeModal();
+                runItemImport(fileName, workbook, sheetSelect.value, columnMap, strict);
+            });
+
+            document.getElementById('importWizardCancelBtn').addEventListener('click', closeModal);
+
+            // Close on background click
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    closeModal();
+                }
+            });
+        }
+
+        // Import history export: every upload, plus the tracked changes between uploads
+        async function exportImportHistory() {
+            const imports = await db.imports.orderBy('importedAt').reverse().toArray();
+            if (imports.length === 0) {
+                alert('❌ No item database imports recorded yet.');
+                return;
+            }
+
+            const formatDate = timestamp => new Date(timestamp).toLocaleString();
+            const workbook = XLSX.utils.book_new();
+
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+                ['Imported At', 'File', 'Sheet', 'Rows', 'Items', 'Added', 'Updated', 'Deleted', 'Unchanged', 'Skipped Rows', 'Validation Errors', 'Price Changes', 'Went Inactive'],
+                ...imports.map(entry => [
+                    formatDate(entry.importedAt), entry.fileName, entry.sheetName, entry.rowCount, entry.itemCount,
+                    entry.added, entry.updated, entry.deleted, entry.unchanged, entry.skippedRows,
+                    entry.errorCount, entry.priceChanges, entry.wentInactive
+                ])
+            ]), 'Imports');
+
+            const history = await db.itemHistory.where('field').anyOf('listing_status', 'eod_our_price').toArray();
+            const names = new Map();
+            const historyASINs = Array.from(new Set(history.map(row => row.asin)));
+            if (historyASINs.length > 0) {
+                (await db.items.where('asin').anyOf(historyASINs).toArray()).forEach(item => {
+                    names.set(getItemKey(item), item.item_name);
+                });
+            }
+            const toRow = row => [formatDate(row.changedAt), row.store_tlc, row.asin, row.sku, names.get(row.itemKey) || '', row.from, row.to];
+            const historyHeaders = ['Changed At', 'Store TLC', 'ASIN', 'SKU', 'Item Name', 'From', 'To'];
+
+            const wentInactive = history.filter(row => row.field === 'listing_status' &&
+                !isInactiveListingStatus(row.from) && isInactiveListingStatus(row.to));
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([historyHeaders, ...wentInactive.map(toRow)]), 'Went Inactive');
+
+            const priceChanges = history.filter(row => row.field === 'eod_our_price');
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([historyHeaders, ...priceChanges.map(toRow)]), 'Price Changes');
+
+            const latestErrors = imports[0].errors || [];
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+                ['Row', 'Column', 'Value', 'Reason', 'Severity'],
+                ...latestErrors.map(error => [error.row, error.column, error.value, error.reason, error.severity || ''])
+            ]), 'Latest Import Errors');
+
+            downloadWorkbook(workbook, `WTS_Item_Import_History_${new Date().toISOString().split('T')[0]}.xlsx`);
+            console.log(`📤 Exported import history (${imports.length} imports, ${history.length} tracked changes)`);
+        }
+
+        const importHistoryBtn = createButton('🕘 Import History', '#00704A', () => {
+            exportImportHistory().catch(error => {
+                console.error('❌ Error exporting import history:', error);
+                alert(`❌ Failed to export import history: ${error.message}`);
+            });
+        }, { fullWidth: true });
+        importHistoryBtn.title = 'Download past item database imports, price changes and items that went inactive';
+
+        // Store directory export (shared format with the Store Jumper and Scanner app)
+        const exportStoresBtn = createButton('📤 Export Stores', '#00704A', () => {
+            exportStoreDirectory();
+        }, { fullWidth: true });
+        exportStoresBtn.title = 'Download the loaded store directory as XLSX';
+
+        // Strict shoveler ASINs: keep only B0-style ASINs or IDs the item database knows
+        const strictASINsLabel = () => GM_getValue('wts_shoveler_strict_asins', false) ? '🎯 Strict Shoveler ASINs: On' : '🎯 Strict Shoveler ASINs: Off';
+        const strictASINsBtn = createButton(strictASINsLabel(), '#00704A', () => {
+            GM_setValue('wts_shoveler_strict_asins', !GM_getValue('wts_shoveler_strict_asins', false));
+            strictASINsBtn.textContent = strictASINsLabel();
+        }, { fullWidth: true });
+        strictASINsBtn.title = 'Drop shoveler ASINs that are neither B0-style nor in the item database from exports and assortment checks';
+
         // Add settings items to settings content
         settingsContent.appendChild(csrfSettingsBtn);
+        settingsContent.appendChild(importItemsBtn);
+        settingsContent.appendChild(importHistoryBtn);
+        settingsContent.appendChild(exportStoresBtn);
+        settingsContent.appendChild(strictASINsBtn);
         settingsContent.appendChild(debugBtn);
         
         settingsContainer.appendChild(settingsToggleBtn);
@@ -3459,9 +7071,11 @@
         // Assemble all content sections in compact layout
         contentContainer.appendChild(actionsHeader);
         contentContainer.appendChild(actionsGroup);
+        contentContainer.appendChild(pageToolsGroup);
         
         contentContainer.appendChild(navigationHeader);
         contentContainer.appendChild(asinInputContainer);
+        contentContainer.appendChild(batchLookupBtn);
         contentContainer.appendChild(itemSearchContainer);
         
         contentContainer.appendChild(settingsHeader);
@@ -3471,6 +7085,7 @@
         contentContainer.appendChild(statusDiv);
         contentContainer.appendChild(storeSelectContainer);
         contentContainer.appendChild(fileInput);
+        contentContainer.appendChild(itemFileInput);
         document.body.appendChild(panel);
 
         // Initialize status after all UI elements are created
@@ -3480,6 +7095,25 @@
         // Initialize current store display
         updateCurrentStoreDisplay();
 
+        // Restore card overlays if they were on before the reload, and point them at this panel's store mappings
+        if (overlaysEnabled) {
+            overlayStoreResolver = getCurrentStoreTLC;
+        } else if (GM_getValue('wts_overlays_enabled', false)) {
+            enableCardOverlays(getCurrentStoreTLC).then(() => {
+                overlayBtn.textContent = '🏷️ Overlays: On';
+            }).catch(error => console.error('❌ Error restoring card overlays:', error));
+        }
+
+        // Resume a store tour after the reload that followed its last store switch
+        if (loadStoreTour()) {
+            updateStoreTourStatus();
+            setTimeout(continueStoreTour, 1000);
+        }
+
+        // Automatic page snapshot, when turned on in 🗂️ Snapshots
+        snapshotStoreResolver = getCurrentStoreTLC;
+        captureAutoSnapshot();
+
         console.log('✅ WTS Tools panel created and added to DOM');
 
         // Add panel identification for easier detection
@@ -3708,6 +7342,14 @@
                 console.log('🔄 Reinitializing WTS Tools for new page...');
                 initializeWTSTools();
             }, 2000);
+
+            // Redraw card overlays once the new page has rendered its cards
+            if (overlaysEnabled) {
+                scheduleOverlayRefresh(2500);
+            }
+
+            // Snapshot the new page once it settles, when automatic snapshots are on
+            captureAutoSnapshot();
         }
     }
 